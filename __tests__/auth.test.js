@@ -0,0 +1,142 @@
+/**
+ * @file Tests of authentication strategies
+ */
+"use strict";
+
+import { Requester } from "../requester.js";
+import {
+  APIKeyAuth,
+  BasicAuth,
+  BearerAuth,
+  RefreshableTokenAuth,
+  createAuth,
+} from "../auth.js";
+
+let requester;
+let transport;
+beforeEach(function () {
+  requester = new Requester({ throwOnFailure: false });
+  transport = requester.mock();
+  transport.any("/secret", (request) => ({ data: request.headers }));
+});
+
+test("BasicAuth encodes the user name and password as UTF-8", async function () {
+  const config = await new BasicAuth("jürgen", "pässword").apply({
+    headers: { Accept: "text/plain" },
+  });
+
+  expect(config.headers).toEqual({
+    Accept: "text/plain",
+    Authorization: `Basic ${Buffer.from("jürgen:pässword").toString("base64")}`,
+  });
+});
+
+test("the auth option accepts a user name and password", async function () {
+  requester.setOptions({ auth: { username: "user", password: "pass" } });
+  await requester.get("http://api.test/secret", "basic");
+
+  expect(requester.response("basic").data.Authorization).toBe(
+    "Basic dXNlcjpwYXNz"
+  );
+  expect(createAuth(undefined)).toBeUndefined();
+});
+
+test("BearerAuth calls a token function before every request", async function () {
+  let calls = 0;
+  requester.setOptions({ auth: new BearerAuth(async () => `token${++calls}`) });
+  await requester.get("http://api.test/secret", "first");
+  await requester.get("http://api.test/secret", "second");
+
+  expect(requester.response("first").data.Authorization).toBe("Bearer token1");
+  expect(requester.response("second").data.Authorization).toBe("Bearer token2");
+});
+
+test("APIKeyAuth sends the key in a header or query parameter", async function () {
+  const header = await new APIKeyAuth("X-API-Key", "key").apply({});
+  const query = await new APIKeyAuth("api_key", "key", "query").apply({
+    params: { page: 1 },
+  });
+
+  expect(header.headers).toEqual({ "X-API-Key": "key" });
+  expect(query.params).toEqual({ page: 1, api_key: "key" });
+});
+
+test("the auth request option overrides the instance's", async function () {
+  requester.setOptions({ auth: new BearerAuth("instance") });
+  await requester.get("http://api.test/secret", "request", {
+    auth: new BearerAuth("request"),
+  });
+
+  expect(requester.response("request").data.Authorization).toBe(
+    "Bearer request"
+  );
+});
+
+describe("RefreshableTokenAuth", function () {
+  let refreshes;
+  beforeEach(function () {
+    refreshes = 0;
+    transport.on("get", "/protected", (request) =>
+      request.headers.Authorization === `Bearer token${refreshes}`
+        ? { data: "ok" }
+        : { status: 401 }
+    );
+  });
+
+  test("obtains a token before the first request", async function () {
+    requester.setOptions({
+      auth: new RefreshableTokenAuth({ refresh: () => `token${++refreshes}` }),
+    });
+    await requester.get("http://api.test/protected", "first");
+
+    expect(requester.response("first").data).toBe("ok");
+    expect(refreshes).toBe(1);
+  });
+
+  test("shares one refresh between refused requests", async function () {
+    requester.setOptions({
+      auth: new RefreshableTokenAuth({
+        token: "expired",
+        refresh: async function () {
+          await new Promise((resolve) => setTimeout(resolve, 10));
+          return `token${++refreshes}`;
+        },
+      }),
+    });
+    await Promise.all([
+      requester.get("http://api.test/protected", "first"),
+      requester.get("http://api.test/protected", "second"),
+      requester.get("http://api.test/protected", "third"),
+    ]);
+
+    expect(refreshes).toBe(1);
+    for (const id of ["first", "second", "third"])
+      expect(requester.response(id).data).toBe("ok");
+  });
+
+  test("fails with the 401 response if the new token is refused too", async function () {
+    requester.setOptions({
+      auth: new RefreshableTokenAuth({
+        token: "expired",
+        refresh: () => "still wrong",
+      }),
+    });
+    await requester.get("http://api.test/protected", "refused");
+
+    expect(requester.error("refused").status).toBe(401);
+  });
+
+  test("fails with the error of the refresh function", async function () {
+    requester.setOptions({
+      auth: new RefreshableTokenAuth({
+        token: "expired",
+        refresh: async function () {
+          throw new Error("refresh failed");
+        },
+      }),
+    });
+    await requester.get("http://api.test/protected", "failed");
+
+    expect(requester.error("failed").message).toBe("refresh failed");
+  });
+});
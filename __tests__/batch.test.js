@@ -0,0 +1,111 @@
+/**
+ * @file Tests of Requester.batch()
+ */
+"use strict";
+
+import { Requester } from "../requester.js";
+import { IDInUseError, NotFoundError } from "../errors.js";
+
+let requester;
+let transport;
+beforeEach(function () {
+  requester = new Requester();
+  transport = requester.mock({ delay: 5 });
+  transport.on("get", "/items/:id", (request, { id }) => ({ data: { id } }));
+  transport.on("get", "/missing", { status: 404 });
+});
+
+test("performs every request and summarizes their results", async function () {
+  const summary = await requester.batch([
+    { url: "http://api.test/items/1", id: "one" },
+    { url: "http://api.test/missing", id: "missing" },
+    { url: "http://api.test/items/2", id: "two" },
+  ]);
+
+  expect(summary).toEqual({
+    ids: ["one", "missing", "two"],
+    succeeded: ["one", "two"],
+    failed: ["missing"],
+    cancelled: [],
+    queued: [],
+  });
+  expect(requester.response("two").data).toEqual({ id: "2" });
+  expect(requester.error("missing")).toBeInstanceOf(NotFoundError);
+});
+
+test("generates missing IDs", async function () {
+  const summary = await requester.batch([
+    { url: "http://api.test/items/1" },
+    { url: "http://api.test/items/2" },
+  ]);
+
+  expect(summary.ids).toHaveLength(2);
+  expect(summary.ids[0]).not.toBe(summary.ids[1]);
+  expect(summary.succeeded).toEqual(summary.ids);
+});
+
+test("limits the number of requests in flight", async function () {
+  let inFlight = 0;
+  let most = 0;
+  transport.on("get", "/counted", async function () {
+    most = Math.max(most, ++inFlight);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    inFlight--;
+    return { data: "ok" };
+  });
+
+  const requests = [];
+  for (let i = 0; i < 6; i++) requests.push({ url: "http://api.test/counted" });
+  const summary = await requester.batch(requests, { concurrency: 2 });
+
+  expect(summary.succeeded).toHaveLength(6);
+  expect(most).toBe(2);
+});
+
+test("failFast cancels the remaining requests", async function () {
+  const summary = await requester.batch(
+    [
+      { url: "http://api.test/missing", id: "missing" },
+      { url: "http://api.test/items/1", id: "one" },
+      { url: "http://api.test/items/2", id: "two" },
+    ],
+    { concurrency: 1, failFast: true }
+  );
+
+  expect(summary.failed).toEqual(["missing"]);
+  expect(summary.cancelled).toEqual(["one", "two"]);
+  expect(transport.history).toHaveLength(1);
+});
+
+test("passes method, data, params and options", async function () {
+  transport.on("post", "/echo", (request) => ({
+    data: { body: request.data, params: request.params },
+  }));
+
+  await requester.batch([
+    {
+      url: "http://api.test/echo",
+      id: "echo",
+      method: "post",
+      data: { name: "a" },
+      params: ["page", 2],
+      options: { headers: { "X-Test": "1" } },
+    },
+  ]);
+
+  expect(requester.response("echo").data).toEqual({
+    body: { name: "a" },
+    params: { page: 2 },
+  });
+  expect(transport.history[0].headers["X-Test"]).toBe("1");
+});
+
+test("rejects duplicate IDs before starting any request", async function () {
+  await expect(
+    requester.batch([
+      { url: "http://api.test/items/1", id: "same" },
+      { url: "http://api.test/items/2", id: "same" },
+    ])
+  ).rejects.toBeInstanceOf(IDInUseError);
+  expect(transport.history).toHaveLength(0);
+});
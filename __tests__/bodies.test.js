@@ -0,0 +1,194 @@
+/**
+ * @file Tests of form bodies and downloads
+ */
+"use strict";
+
+import { promises } from "fs";
+import os from "os";
+import path from "path";
+import { PassThrough, Readable } from "stream";
+
+import { Requester } from "../requester.js";
+import { FormBody, multipart, saveTo, urlencoded } from "../bodies.js";
+import { NotFoundError } from "../errors.js";
+
+let directory;
+beforeAll(async function () {
+  directory = await promises.mkdtemp(path.join(os.tmpdir(), "bodies-"));
+});
+
+afterAll(async function () {
+  await promises.rm(directory, { recursive: true, force: true });
+});
+
+describe("FormBody", function () {
+  test("urlencoded flattens arrays into repeated fields", function () {
+    const body = urlencoded({ a: "x y", b: [1, 2], c: null });
+
+    expect(body.contentType).toBe("application/x-www-form-urlencoded");
+    expect(body.parts).toEqual(["a=x+y&b=1&b=2&c="]);
+    expect(body.length).toBe(16);
+  });
+
+  test("multipart encodes fields, files and objects", async function () {
+    const body = multipart(
+      {
+        name: "ann",
+        file: { value: "abc", filename: "a.txt", contentType: "text/plain" },
+        bytes: new Uint8Array([1]),
+        json: { a: 1 },
+      },
+      "XX"
+    );
+    const data = await body.toData();
+
+    expect(body.contentType).toBe("multipart/form-data; boundary=XX");
+    expect(data.length).toBe(body.length);
+    expect(data.toString()).toBe(
+      [
+        "--XX",
+        'Content-Disposition: form-data; name="name"',
+        "",
+        "ann",
+        "--XX",
+        'Content-Disposition: form-data; name="file"; filename="a.txt"',
+        "Content-Type: text/plain",
+        "",
+        "abc",
+        "--XX",
+        'Content-Disposition: form-data; name="bytes"; filename="bytes"',
+        "Content-Type: application/octet-stream",
+        "",
+        "\u0001",
+        "--XX",
+        'Content-Disposition: form-data; name="json"',
+        "Content-Type: application/json",
+        "",
+        '{"a":1}',
+        "--XX--",
+        "",
+      ].join("\r\n")
+    );
+  });
+
+  test("a body with a stream has no length and is streamed", async function () {
+    const body = new FormBody(["a", Readable.from(["b", "c"])], "text/plain");
+    const progress = [];
+    const data = await body.toData((loaded) => progress.push(loaded));
+    const chunks = [];
+    for await (const chunk of data) chunks.push(chunk);
+
+    expect(body.length).toBeUndefined();
+    expect(Buffer.concat(chunks).toString()).toBe("abc");
+    expect(progress).toEqual([1, 2, 3]);
+  });
+
+  test("is sent with its Content-Type and Content-Length", async function () {
+    const requester = new Requester();
+    const transport = requester.mock();
+    transport.on("post", "/form", { status: 201 });
+    await requester.post("http://api.test/form", "form", urlencoded({ a: 1 }));
+
+    expect(requester.response("form").status).toBe(201);
+    expect(transport.history[0].headers).toMatchObject({
+      "Content-Type": "application/x-www-form-urlencoded",
+      "Content-Length": "3",
+    });
+    const chunks = [];
+    for await (const chunk of transport.history[0].data) chunks.push(chunk);
+    expect(Buffer.concat(chunks).toString()).toBe("a=1");
+  });
+});
+
+describe("saveTo", function () {
+  test("writes streams to a file", async function () {
+    const file = path.join(directory, "stream.txt");
+    const progress = [];
+    const bytes = await saveTo(Readable.from(["ab", "c"]), file, {
+      onProgress: (loaded) => progress.push(loaded),
+    });
+
+    expect(bytes).toBe(3);
+    expect(progress).toEqual([2, 3]);
+    expect(await promises.readFile(file, "utf8")).toBe("abc");
+  });
+
+  test("writes parsed data as JSON", async function () {
+    const file = path.join(directory, "data.json");
+    await saveTo({ a: 1 }, file);
+
+    expect(await promises.readFile(file, "utf8")).toBe('{"a":1}');
+  });
+
+  test("writes an empty file for a response without data", async function () {
+    const file = path.join(directory, "empty.txt");
+
+    expect(await saveTo(undefined, file)).toBe(0);
+    expect(await promises.readFile(file, "utf8")).toBe("");
+  });
+
+  test("writes to a stream without ending it", async function () {
+    const destination = new PassThrough();
+    await saveTo("abc", destination);
+
+    expect(destination.writableEnded).toBe(false);
+    expect(destination.read().toString()).toBe("abc");
+  });
+});
+
+describe("download", function () {
+  let requester;
+  let transport;
+  beforeEach(function () {
+    requester = new Requester({ throwOnFailure: false });
+    transport = requester.mock();
+  });
+
+  test("streams the response to a file", async function () {
+    const file = path.join(directory, "download.txt");
+    const progress = [];
+    transport.on("get", "/file", () => ({
+      headers: { "content-length": "5" },
+      data: Readable.from(["hello"]),
+    }));
+    await requester.download("http://api.test/file", "file", file, "v", 1, {
+      onProgress: (event) => progress.push(event),
+    });
+
+    expect(requester.response("file").data).toEqual({
+      destination: file,
+      bytes: 5,
+    });
+    expect(transport.history[0].params).toEqual({ v: 1 });
+    expect(progress).toEqual([
+      { id: "file", direction: "download", loaded: 5, total: 5 },
+    ]);
+    expect(await promises.readFile(file, "utf8")).toBe("hello");
+  });
+
+  test("closes the body of a failed download", async function () {
+    const body = Readable.from(["not found"]);
+    transport.on("get", "/missing", { status: 404, data: body });
+    await requester.download(
+      "http://api.test/missing",
+      "missing",
+      path.join(directory, "missing.txt")
+    );
+
+    expect(requester.error("missing")).toBeInstanceOf(NotFoundError);
+    expect(body.destroyed).toBe(true);
+  });
+
+  test("closes the body when writing fails", async function () {
+    const body = Readable.from(["data"]);
+    transport.on("get", "/file", { data: body });
+    await requester.download(
+      "http://api.test/file",
+      "file",
+      path.join(directory, "no such directory", "file.txt")
+    );
+
+    expect(requester.error("file").code).toBe("ENOENT");
+    expect(body.destroyed).toBe(true);
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * @file Tests of the cache option and ResponseCache
+ */
+"use strict";
+
+import { Requester } from "../requester.js";
+import { ResponseCache } from "../cache.js";
+import { BearerAuth } from "../auth.js";
+
+let requester;
+let transport;
+beforeEach(function () {
+  requester = new Requester({ cache: true });
+  transport = requester.mock();
+});
+
+test("answers fresh responses from the cache", async function () {
+  transport.on("get", "/fresh", {
+    headers: { "cache-control": "max-age=60" },
+    data: { value: 1 },
+  });
+
+  await requester.get("http://api.test/fresh", "first");
+  await requester.get("http://api.test/fresh", "second");
+
+  expect(requester.response("first").cached).toBeUndefined();
+  const second = requester.response("second");
+  expect(second.cached).toBe(true);
+  expect(second.data).toEqual({ value: 1 });
+  expect(transport.history).toHaveLength(1);
+});
+
+test("revalidates stale responses with their validators", async function () {
+  transport
+    .on(
+      "get",
+      "/stale",
+      { headers: { "cache-control": "no-cache", etag: '"v1"' }, data: "body" },
+      { times: 1 }
+    )
+    .on("get", "/stale", { status: 304, headers: { etag: '"v1"' } });
+
+  await requester.get("http://api.test/stale", "first");
+  await requester.get("http://api.test/stale", "second");
+
+  expect(transport.history[1].headers["If-None-Match"]).toBe('"v1"');
+  const second = requester.response("second");
+  expect(second.status).toBe(200);
+  expect(second.data).toBe("body");
+  expect(second.cached).toBe(true);
+});
+
+test("does not keep no-store responses", async function () {
+  transport.on("get", "/private", {
+    headers: { "cache-control": "no-store" },
+    data: "secret",
+  });
+
+  await requester.get("http://api.test/private", "first");
+  await requester.get("http://api.test/private", "second");
+  expect(transport.history).toHaveLength(2);
+});
+
+test("does not cache binary responses", async function () {
+  transport.on("get", "/binary", {
+    headers: { "cache-control": "max-age=60" },
+    data: Buffer.from("abc"),
+  });
+
+  const options = { responseType: "arraybuffer" };
+  await requester.get("http://api.test/binary", "first", options);
+  await requester.get("http://api.test/binary", "second", options);
+
+  expect(transport.history).toHaveLength(2);
+  expect(requester.response("second").data).toEqual(Buffer.from("abc"));
+});
+
+test("does not share responses between response types", async function () {
+  const headers = { "cache-control": "max-age=60" };
+  transport
+    .on("get", "/typed", { headers: headers, data: "text" }, { times: 1 })
+    .on("get", "/typed", { headers: headers, data: { value: 1 } });
+
+  await requester.get("http://api.test/typed", "text", {
+    responseType: "text",
+  });
+  await requester.get("http://api.test/typed", "json");
+
+  expect(transport.history).toHaveLength(2);
+  expect(requester.response("text").data).toBe("text");
+  expect(requester.response("json").data).toEqual({ value: 1 });
+});
+
+test("does not share responses between different credentials", async function () {
+  const cache = new ResponseCache();
+  const reply = (request) => ({
+    headers: { "cache-control": "max-age=60" },
+    data: request.headers.Authorization || "anonymous",
+  });
+  const create = function (options) {
+    const instance = new Requester({ cache: cache, ...options });
+    instance.mock().on("get", "/me", reply);
+    return instance;
+  };
+  const alice = create({ headers: { Authorization: "Bearer alice" } });
+  const bob = create({ auth: new BearerAuth("bob") });
+  const anonymous = create({});
+
+  await alice.get("http://api.test/me", "me");
+  await bob.get("http://api.test/me", "me");
+  await anonymous.get("http://api.test/me", "me");
+  await alice.get("http://api.test/me", "again");
+
+  expect(alice.response("me").data).toBe("Bearer alice");
+  expect(bob.response("me").data).toBe("Bearer bob");
+  expect(anonymous.response("me").data).toBe("anonymous");
+  expect(alice.response("again").cached).toBe(true);
+});
+
+test("only answers requests matching the Vary headers", async function () {
+  transport.on("get", "/greeting", (request) => ({
+    headers: { "cache-control": "max-age=60", vary: "Accept-Language" },
+    data: request.headers["Accept-Language"],
+  }));
+  const get = (id, language) =>
+    requester.get("http://api.test/greeting", id, {
+      headers: { "Accept-Language": language },
+    });
+
+  await get("fr", "fr");
+  await get("de", "de");
+  await get("de again", "de");
+
+  expect(requester.response("fr").data).toBe("fr");
+  expect(requester.response("de").data).toBe("de");
+  const again = requester.response("de again");
+  expect(again.data).toBe("de");
+  expect(again.cached).toBe(true);
+});
+
+test("evicts the least recently used entries", async function () {
+  const cache = new ResponseCache({ maxEntries: 2, ttl: 60000 });
+  const response = { status: 200, headers: {}, data: 1 };
+  const config = (url) => ({ method: "get", url: url });
+
+  await cache.store(cache.key(config("/a")), response);
+  await cache.store(cache.key(config("/b")), response);
+  await cache.lookup(cache.key(config("/a")));
+  await cache.store(cache.key(config("/c")), response);
+
+  expect(await cache.lookup(cache.key(config("/a")))).toBeDefined();
+  expect(await cache.lookup(cache.key(config("/b")))).toBeUndefined();
+  expect(await cache.lookup(cache.key(config("/c")))).toBeDefined();
+});
+
+test("keys ignore the order of parameters", function () {
+  const cache = new ResponseCache();
+  expect(cache.key({ method: "get", url: "/a", params: { x: 1, y: 2 } })).toBe(
+    cache.key({ method: "GET", url: "/a", params: { y: 2, x: 1 } })
+  );
+  expect(cache.key({ method: "get", url: "/a" }, "secret")).not.toContain(
+    "secret"
+  );
+});
@@ -0,0 +1,250 @@
+/**
+ * @file Tests of the cookie jar
+ */
+"use strict";
+
+import { promises } from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+
+import { jest } from "@jest/globals";
+
+import { Requester } from "../requester.js";
+import { BearerAuth } from "../auth.js";
+import { urlencoded } from "../bodies.js";
+import { CookieJar } from "../cookies.js";
+
+afterEach(function () {
+  jest.useRealTimers();
+});
+
+describe("CookieJar", function () {
+  test("sends cookies to their domain and path", function () {
+    const jar = new CookieJar();
+    jar.store(
+      ["a=1", "b=2; Path=/", "c=3; Domain=.example.com; Path=/shop"],
+      "http://www.example.com/account/login"
+    );
+
+    expect(jar.header("http://www.example.com/account/settings")).toBe(
+      "a=1; b=2"
+    );
+    expect(jar.header("http://www.example.com/shop/cart")).toBe("c=3; b=2");
+    expect(jar.header("http://cdn.example.com/shop")).toBe("c=3");
+    expect(jar.header("http://www.example.com/shopping")).toBe("b=2");
+    expect(jar.header("http://other.test/account/")).toBe("");
+  });
+
+  test("rejects cookies for other domains", function () {
+    const jar = new CookieJar();
+    jar.store(
+      ["a=1; Domain=other.test", "b=2; Domain=com", "=3", "novalue"],
+      "http://www.example.com/"
+    );
+
+    expect(jar.toJSON()).toEqual([]);
+  });
+
+  test("only sends and accepts secure cookies over HTTPS", function () {
+    const jar = new CookieJar();
+    jar.store("insecure=1; Secure", "http://example.com/");
+    jar.store(
+      "secure=1; Secure; HttpOnly; SameSite=Strict",
+      "https://example.com/"
+    );
+
+    expect(jar.header("http://example.com/")).toBe("");
+    expect(jar.header("https://example.com/")).toBe("secure=1");
+    expect(jar.match("https://example.com/")[0]).toMatchObject({
+      httpOnly: true,
+      sameSite: "Strict",
+    });
+  });
+
+  test("expires cookies, Max-Age taking precedence", function () {
+    jest.useFakeTimers({ now: 0 });
+    const jar = new CookieJar();
+    jar.store(
+      [
+        "short=1; Max-Age=10; Expires=Wed, 21 Oct 2099 07:28:00 GMT",
+        "long=1; Expires=Wed, 21 Oct 2099 07:28:00 GMT",
+        "session=1",
+      ],
+      "http://example.com/"
+    );
+    jest.setSystemTime(11000);
+
+    expect(jar.header("http://example.com/")).toBe("long=1; session=1");
+    jar.store("long=; Max-Age=0", "http://example.com/");
+    expect(jar.header("http://example.com/")).toBe("session=1");
+  });
+
+  test("replaces cookies, keeping their creation order", function () {
+    const jar = new CookieJar();
+    jar.store(["a=1", "b=2"], "http://example.com/");
+    jar.store("a=3", "http://example.com/");
+
+    expect(jar.header("http://example.com/")).toBe("a=3; b=2");
+    jar.clear("other.test");
+    expect(jar.toJSON()).toHaveLength(2);
+    jar.clear("EXAMPLE.com");
+    expect(jar.toJSON()).toEqual([]);
+  });
+
+  test("is saved to and loaded from JSON files", async function () {
+    const directory = await promises.mkdtemp(path.join(os.tmpdir(), "jar-"));
+    try {
+      const file = path.join(directory, "cookies.json");
+      expect((await CookieJar.load(file)).toJSON()).toEqual([]);
+
+      const jar = new CookieJar();
+      jar.store("a=1", "http://example.com/");
+      await jar.save(file);
+      const loaded = await CookieJar.load(file);
+
+      expect(loaded.header("http://example.com/")).toBe("a=1");
+      expect(CookieJar.fromJSON(JSON.stringify(jar)).toJSON()).toEqual(
+        jar.toJSON()
+      );
+    } finally {
+      await promises.rm(directory, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("the cookies option", function () {
+  test("keeps cookies between requests", async function () {
+    const requester = new Requester({ cookies: true });
+    const transport = requester.mock();
+    transport
+      .on("post", "/login", { headers: { "set-cookie": ["session=s1"] } })
+      .on("get", "/account", (request) => ({ data: request.headers }));
+    await requester.post("http://api.test/login", "login", {});
+    await requester.get("http://api.test/account", "account", {
+      headers: { cookie: "theme=dark" },
+    });
+
+    expect(requester.response("account").data.cookie).toBe(
+      "theme=dark; session=s1"
+    );
+    expect(requester.cookieJar().header("http://api.test/")).toBe("session=s1");
+  });
+
+  test("keeps the cookies of every response of a redirect", async function () {
+    const requester = new Requester({ cookies: new CookieJar() });
+    const transport = requester.mock();
+    transport
+      .on("post", "/login", {
+        status: 303,
+        headers: { location: "/home?welcome=1", "set-cookie": "session=s1" },
+      })
+      .on("get", "/home", (request) => ({
+        data: { params: request.params, cookie: request.headers.Cookie },
+      }));
+    await requester.post("http://api.test/login", "login", { user: "ann" });
+
+    expect(requester.response("login").data).toEqual({
+      params: {},
+      cookie: "session=s1",
+    });
+    expect(transport.history[1]).toMatchObject({
+      method: "get",
+      url: "http://api.test/home?welcome=1",
+      data: undefined,
+    });
+  });
+
+  test("does not send credentials to another origin", async function () {
+    const jar = new CookieJar();
+    jar.store("theirs=1", "http://other.test/");
+    const requester = new Requester({
+      cookies: jar,
+      auth: new BearerAuth("secret"),
+    });
+    const transport = requester.mock();
+    transport
+      .on("get", "http://api.test/start", {
+        status: 302,
+        headers: { location: "http://other.test/end", "set-cookie": "a=1" },
+      })
+      .on("get", "http://other.test/end", { data: "end" });
+    await requester.get("http://api.test/start", "start", {
+      headers: { Cookie: "mine=1", "Proxy-Authorization": "Basic secret" },
+    });
+
+    expect(transport.history[0].headers).toMatchObject({
+      Authorization: "Bearer secret",
+      "Proxy-Authorization": "Basic secret",
+      Cookie: "mine=1",
+    });
+    const headers = transport.history[1].headers;
+    expect(headers.Cookie).toBe("theirs=1");
+    expect(headers).not.toHaveProperty("Authorization");
+    expect(headers).not.toHaveProperty("Proxy-Authorization");
+  });
+
+  test("drops the headers of a body dropped by a redirect", async function () {
+    const requester = new Requester({ cookies: true });
+    const transport = requester.mock();
+    transport
+      .on("post", "/login", { status: 303, headers: { location: "/home" } })
+      .on("get", "/home", { data: "home" });
+    await requester.post(
+      "http://api.test/login",
+      "login",
+      urlencoded({ user: "ann" })
+    );
+
+    expect(transport.history[0].headers).toHaveProperty("Content-Length");
+    expect(transport.history[1].headers).toEqual({});
+    expect(requester.response("login").data).toBe("home");
+  });
+
+  test("stops following redirects after maxRedirects", async function () {
+    const requester = new Requester({ cookies: true, throwOnFailure: false });
+    requester
+      .mock()
+      .on("get", "/loop", { status: 302, headers: { location: "/loop" } });
+    await requester.get("http://api.test/loop", "loop");
+
+    expect(requester.error("loop").status).toBe(302);
+  });
+
+  describe.each(["axios", "fetch", "http"])(
+    "with the %s transport",
+    function (transport) {
+      let server;
+      let base;
+      beforeAll(async function () {
+        server = http.createServer(function (request, response) {
+          if (request.url === "/login") {
+            response.statusCode = 302;
+            response.setHeader("Location", "/home");
+            response.setHeader("Set-Cookie", "session=s1; Path=/");
+            response.end();
+          } else response.end(request.headers.cookie || "");
+        });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+      });
+
+      afterAll(async function () {
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+      });
+
+      test("sends the cookie set by a redirect", async function () {
+        const requester = new Requester({
+          cookies: true,
+          transport: transport,
+        });
+        await requester.get(`${base}/login`, "login", {
+          responseType: "text",
+        });
+
+        expect(requester.response("login").data).toBe("session=s1");
+      });
+    }
+  );
+});
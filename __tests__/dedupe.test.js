@@ -0,0 +1,105 @@
+/**
+ * @file Tests of the dedupe option
+ */
+"use strict";
+
+import { Requester } from "../requester.js";
+import { BearerAuth } from "../auth.js";
+import { NotFoundError, RequestCancelledError } from "../errors.js";
+
+let requester;
+let transport;
+beforeEach(function () {
+  requester = new Requester({ throwOnFailure: false, dedupe: true });
+  transport = requester.mock();
+  transport
+    .on("get", "/items", (request) => ({ delay: 20, data: request.params }))
+    .on("get", "/missing", { delay: 20, status: 404 })
+    .on("post", "/items", { delay: 20, status: 201 });
+});
+
+test("identical GET requests in flight share one request", async function () {
+  await Promise.all([
+    requester.get("http://api.test/items", "first", "page", 1),
+    requester.get("http://api.test/items", "second", "page", 1),
+    requester.get("http://api.test/items", "other page", "page", 2),
+  ]);
+
+  expect(transport.history).toHaveLength(2);
+  const first = requester.response("first");
+  const second = requester.response("second");
+  expect(second.data).toEqual({ page: 1 });
+  expect(second).not.toBe(first);
+  expect(requester.response("other page").data).toEqual({ page: 2 });
+});
+
+test("finished requests are not shared", async function () {
+  await requester.get("http://api.test/items", "first");
+  await requester.get("http://api.test/items", "second");
+
+  expect(transport.history).toHaveLength(2);
+});
+
+test("only GET requests are shared", async function () {
+  await Promise.all([
+    requester.post("http://api.test/items", "first", {}),
+    requester.post("http://api.test/items", "second", {}),
+  ]);
+
+  expect(transport.history).toHaveLength(2);
+});
+
+test("requests with different credentials are not shared", async function () {
+  await Promise.all([
+    requester.get("http://api.test/items", "first", {
+      auth: new BearerAuth("one"),
+    }),
+    requester.get("http://api.test/items", "second", {
+      auth: new BearerAuth("two"),
+    }),
+  ]);
+
+  expect(transport.history).toHaveLength(2);
+});
+
+test("each request gets its own copy of a shared error", async function () {
+  await Promise.all([
+    requester.get("http://api.test/missing", "first"),
+    requester.get("http://api.test/missing", "second"),
+  ]);
+
+  const first = requester.error("first");
+  const second = requester.error("second");
+  expect(first).toBeInstanceOf(NotFoundError);
+  expect(second).toBeInstanceOf(NotFoundError);
+  expect(first.id).toBe("first");
+  expect(second.id).toBe("second");
+});
+
+test("cancelling one request leaves the shared request running", async function () {
+  const first = requester.get("http://api.test/items", "first");
+  const second = requester.get("http://api.test/items", "second");
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  requester.cancel("first");
+  await Promise.all([first, second]);
+
+  expect(requester.error("first")).toBeInstanceOf(RequestCancelledError);
+  expect(requester.response("second").data).toEqual({});
+});
+
+test("cancelling every request aborts the shared request", async function () {
+  const requests = [
+    requester.get("http://api.test/items", "first"),
+    requester.get("http://api.test/items", "second"),
+  ];
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  requester.cancelAll();
+  await Promise.all(requests);
+  await requester.get("http://api.test/items", "third");
+
+  expect(requester.error("first")).toBeInstanceOf(RequestCancelledError);
+  expect(requester.error("second")).toBeInstanceOf(RequestCancelledError);
+  // the aborted request is no longer shared
+  expect(transport.history).toHaveLength(2);
+  expect(requester.response("third").data).toEqual({});
+});
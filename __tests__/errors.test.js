@@ -0,0 +1,118 @@
+/**
+ * @file Tests of the request error hierarchy
+ */
+"use strict";
+
+import { Requester } from "../requester.js";
+import {
+  ClientError,
+  HTTPError,
+  NetworkError,
+  NotFoundError,
+  ParseError,
+  RequestError,
+  RequestTimeoutError,
+  ServerError,
+  ServiceUnavailableError,
+  TimeoutError,
+  createHTTPError,
+} from "../errors.js";
+
+let requester;
+let transport;
+beforeEach(function () {
+  requester = new Requester({ throwOnFailure: false });
+  transport = requester.mock();
+});
+
+test("createHTTPError uses the most specific class of a status", function () {
+  expect(createHTTPError("", { status: 404 })).toBeInstanceOf(NotFoundError);
+  expect(createHTTPError("", { status: 503 })).toBeInstanceOf(
+    ServiceUnavailableError
+  );
+
+  const teapot = createHTTPError("", { status: 418 });
+  expect(teapot).toBeInstanceOf(ClientError);
+  expect(teapot.name).toBe("ClientError");
+
+  const server = createHTTPError("", { status: 599 });
+  expect(server).toBeInstanceOf(ServerError);
+  expect(server).not.toBeInstanceOf(ClientError);
+
+  const other = createHTTPError("", { status: 304 });
+  expect(other).toBeInstanceOf(HTTPError);
+  expect(other).not.toBeInstanceOf(ClientError);
+  expect(other).not.toBeInstanceOf(ServerError);
+});
+
+test("HTTP errors describe the request and response", async function () {
+  transport.on("get", "/missing", {
+    status: 404,
+    headers: { "x-reason": "gone" },
+    data: { error: "missing" },
+  });
+  await requester.get("http://api.test/missing", "missing");
+
+  const error = requester.error("missing");
+  expect(error).toBeInstanceOf(NotFoundError);
+  expect(error).toBeInstanceOf(RequestError);
+  expect(error).toMatchObject({
+    name: "NotFoundError",
+    id: "missing",
+    method: "get",
+    url: "http://api.test/missing",
+    status: 404,
+    headers: { "x-reason": "gone" },
+    body: { error: "missing" },
+  });
+});
+
+test("requests without a response fail with a NetworkError", async function () {
+  transport.on("get", "/refused", { networkError: "ECONNREFUSED" });
+  await requester.get("http://api.test/refused", "refused");
+
+  const error = requester.error("refused");
+  expect(error).toBeInstanceOf(NetworkError);
+  expect(error).not.toBeInstanceOf(HTTPError);
+  expect(error.code).toBe("ECONNREFUSED");
+  expect(error.status).toBeUndefined();
+  expect(error.cause).toBeInstanceOf(Error);
+});
+
+test("timed out requests fail with a TimeoutError", async function () {
+  transport.on("get", "/slow", { delay: 1000 });
+  await requester.get("http://api.test/slow", "slow", { timeout: 10 });
+
+  const error = requester.error("slow");
+  expect(error).toBeInstanceOf(TimeoutError);
+  expect(error).toBeInstanceOf(NetworkError);
+  expect(error).toBeInstanceOf(RequestTimeoutError);
+});
+
+test("RequestTimeoutError is an alias of TimeoutError", function () {
+  expect(RequestTimeoutError).toBe(TimeoutError);
+});
+
+test("invalid JSON fails with a ParseError", async function () {
+  transport.on("get", "/broken", {
+    headers: { "content-type": "application/json" },
+    data: "{broken",
+  });
+  await requester.get("http://api.test/broken", "broken");
+
+  const error = requester.error("broken");
+  expect(error).toBeInstanceOf(ParseError);
+  expect(error.body).toBe("{broken");
+  expect(error.cause).toBeInstanceOf(SyntaxError);
+});
+
+test("errors thrown by middleware are not wrapped", async function () {
+  const thrown = new Error("middleware");
+  requester.use(async function () {
+    throw thrown;
+  });
+  transport.on("get", "/ok", { data: "ok" });
+  await requester.get("http://api.test/ok", "ok");
+
+  expect(requester.error("ok")).toBe(thrown);
+});
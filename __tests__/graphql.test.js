@@ -0,0 +1,167 @@
+/**
+ * @file Tests of GraphQL requests
+ */
+"use strict";
+
+import { createHash } from "crypto";
+
+import { Requester } from "../requester.js";
+import {
+  operationType,
+  persistedQueryNotFound,
+  queryHash,
+} from "../graphql.js";
+import { GraphQLError, ParseError } from "../errors.js";
+
+const query = "query User($id: ID!) { user(id: $id) { name } }";
+
+let requester;
+let transport;
+beforeEach(function () {
+  requester = new Requester({ throwOnFailure: false });
+  transport = requester.mock();
+});
+
+describe("helpers", function () {
+  test("operationType finds the operation performed", function () {
+    expect(operationType("{ user { name } }")).toBe("query");
+    expect(operationType(query)).toBe("query");
+    expect(
+      operationType('mutation { rename(name: "query { }") { name } }')
+    ).toBe("mutation");
+    expect(
+      operationType(
+        "# subscription Ignored\nfragment F on User { name }\nsubscription Events { events { ...F } }"
+      )
+    ).toBe("subscription");
+
+    const both = "query A { a } mutation B { b }";
+    expect(operationType(both)).toBeUndefined();
+    expect(operationType(both, "B")).toBe("mutation");
+    expect(operationType(both, "C")).toBeUndefined();
+  });
+
+  test("queryHash is the hexadecimal SHA-256 hash", async function () {
+    expect(await queryHash(query)).toBe(
+      createHash("sha256").update(query).digest("hex")
+    );
+  });
+
+  test("persistedQueryNotFound reads both error styles", function () {
+    expect(
+      persistedQueryNotFound({
+        errors: [{ message: "PersistedQueryNotFound" }],
+      })
+    ).toBe(true);
+    expect(
+      persistedQueryNotFound({
+        errors: [
+          {
+            message: "not found",
+            extensions: { code: "PERSISTED_QUERY_NOT_FOUND" },
+          },
+        ],
+      })
+    ).toBe(true);
+    expect(persistedQueryNotFound({ data: {} })).toBe(false);
+    expect(persistedQueryNotFound("text")).toBe(false);
+  });
+});
+
+describe("Requester.graphql", function () {
+  test("posts the query and unwraps the data", async function () {
+    transport.on("post", "/graphql", (request) => ({
+      data: { data: { user: { name: `user ${request.data.variables.id}` } } },
+    }));
+    await requester.graphql("http://api.test/graphql", "user", query, {
+      id: 7,
+    });
+
+    expect(requester.response("user").data).toEqual({
+      user: { name: "user 7" },
+    });
+    expect(transport.history[0].data).toEqual({
+      query: query,
+      variables: { id: 7 },
+    });
+  });
+
+  test("fails with the errors of the result", async function () {
+    transport.on("post", "/graphql", {
+      data: {
+        data: { user: null },
+        errors: [
+          { message: "not allowed", path: ["user"], locations: [{ line: 1 }] },
+          { message: "also wrong" },
+        ],
+      },
+    });
+    await requester.graphql("http://api.test/graphql", "user", query);
+
+    const error = requester.error("user");
+    expect(error).toBeInstanceOf(GraphQLError);
+    expect(error.message).toMatch(/not allowed; also wrong$/);
+    expect(error.status).toBe(200);
+    expect(error.paths).toEqual([["user"]]);
+    expect(error.locations).toEqual([{ line: 1 }]);
+    expect(error.body.data).toEqual({ user: null });
+  });
+
+  test("fails with a ParseError when the response is not a result", async function () {
+    transport.on("post", "/graphql", { data: "<html>" });
+    await requester.graphql("http://api.test/graphql", "user", query);
+
+    expect(requester.error("user")).toBeInstanceOf(ParseError);
+  });
+
+  test("unwraps results given by middleware", async function () {
+    requester.use(() => ({ status: 200, data: { data: { user: null } } }));
+    await requester.graphql("http://api.test/graphql", "user", query);
+
+    expect(requester.response("user").data).toEqual({ user: null });
+    expect(transport.history).toEqual([]);
+  });
+
+  test("sends queries with GET when asked, but not mutations", async function () {
+    transport.any("/graphql", { data: { data: {} } });
+    requester.setOptions({ graphql: { get: true } });
+    await requester.graphql(
+      "http://api.test/graphql",
+      "query",
+      "query A { a } mutation B { b }",
+      {},
+      { operationName: "A" }
+    );
+    await requester.graphql(
+      "http://api.test/graphql",
+      "mutation",
+      "mutation { b }"
+    );
+
+    expect(transport.history[0]).toMatchObject({
+      method: "get",
+      params: { operationName: "A", variables: {} },
+    });
+    expect(transport.history[1].method).toBe("post");
+  });
+
+  test("registers persisted queries the server does not know", async function () {
+    const known = new Set();
+    transport.on("post", "/graphql", function (request) {
+      const hash = request.data.extensions.persistedQuery.sha256Hash;
+      if (request.data.query !== undefined) known.add(hash);
+      return known.has(hash)
+        ? { data: { data: { ok: true } } }
+        : { data: { errors: [{ message: "PersistedQueryNotFound" }] } };
+    });
+    requester.setOptions({ graphql: { persisted: true } });
+    await requester.graphql("http://api.test/graphql", "first", query);
+    await requester.graphql("http://api.test/graphql", "second", query);
+
+    expect(requester.response("first").data).toEqual({ ok: true });
+    expect(requester.response("second").data).toEqual({ ok: true });
+    expect(
+      transport.history.map((request) => request.data.query !== undefined)
+    ).toEqual([false, true, false]);
+  });
+});
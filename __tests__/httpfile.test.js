@@ -0,0 +1,251 @@
+/**
+ * @file Tests of .http request files and the command line interface
+ */
+"use strict";
+
+import { execFile } from "child_process";
+import { promises } from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+import { expandVariables, parseHTTPFile, references } from "../httpfile.js";
+
+describe("parseHTTPFile", function () {
+  test("reads variables, requests, headers and bodies", function () {
+    const file = parseHTTPFile(
+      [
+        "@host = http://api.test",
+        "",
+        "### Login",
+        "# @name login",
+        "POST {{host}}/login HTTP/1.1",
+        "Content-Type: application/json",
+        "",
+        '{"user": "ann"}',
+        "",
+        "### List items",
+        "// a comment",
+        "{{host}}/items",
+        "Authorization: Bearer {{login.response.body.$.token}}",
+        "###",
+        "DELETE {{host}}/items/1",
+      ].join("\r\n")
+    );
+
+    expect(file.variables).toEqual({ host: "http://api.test" });
+    expect(file.requests).toEqual([
+      {
+        name: "login",
+        method: "post",
+        url: "{{host}}/login",
+        headers: { "Content-Type": "application/json" },
+        body: '{"user": "ann"}',
+        line: 5,
+      },
+      {
+        name: "List items",
+        method: "get",
+        url: "{{host}}/items",
+        headers: {
+          Authorization: "Bearer {{login.response.body.$.token}}",
+        },
+        body: undefined,
+        line: 12,
+      },
+      {
+        name: "request 3",
+        method: "delete",
+        url: "{{host}}/items/1",
+        headers: {},
+        body: undefined,
+        line: 15,
+      },
+    ]);
+  });
+
+  test("rejects unreadable request and header lines", function () {
+    expect(() => parseHTTPFile("FETCH http://api.test/")).toThrow(
+      'Line 1: expected a method and URL, found "FETCH http://api.test/".'
+    );
+    expect(() => parseHTTPFile("GET http://api.test/\nnot a header")).toThrow(
+      SyntaxError
+    );
+  });
+});
+
+describe("variables", function () {
+  const responses = {
+    login: {
+      status: 200,
+      headers: { "x-session": "s1" },
+      body: { token: "t1", user: { id: 7 } },
+    },
+  };
+
+  test("references lists the requests a text refers to", function () {
+    expect(
+      references(
+        "{{login.response.body.token}} {{login.response.status}} {{other.response.headers.X}} {{host}}"
+      )
+    ).toEqual(["login", "other"]);
+    expect(references()).toEqual([]);
+  });
+
+  test("expandVariables replaces every kind of variable", function () {
+    process.env.HTTPFILE_TEST = "from env";
+    try {
+      expect(
+        expandVariables(
+          "{{url}} {{ login.response.body.$.token }} {{login.response.body.user}} " +
+            "{{login.response.headers.X-Session}} {{login.response.status}} " +
+            "{{$processEnv HTTPFILE_TEST}}",
+          { host: "api.test", url: "http://{{host}}/" },
+          responses
+        )
+      ).toBe('http://api.test/ t1 {"id":7} s1 200 from env');
+    } finally {
+      delete process.env.HTTPFILE_TEST;
+    }
+    expect(Number(expandVariables("{{$timestamp}}"))).toBeCloseTo(
+      Date.now() / 1000,
+      -1
+    );
+  });
+
+  test("expandVariables rejects undefined and circular variables", function () {
+    expect(() => expandVariables("{{missing}}")).toThrow(ReferenceError);
+    expect(() => expandVariables("{{a}}", { a: "{{b}}", b: "{{a}}" })).toThrow(
+      "Variable a refers to itself."
+    );
+    expect(() => expandVariables("{{other.response.status}}")).toThrow(
+      "Request other has no response."
+    );
+    expect(() =>
+      expandVariables("{{login.response.body.missing}}", {}, responses)
+    ).toThrow(ReferenceError);
+    expect(() => expandVariables("{{$processEnv HTTPFILE_UNSET}}")).toThrow(
+      ReferenceError
+    );
+  });
+});
+
+describe("command line", function () {
+  const cli = path.join(
+    path.dirname(fileURLToPath(import.meta.url)),
+    "..",
+    "cli.js"
+  );
+  let server;
+  let base;
+  let directory;
+
+  /**
+   * Run the command
+   * @param {Array<string>} args - Arguments of the command
+   * @return {Promise<Object>} Exit code, stdout and stderr.
+   */
+  function run(args) {
+    return new Promise(function (resolve) {
+      execFile(
+        process.execPath,
+        [cli, ...args],
+        { timeout: 10000 },
+        (error, stdout, stderr) =>
+          resolve({
+            code: error === null ? 0 : error.code,
+            stdout: stdout,
+            stderr: stderr,
+          })
+      );
+    });
+  }
+
+  beforeAll(async function () {
+    server = http.createServer(function (request, response) {
+      response.setHeader("Content-Type", "application/json");
+      if (request.url === "/login")
+        response.end(JSON.stringify({ token: "t1" }));
+      else if (request.url === "/missing") {
+        response.statusCode = 404;
+        response.end("{}");
+      } else
+        response.end(
+          JSON.stringify({
+            url: request.url,
+            authorization: request.headers.authorization,
+          })
+        );
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+    directory = await promises.mkdtemp(path.join(os.tmpdir(), "httpfile-"));
+  });
+
+  afterAll(async function () {
+    await new Promise((resolve) => server.close(resolve));
+    await promises.rm(directory, { recursive: true, force: true });
+  });
+
+  test("runs a single request", async function () {
+    const { code, stdout } = await run([
+      "-q",
+      "-p",
+      "a=1",
+      "-b",
+      "secret",
+      `${base}/echo`,
+    ]);
+
+    expect(code).toBe(0);
+    expect(JSON.parse(stdout)).toEqual({
+      url: "/echo?a=1",
+      authorization: "Bearer secret",
+    });
+  });
+
+  test("runs a file, passing responses to later requests", async function () {
+    const file = path.join(directory, "requests.http");
+    await promises.writeFile(
+      file,
+      [
+        `@host = ${base}`,
+        "# @name login",
+        "POST {{host}}/login",
+        "",
+        "{}",
+        "",
+        "###",
+        "# @name items",
+        "GET {{host}}/items",
+        "Authorization: Bearer {{login.response.body.token}}",
+      ].join("\n")
+    );
+    const { code, stdout } = await run([
+      "-q",
+      "-n",
+      "login",
+      "-n",
+      "items",
+      file,
+    ]);
+
+    expect(code).toBe(0);
+    expect(stdout).toBe(
+      [{ token: "t1" }, { url: "/items", authorization: "Bearer t1" }]
+        .map((body) => `${JSON.stringify(body, null, 2)}\n`)
+        .join("")
+    );
+  });
+
+  test("exits with 1 on failure and 2 on misuse", async function () {
+    const failedRun = await run(["-q", `${base}/missing`]);
+    const misused = await run(["FETCH", `${base}/`]);
+
+    expect(failedRun.code).toBe(1);
+    expect(failedRun.stderr).toMatch(/^NotFoundError: /);
+    expect(misused.code).toBe(2);
+    expect(misused.stderr).toMatch(/Unknown method FETCH/);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * @file Tests of Requester.create(), Requester.extend(), the default
+ * instance and the baseURL option
+ */
+"use strict";
+
+import requester, { Requester } from "../requester.js";
+import { MockTransport } from "../mock.js";
+
+let transport;
+beforeEach(function () {
+  transport = new MockTransport();
+  transport.any("*", (request) => ({ data: request.url }));
+});
+
+test("the default export is a Requester", function () {
+  expect(requester).toBeInstanceOf(Requester);
+});
+
+test("create makes an instance with its own options", function () {
+  const api = Requester.create({ baseURL: "http://api.test" });
+  expect(api).toBeInstanceOf(Requester);
+  expect(api.setOptions(null).baseURL).toBe("http://api.test");
+  expect(requester.setOptions(null).baseURL).toBeUndefined();
+});
+
+describe("baseURL", function () {
+  test("resolves relative URLs", async function () {
+    const api = Requester.create({
+      baseURL: "http://api.test/v1/",
+      transport: transport,
+    });
+    await api.get("/items", "slash");
+    await api.get("items", "bare");
+    await api.get("", "empty");
+
+    expect(api.response("slash").data).toBe("http://api.test/v1/items");
+    expect(api.response("bare").data).toBe("http://api.test/v1/items");
+    expect(api.response("empty").data).toBe("http://api.test/v1/");
+  });
+
+  test("leaves absolute URLs alone", async function () {
+    const api = Requester.create({
+      baseURL: "http://api.test/v1",
+      transport: transport,
+    });
+    await api.get("http://other.test/x", "absolute");
+    expect(api.response("absolute").data).toBe("http://other.test/x");
+  });
+});
+
+describe("extend", function () {
+  test("starts the child with the parent's options and middleware", async function () {
+    const parent = Requester.create({
+      baseURL: "http://api.test",
+      headers: { "X-Parent": "1" },
+      transport: transport,
+    });
+    const seen = [];
+    parent.use((context, next) => seen.push(context.id) && next());
+    const child = parent.extend({ headers: { "X-Child": "2" } });
+
+    await child.get("/items", "items");
+    expect(transport.history[0].headers).toMatchObject({
+      "X-Parent": "1",
+      "X-Child": "2",
+    });
+    expect(seen).toEqual(["items"]);
+  });
+
+  test("keeps the instances independent", async function () {
+    const parent = Requester.create({ transport: transport });
+    const child = parent.extend();
+    child.setOptions({ baseURL: "http://child.test" });
+    const seen = [];
+    child.use((context, next) => seen.push(context.id) && next());
+
+    expect(parent.setOptions(null).baseURL).toBeUndefined();
+
+    await parent.get("http://api.test/a", "same");
+    await child.get("/a", "same");
+    expect(parent.response("same").data).toBe("http://api.test/a");
+    expect(child.response("same").data).toBe("http://child.test/a");
+    expect(seen).toEqual(["same"]);
+    expect(transport.history).toHaveLength(2);
+  });
+});
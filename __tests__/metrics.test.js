@@ -0,0 +1,201 @@
+/**
+ * @file Tests of events, statistics, history and HAR export
+ */
+"use strict";
+
+import { jest } from "@jest/globals";
+
+import { Requester } from "../requester.js";
+import { RequestMetrics, toHAR } from "../metrics.js";
+import { HTTPError } from "../errors.js";
+
+let requester;
+let transport;
+beforeEach(function () {
+  requester = new Requester({ throwOnFailure: false, history: 2 });
+  transport = requester.mock();
+  transport
+    .on("get", "/ok", { data: "ok", headers: { "Content-Type": "text/plain" } })
+    .on("get", "/missing", { status: 404 })
+    .on("post", "/items", { status: 201 });
+});
+
+describe("events", function () {
+  test("are emitted for responses and errors", async function () {
+    const events = [];
+    requester.on("request", (details) => events.push(["request", details.id]));
+    requester.on("response", (details) =>
+      events.push(["response", details.id, details.status])
+    );
+    requester.on("error", (details) =>
+      events.push(["error", details.id, details.error instanceof HTTPError])
+    );
+
+    await requester.get("http://api.test/ok", "ok");
+    await requester.get("http://api.test/missing", "missing");
+
+    expect(events).toEqual([
+      ["request", "ok"],
+      ["response", "ok", 200],
+      ["request", "missing"],
+      ["error", "missing", true],
+    ]);
+  });
+
+  test("stop once their listener is removed", async function () {
+    const listener = jest.fn();
+    const remove = requester.on("response", listener);
+    await requester.get("http://api.test/ok", "first");
+    remove();
+    expect(requester.off("response", listener)).toBe(false);
+    await requester.get("http://api.test/ok", "second");
+
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  test("report listener errors without affecting the request", async function () {
+    const thrown = new Error("listener");
+    const reported = [];
+    requester.on("response", function () {
+      throw thrown;
+    });
+    const later = jest.fn();
+    requester.on("response", later);
+    requester.on("listenerError", function (details) {
+      reported.push(details);
+      throw new Error("ignored");
+    });
+    await requester.get("http://api.test/ok", "ok");
+
+    expect(requester.response("ok").data).toBe("ok");
+    expect(later).toHaveBeenCalledTimes(1);
+    expect(reported).toEqual([{ id: "ok", event: "response", error: thrown }]);
+  });
+
+  test("ignore listener errors when nothing listens for them", async function () {
+    requester.on("request", function () {
+      throw new Error("listener");
+    });
+    await requester.get("http://api.test/ok", "ok");
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(requester.response("ok").data).toBe("ok");
+  });
+});
+
+describe("statistics", function () {
+  test("are counted per host", async function () {
+    transport.on("get", "http://other.test/ok", { data: "other" });
+    await requester.get("http://api.test/ok", "ok");
+    await requester.get("http://api.test/missing", "missing");
+    await requester.get("http://other.test/ok", "other");
+
+    const { total, hosts } = requester.stats();
+    expect(total).toMatchObject({
+      requests: 3,
+      inFlight: 0,
+      succeeded: 2,
+      failed: 1,
+      cancelled: 0,
+    });
+    expect(hosts["api.test"]).toMatchObject({ requests: 2, failed: 1 });
+    expect(hosts["other.test"]).toMatchObject({ requests: 1, succeeded: 1 });
+    expect(total.latency.max).toBeGreaterThanOrEqual(total.latency.min);
+
+    requester.resetStats();
+    expect(requester.stats().total.requests).toBe(0);
+  });
+
+  test("compute latency percentiles", function () {
+    const metrics = new RequestMetrics();
+    for (let duration = 1; duration <= 100; duration++) {
+      metrics.started("host");
+      metrics.completed("host", "succeeded", duration);
+    }
+
+    expect(metrics.stats().hosts.host.latency).toMatchObject({
+      min: 1,
+      p50: 50,
+      p99: 99,
+      max: 100,
+    });
+  });
+});
+
+describe("history", function () {
+  test("keeps the most recent requests", async function () {
+    await requester.get("http://api.test/ok", "first");
+    await requester.get("http://api.test/ok", "second");
+    await requester.get("http://api.test/missing", "third");
+
+    const history = requester.history();
+    expect(history.map((entry) => entry.id)).toEqual(["second", "third"]);
+    expect(history[1].response.status).toBe(404);
+    expect(history[1].error).toBeInstanceOf(HTTPError);
+
+    requester.clearHistory();
+    expect(requester.history()).toEqual([]);
+  });
+
+  test("is not kept by default", async function () {
+    const instance = new Requester();
+    instance.mock().on("get", "/ok", { data: "ok" });
+    await instance.get("http://api.test/ok", "ok");
+
+    expect(instance.history()).toEqual([]);
+  });
+});
+
+describe("HAR export", function () {
+  test("describes requests and responses", async function () {
+    await requester.get("http://api.test/ok", "ok", "page", 2, {
+      headers: { Authorization: "Bearer secret" },
+    });
+
+    const [entry] = requester.exportHAR().log.entries;
+    expect(entry.request.method).toBe("GET");
+    expect(entry.request.url).toBe("http://api.test/ok?page=2");
+    expect(entry.request.queryString).toEqual([{ name: "page", value: "2" }]);
+    expect(entry.request.headers).toContainEqual({
+      name: "Authorization",
+      value: "[REDACTED]",
+    });
+    expect(entry.response.status).toBe(200);
+    expect(entry.response.content).toMatchObject({
+      mimeType: "text/plain",
+      text: "ok",
+    });
+  });
+
+  test("takes the post data type from the Content-Type header", async function () {
+    await requester.post("http://api.test/items", "json", { name: "a" });
+    await requester.post("http://api.test/items", "form", "name=a", {
+      headers: { "content-type": "application/x-www-form-urlencoded" },
+    });
+
+    const [json, form] = requester.exportHAR().log.entries;
+    expect(json.request.postData).toEqual({
+      mimeType: "application/json",
+      text: '{"name":"a"}',
+    });
+    expect(form.request.postData).toEqual({
+      mimeType: "application/x-www-form-urlencoded",
+      text: "name=a",
+    });
+  });
+
+  test("accepts entries without response headers", function () {
+    const [entry] = toHAR([
+      {
+        started: new Date(),
+        duration: 1,
+        request: { method: "get", url: "/relative" },
+        response: { status: 204, statusText: "No Content" },
+      },
+    ]).log.entries;
+
+    expect(entry.request.url).toBe("/relative");
+    expect(entry.response.headers).toEqual([]);
+    expect(entry.response.content.mimeType).toBe("");
+  });
+});
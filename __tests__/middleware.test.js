@@ -0,0 +1,100 @@
+/**
+ * @file Tests of Requester.use() and Requester.eject()
+ */
+"use strict";
+
+import { Requester } from "../requester.js";
+import { NotFoundError } from "../errors.js";
+
+let requester;
+let transport;
+beforeEach(function () {
+  requester = new Requester();
+  transport = requester.mock();
+  transport.on("get", "/items", { data: ["a"] });
+  transport.on("get", "/missing", { status: 404 });
+});
+
+test("runs middleware in the order it was added", async function () {
+  const order = [];
+  requester.use(async function (context, next) {
+    order.push("first in");
+    const response = await next();
+    order.push("first out");
+    return response;
+  });
+  requester.use(async function (context, next) {
+    order.push("second in");
+    const response = await next();
+    order.push("second out");
+    return response;
+  });
+
+  await requester.get("http://api.test/items", "items");
+  expect(order).toEqual(["first in", "second in", "second out", "first out"]);
+});
+
+test("can change the request and the response", async function () {
+  requester.use(async function (context, next) {
+    context.config = {
+      ...context.config,
+      headers: { ...context.config.headers, "X-Trace": context.id },
+    };
+    const response = await next();
+    return { ...response, data: [...response.data, "b"] };
+  });
+
+  await requester.get("http://api.test/items", "items");
+  expect(transport.history[0].headers["X-Trace"]).toBe("items");
+  expect(requester.response("items").data).toEqual(["a", "b"]);
+});
+
+test("can answer a request itself", async function () {
+  requester.use(async function (context) {
+    return { status: 200, headers: {}, data: "from middleware" };
+  });
+
+  await requester.get("http://api.test/anything", "answered");
+  expect(requester.response("answered").data).toBe("from middleware");
+  expect(transport.history).toHaveLength(0);
+});
+
+test("can turn an error into a response", async function () {
+  requester.use(async function (context, next) {
+    try {
+      return await next();
+    } catch (error) {
+      if (!(error instanceof NotFoundError)) throw error;
+      return { status: 200, headers: {}, data: [] };
+    }
+  });
+
+  await requester.get("http://api.test/missing", "missing");
+  expect(requester.response("missing").data).toEqual([]);
+});
+
+test("a throwing middleware fails the request", async function () {
+  const failure = new Error("refused");
+  requester.use(function () {
+    throw failure;
+  });
+
+  await expect(requester.get("http://api.test/items", "items")).rejects.toBe(
+    failure
+  );
+});
+
+test("eject and the function returned by use remove middleware", async function () {
+  const calls = [];
+  const first = (context, next) => calls.push("first") && next();
+  const second = (context, next) => calls.push("second") && next();
+  requester.use(first);
+  const removeSecond = requester.use(second);
+
+  expect(requester.eject(first)).toBe(true);
+  expect(requester.eject(first)).toBe(false);
+  expect(removeSecond()).toBe(true);
+
+  await requester.get("http://api.test/items", "items");
+  expect(calls).toEqual([]);
+});
@@ -0,0 +1,195 @@
+/**
+ * @file Tests of MockTransport, RecordingTransport and ReplayTransport
+ */
+"use strict";
+
+import { promises } from "fs";
+import os from "os";
+import path from "path";
+import { PassThrough, Readable } from "stream";
+
+import { Requester } from "../requester.js";
+import { MockTransport } from "../mock.js";
+import { NetworkError, UnmatchedRequestError } from "../errors.js";
+
+let requester;
+let transport;
+beforeEach(function () {
+  requester = new Requester({ throwOnFailure: false });
+  transport = requester.mock();
+});
+
+describe("MockTransport", function () {
+  test("matches paths, whole URLs and regular expressions", async function () {
+    transport
+      .on("get", "/users/:id", (request, { id }) => ({ data: `user ${id}` }))
+      .on("get", "http://other.test/*", { data: "other" })
+      .on("get", /\/regexp$/, { data: "regexp" });
+
+    await requester.get("http://api.test/users/7", "path");
+    await requester.get("http://other.test/a/b", "url");
+    await requester.get("http://api.test/regexp", "regexp");
+
+    expect(requester.response("path").data).toBe("user 7");
+    expect(requester.response("url").data).toBe("other");
+    expect(requester.response("regexp").data).toBe("regexp");
+  });
+
+  test("matches methods, parameters and a number of times", async function () {
+    transport
+      .on("post", "/items", { status: 201 })
+      .on("get", "/items", { data: "page 2" }, { params: { page: 2 } })
+      .on("get", "/items", { data: "once" }, { times: 1 })
+      .any("/items", { data: "any" });
+
+    await requester.post("http://api.test/items", "post", {});
+    await requester.get("http://api.test/items", "page", "page", 2);
+    await requester.get("http://api.test/items", "first");
+    await requester.get("http://api.test/items", "second");
+
+    expect(requester.response("post").status).toBe(201);
+    expect(requester.response("page").data).toBe("page 2");
+    expect(requester.response("first").data).toBe("once");
+    expect(requester.response("second").data).toBe("any");
+  });
+
+  test("records unmatched requests", async function () {
+    await requester.get("http://api.test/nothing", "nothing");
+
+    expect(requester.error("nothing")).toBeInstanceOf(UnmatchedRequestError);
+    expect(transport.unmatched).toHaveLength(1);
+    expect(() => transport.assertNoUnmatched()).toThrow(
+      "GET http://api.test/nothing"
+    );
+    transport.reset();
+    expect(() => transport.assertNoUnmatched()).not.toThrow();
+  });
+
+  test("simulates network errors and delays", async function () {
+    transport
+      .on("get", "/refused", { networkError: "ECONNREFUSED" })
+      .on("get", "/slow", { delay: 30 });
+
+    await requester.get("http://api.test/refused", "refused");
+    const error = requester.error("refused");
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error.code).toBe("ECONNREFUSED");
+
+    const started = Date.now();
+    await requester.get("http://api.test/slow", "slow");
+    expect(Date.now() - started).toBeGreaterThanOrEqual(25);
+  });
+
+  test("replies with an empty 200 when a reply function returns nothing", async function () {
+    let deleted = false;
+    transport.on("delete", "/items/:id", function () {
+      deleted = true;
+    });
+
+    await requester.delete("http://api.test/items/1", "delete");
+    expect(deleted).toBe(true);
+    expect(requester.response("delete").status).toBe(200);
+  });
+});
+
+describe("record and replay", function () {
+  let directory;
+  beforeAll(async function () {
+    directory = await promises.mkdtemp(path.join(os.tmpdir(), "fixtures-"));
+  });
+
+  afterAll(async function () {
+    await promises.rm(directory, { recursive: true, force: true });
+  });
+
+  test("replays recorded exchanges", async function () {
+    const file = path.join(directory, "recorded.json");
+    transport
+      .on("get", "/items", { data: [1, 2] })
+      .on("get", "/down", { networkError: "ECONNRESET" });
+    const recording = requester.record(file);
+    await requester.get("http://api.test/items", "items", "page", 1);
+    await requester.get("http://api.test/down", "down");
+    requester.response("items");
+    requester.error("down");
+    expect(recording.exchanges).toHaveLength(2);
+
+    const replayer = new Requester({ throwOnFailure: false });
+    replayer.replay(file);
+    await replayer.get("http://api.test/items", "items", "page", 1);
+    await replayer.get("http://api.test/items", "other page", "page", 2);
+    await replayer.get("http://api.test/down", "down");
+
+    expect(replayer.response("items").data).toEqual([1, 2]);
+    expect(replayer.error("other page")).toBeInstanceOf(UnmatchedRequestError);
+    expect(replayer.error("down").code).toBe("ECONNRESET");
+  });
+
+  test("records exchanges with streamed bodies without them", async function () {
+    const file = path.join(directory, "streams.json");
+    transport
+      .on("get", "/file", () => ({ data: Readable.from(["abc"]) }))
+      .on("get", "/items", { data: [1, 2] });
+    const recording = requester.record(file);
+    const destination = new PassThrough();
+    await requester.download("http://api.test/file", "file", destination);
+    await requester.get("http://api.test/items", "items");
+
+    expect(requester.response("file").status).toBe(200);
+    expect(destination.read().toString()).toBe("abc");
+    expect(requester.response("items").data).toEqual([1, 2]);
+    const fixture = JSON.parse(await promises.readFile(file, "utf8"));
+    expect(fixture.map((exchange) => exchange.response.data)).toEqual([
+      undefined,
+      [1, 2],
+    ]);
+    expect(recording.exchanges).toHaveLength(2);
+  });
+
+  test("writes the fixture again after a failed write", async function () {
+    const subdirectory = path.join(directory, "later");
+    const file = path.join(subdirectory, "recorded.json");
+    transport.on("get", "/items", { data: [1, 2] });
+    requester.record(file);
+
+    await requester.get("http://api.test/items", "before");
+    expect(requester.error("before").code).toBe("ENOENT");
+    await promises.mkdir(subdirectory);
+    await requester.get("http://api.test/items", "after");
+
+    expect(requester.response("after").data).toEqual([1, 2]);
+    expect(JSON.parse(await promises.readFile(file, "utf8"))).toHaveLength(2);
+  });
+
+  test("loads a fixture again after a failed load", async function () {
+    const file = path.join(directory, "late.json");
+    requester.replay(file);
+
+    await requester.get("http://api.test/items", "missing file");
+    expect(requester.error("missing file").code).toBe("ENOENT");
+
+    await promises.writeFile(file, "not json");
+    await requester.get("http://api.test/items", "invalid file");
+    expect(requester.error("invalid file")).toBeInstanceOf(SyntaxError);
+
+    await promises.writeFile(
+      file,
+      JSON.stringify([
+        {
+          request: { method: "get", url: "http://api.test/items" },
+          response: { status: 200, data: "fixed" },
+        },
+      ])
+    );
+    await requester.get("http://api.test/items", "fixed");
+    expect(requester.response("fixed").data).toBe("fixed");
+  });
+});
+
+test("a MockTransport can be passed as the transport option", async function () {
+  const mock = new MockTransport().on("get", "/a", { data: "a" });
+  const instance = new Requester({ transport: mock });
+  await instance.get("http://api.test/a", "a");
+  expect(instance.response("a").data).toBe("a");
+  expect(mock.history).toHaveLength(1);
+});
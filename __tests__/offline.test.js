@@ -0,0 +1,177 @@
+/**
+ * @file Tests of the offline queue
+ */
+"use strict";
+
+import { Requester } from "../requester.js";
+import { BearerAuth } from "../auth.js";
+import { OfflineQueue, isPlainData } from "../offline.js";
+import { MemoryStorage } from "../storage.js";
+import { ConflictError, NetworkError } from "../errors.js";
+
+let online;
+let requester;
+let transport;
+beforeEach(function () {
+  online = false;
+  requester = new Requester({ offline: true });
+  transport = requester.mock();
+  transport.any("/items", (request) =>
+    online ? { status: 201, data: request.data } : { networkError: "ENETDOWN" }
+  );
+});
+
+test("isPlainData accepts what survives JSON", function () {
+  expect(isPlainData({ a: [1, "b", null, { c: true }] })).toBe(true);
+  expect(isPlainData(undefined)).toBe(true);
+  expect(isPlainData({ a: new Date() })).toBe(false);
+  expect(isPlainData(new Uint8Array(1))).toBe(false);
+  expect(isPlainData({ a: () => {} })).toBe(false);
+});
+
+test("requests made offline are queued and sent in order", async function () {
+  const events = [];
+  requester.on("offline", (details) => events.push(details.id));
+  await requester.post("http://api.test/items", "first", { n: 1 });
+  await requester.put("http://api.test/items", "second", { n: 2 });
+
+  expect(events).toEqual(["first", "second"]);
+  expect(requester.status("first")).toBe("queued");
+  expect(await requester.waitFor("first")).toMatchObject({ status: "queued" });
+
+  online = true;
+  const summary = await requester.flushQueue();
+  expect(summary).toEqual({
+    ids: ["first", "second"],
+    succeeded: ["first", "second"],
+    failed: [],
+    cancelled: [],
+    queued: [],
+  });
+  expect(requester.response("first").data).toEqual({ n: 1 });
+  expect(transport.history.map((request) => request.data)).toEqual([
+    { n: 1 },
+    { n: 2 },
+    { n: 1 },
+    { n: 2 },
+  ]);
+});
+
+test("flushing stops at the first request still offline", async function () {
+  await requester.post("http://api.test/items", "first", {});
+  await requester.post("http://api.test/items", "second", {});
+
+  const summary = await requester.flushQueue();
+  expect(summary.queued).toEqual(["first", "second"]);
+  // the second request is not sent while the first cannot be
+  expect(transport.history).toHaveLength(3);
+});
+
+test("a response to another request flushes the queue", async function () {
+  transport.on("get", "/ping", { data: "pong" });
+  await requester.post("http://api.test/items", "queued", { n: 1 });
+  online = true;
+  await requester.get("http://api.test/ping", "ping");
+  await requester.flushQueue();
+
+  expect(requester.response("queued").status).toBe(201);
+});
+
+test("only changes with plain data are queued", async function () {
+  const quiet = new Requester({ offline: true, throwOnFailure: false });
+  quiet.mock().any("/items", { networkError: "ENETDOWN" });
+  await quiet.get("http://api.test/items", "get");
+  await quiet.post("http://api.test/items", "bytes", new Uint8Array(1));
+
+  expect(quiet.error("get")).toBeInstanceOf(NetworkError);
+  expect(quiet.error("bytes")).toBeInstanceOf(NetworkError);
+});
+
+test("queued requests are sent again with their options", async function () {
+  await requester.post(
+    "http://api.test/items",
+    "item",
+    {},
+    {
+      auth: { username: "ann", password: "secret" },
+      expect: { status: 201 },
+      retry: 2,
+      timeout: 1000,
+    }
+  );
+  online = true;
+  await requester.flushQueue();
+
+  expect(requester.response("item").status).toBe(201);
+  expect(transport.history[1].headers.Authorization).toMatch(/^Basic /);
+});
+
+test("requests with options which cannot be saved are not queued", async function () {
+  const quiet = new Requester({ offline: true, throwOnFailure: false });
+  quiet.mock().any("/items", { networkError: "ENETDOWN" });
+  await quiet.post(
+    "http://api.test/items",
+    "bearer",
+    {},
+    {
+      auth: new BearerAuth("secret"),
+    }
+  );
+  await quiet.post(
+    "http://api.test/items",
+    "validated",
+    {},
+    {
+      expect: { validate: () => true },
+    }
+  );
+
+  expect(quiet.error("bearer")).toBeInstanceOf(NetworkError);
+  expect(quiet.error("validated")).toBeInstanceOf(NetworkError);
+});
+
+test("queued requests survive in persistent storage", async function () {
+  const storage = new MemoryStorage();
+  const before = new Requester({ offline: new OfflineQueue({ storage }) });
+  before.mock().any("/items", { networkError: "ENETDOWN" });
+  await before.delete("http://api.test/items", "removal", "force", "yes");
+
+  const after = new Requester({ offline: new OfflineQueue({ storage }) });
+  const restarted = after.mock();
+  restarted.any("/items", { status: 204 });
+  const summary = await after.flushQueue();
+
+  expect(summary.succeeded).toEqual(["removal"]);
+  expect(restarted.history[0]).toMatchObject({
+    method: "delete",
+    params: { force: "yes" },
+  });
+  expect(after.response("removal").status).toBe(204);
+  expect(await storage.keys()).toEqual([]);
+});
+
+test("onConflict resolves conflicts of requests sent again", async function () {
+  const conflicts = [];
+  const queue = new OfflineQueue({
+    onConflict(queued, error) {
+      conflicts.push([queued.id, queued.conflicts, error.status]);
+      return queued.id === "stale" ? { data: { version: 2 } } : undefined;
+    },
+  });
+  requester.setOptions({ offline: queue, throwOnFailure: false });
+  await requester.put("http://api.test/items", "stale", { version: 1 });
+  await requester.put("http://api.test/items", "hopeless", { version: 1 });
+  online = true;
+  transport.reset();
+  transport.on("put", "/items", (request) =>
+    request.data.version === 2 ? { data: "saved" } : { status: 409 }
+  );
+  await requester.flushQueue();
+
+  expect(requester.response("stale").data).toBe("saved");
+  expect(requester.error("hopeless")).toBeInstanceOf(ConflictError);
+  expect(conflicts).toEqual([
+    ["stale", 0, 409],
+    ["hopeless", 0, 409],
+  ]);
+});
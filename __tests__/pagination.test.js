@@ -0,0 +1,171 @@
+/**
+ * @file Tests of pagination
+ */
+"use strict";
+
+import { Requester } from "../requester.js";
+import { parseLinkHeader, pluck } from "../pagination.js";
+import { HTTPError } from "../errors.js";
+
+/**
+ * Collect everything an async iterator yields
+ * @param {AsyncIterable} iterable - The iterator
+ * @return {Array} What it yielded.
+ */
+async function collect(iterable) {
+  const values = [];
+  for await (const value of iterable) values.push(value);
+  return values;
+}
+
+let requester;
+let transport;
+beforeEach(function () {
+  requester = new Requester();
+  transport = requester.mock();
+});
+
+test("parseLinkHeader reads every rel of a Link header", function () {
+  expect(
+    parseLinkHeader(
+      '<http://api.test/items?page=2>; rel="next last", <http://api.test/items?page=1>; rel=prev'
+    )
+  ).toEqual({
+    next: "http://api.test/items?page=2",
+    last: "http://api.test/items?page=2",
+    prev: "http://api.test/items?page=1",
+  });
+  expect(parseLinkHeader()).toEqual({});
+});
+
+test("pluck reads dotted paths", function () {
+  const data = { meta: { next: "abc" } };
+  expect(pluck(data, "meta.next")).toBe("abc");
+  expect(pluck(data, "meta.missing.deeper")).toBeUndefined();
+  expect(pluck(data, (object) => object.meta)).toBe(data.meta);
+});
+
+test("link pagination follows relative next links", async function () {
+  transport
+    .on("get", "/items", {
+      data: [1, 2],
+      headers: { link: "</items/2>; rel=next" },
+    })
+    .on("get", "/items/2", { data: [3] });
+
+  const items = await collect(
+    requester.paginate("http://api.test/items", { items: (data) => data })
+  );
+
+  expect(items).toEqual([1, 2, 3]);
+  expect(transport.history[1].url).toBe("http://api.test/items/2");
+});
+
+test("cursor pagination sends the cursor of each page", async function () {
+  transport.on("get", "/items", function (request) {
+    return request.params.cursor === undefined
+      ? { data: { items: ["a"], meta: { next: "c2" } } }
+      : { data: { items: ["b"], meta: { next: null } } };
+  });
+
+  const pages = await collect(
+    requester.paginate("http://api.test/items", {
+      strategy: "cursor",
+      cursor: "meta.next",
+      params: { filter: "x" },
+    })
+  );
+
+  expect(pages.map((page) => page.data.items)).toEqual([["a"], ["b"]]);
+  expect(transport.history[1].params).toEqual({ filter: "x", cursor: "c2" });
+});
+
+test("page pagination stops at a page which is not full", async function () {
+  transport.on("get", "/items", (request) => ({
+    data: request.params.page < 3 ? [1, 2] : [3],
+  }));
+
+  const pages = await collect(
+    requester.paginate("http://api.test/items", {
+      strategy: "page",
+      sizeParam: "per_page",
+      size: 2,
+    })
+  );
+
+  expect(pages.map((page) => page.data)).toEqual([[1, 2], [1, 2], [3]]);
+  expect(transport.history.map((request) => request.params)).toEqual([
+    { page: 1, per_page: 2 },
+    { page: 2, per_page: 2 },
+    { page: 3, per_page: 2 },
+  ]);
+});
+
+test("offset pagination counts items until an empty page", async function () {
+  const all = ["a", "b", "c"];
+  transport.on("get", "/items", (request) => ({
+    data: all.slice(request.params.offset, request.params.offset + 2),
+  }));
+
+  const items = await collect(
+    requester.paginate("http://api.test/items", {
+      strategy: "offset",
+      items: (data) => data,
+    })
+  );
+
+  expect(items).toEqual(all);
+  expect(transport.history.map((request) => request.params.offset)).toEqual([
+    0, 2, 3,
+  ]);
+});
+
+test("maxPages limits the pages requested", async function () {
+  transport.on("get", "/items", { data: [1] });
+
+  const pages = await collect(
+    requester.paginate("http://api.test/items", {
+      strategy: "page",
+      maxPages: 3,
+    })
+  );
+
+  expect(pages).toHaveLength(3);
+});
+
+test("custom strategies are used unchanged", async function () {
+  transport.any("/pages/:n", (request, { n }) => ({ data: Number(n) }));
+  const strategy = {
+    first: (url) => ({ url: `${url}/1`, params: {} }),
+    next: (response) =>
+      response.data < 2
+        ? { url: `http://api.test/pages/${response.data + 1}`, params: {} }
+        : undefined,
+  };
+
+  const pages = await collect(
+    requester.paginate("http://api.test/pages", { strategy: strategy })
+  );
+
+  expect(pages.map((page) => page.data)).toEqual([1, 2]);
+});
+
+test("a failing page throws its error", async function () {
+  const quiet = new Requester({ throwOnFailure: false });
+  quiet
+    .mock()
+    .on("get", "/items", {
+      data: [1],
+      headers: { link: "</broken>; rel=next" },
+    })
+    .on("get", "/broken", { status: 500 });
+
+  const pages = [];
+  await expect(
+    (async function () {
+      for await (const page of quiet.paginate("http://api.test/items"))
+        pages.push(page);
+    })()
+  ).rejects.toBeInstanceOf(HTTPError);
+  expect(pages).toHaveLength(1);
+});
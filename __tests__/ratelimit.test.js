@@ -0,0 +1,127 @@
+/**
+ * @file Tests of rate limiting
+ */
+"use strict";
+
+import { Requester } from "../requester.js";
+import { RateLimiter } from "../ratelimit.js";
+import { RequestCancelledError } from "../errors.js";
+
+let requester;
+let transport;
+beforeEach(function () {
+  requester = new Requester({ throwOnFailure: false });
+  transport = requester.mock();
+  transport.any("/items", { delay: 10 });
+});
+
+test("concurrency limits the requests in flight per host", async function () {
+  const active = {};
+  const maxActive = {};
+  requester.setOptions({
+    rateLimit: [{ concurrency: 2 }],
+    transport: {
+      async request(config) {
+        const host = new URL(config.url).host;
+        active[host] = (active[host] || 0) + 1;
+        maxActive[host] = Math.max(maxActive[host] || 0, active[host]);
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        active[host]--;
+        return { status: 200, statusText: "OK", headers: {}, data: "" };
+      },
+    },
+  });
+  const requests = [];
+  for (let i = 0; i < 5; i++)
+    requests.push(requester.get("http://api.test/items", `request ${i}`));
+  requests.push(requester.get("http://other.test/items", "other"));
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  expect(requester.queueDepth()).toBe(3);
+  expect(requester.queueDepth("api.test")).toBe(3);
+  expect(requester.queueDepth("other.test")).toBe(0);
+  await Promise.all(requests);
+
+  expect(maxActive).toEqual({ "api.test": 2, "other.test": 1 });
+  expect(requester.queueDepth()).toBe(0);
+});
+
+test("requests limits the rate of requests", async function () {
+  requester.setOptions({ rateLimit: [{ requests: 2, interval: 100 }] });
+  const started = Date.now();
+  await Promise.all([
+    requester.get("http://api.test/items", "first"),
+    requester.get("http://api.test/items", "second"),
+    requester.get("http://api.test/items", "third"),
+  ]);
+
+  // the third request waits for half an interval to earn a token
+  expect(Date.now() - started).toBeGreaterThanOrEqual(45);
+});
+
+test("the queued event reports waiting requests", async function () {
+  const queued = [];
+  requester.on("queued", (details) => queued.push([details.id, details.depth]));
+  requester.setOptions({ rateLimit: [{ concurrency: 1 }] });
+  await Promise.all([
+    requester.get("http://api.test/items", "first"),
+    requester.get("http://api.test/items", "second"),
+    requester.get("http://api.test/items", "third"),
+  ]);
+
+  expect(queued).toEqual([
+    ["second", 1],
+    ["third", 2],
+  ]);
+});
+
+test("cancelling a waiting request removes it from the queue", async function () {
+  requester.setOptions({ rateLimit: [{ concurrency: 1 }] });
+  const first = requester.get("http://api.test/items", "first");
+  const second = requester.get("http://api.test/items", "second");
+  requester.cancel("second");
+  await Promise.all([first, second]);
+
+  expect(requester.error("second")).toBeInstanceOf(RequestCancelledError);
+  expect(transport.history).toHaveLength(1);
+  expect(requester.queueDepth()).toBe(0);
+});
+
+test("only the first matching rule applies", async function () {
+  const limiter = new RateLimiter([
+    { match: /\/unlimited$/ },
+    { match: "api.test", concurrency: 1 },
+  ]);
+  const releaseFirst = await limiter.acquire("http://api.test/items");
+  await limiter.acquire("http://api.test/unlimited");
+  await limiter.acquire("http://elsewhere.test/items");
+
+  let started = false;
+  const second = limiter
+    .acquire("http://api.test/items")
+    .then(() => (started = true));
+  await Promise.resolve();
+  expect(started).toBe(false);
+  expect(limiter.depth("api.test")).toBe(1);
+
+  releaseFirst();
+  releaseFirst(); // releasing twice frees one slot
+  await second;
+  expect(started).toBe(true);
+  expect(limiter.depth()).toBe(0);
+});
+
+test("a RateLimiter can be shared between instances", async function () {
+  const limiter = new RateLimiter([{ concurrency: 1 }]);
+  const other = new Requester({ rateLimit: limiter });
+  other.mock().any("/items", { delay: 10 });
+  requester.setOptions({ rateLimit: limiter });
+
+  const requests = [
+    requester.get("http://api.test/items", "first"),
+    other.get("http://api.test/items", "second"),
+  ];
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  expect(requester.queueDepth()).toBe(1);
+  expect(other.queueDepth()).toBe(1);
+  await Promise.all(requests);
+});
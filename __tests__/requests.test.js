@@ -0,0 +1,149 @@
+/**
+ * @file Tests of the request methods, their parameters and
+ * per-request options
+ */
+"use strict";
+
+import { Requester } from "../requester.js";
+import {
+  IDInUseError,
+  InvalidRequestError,
+  NotFoundError,
+  RequestNotCompleteError,
+  UnbalancedParametersError,
+} from "../errors.js";
+
+let requester;
+let transport;
+beforeEach(function () {
+  requester = new Requester({
+    headers: { "X-Instance": "1" },
+    params: { key: "k" },
+  });
+  transport = requester.mock();
+  transport.any("/echo", (request) => ({
+    data: { method: request.method, body: request.data },
+  }));
+  transport.on("get", "/missing", { status: 404 });
+});
+
+test.each([
+  ["delete", []],
+  ["get", []],
+  ["head", []],
+  ["options", []],
+  ["patch", [{ a: 1 }]],
+  ["post", [{ a: 1 }]],
+  ["put", [{ a: 1 }]],
+])("%s sends its method and data", async function (method, data) {
+  await requester[method]("http://api.test/echo", "echo", ...data);
+  expect(requester.response("echo").data).toEqual({
+    method: method,
+    body: data[0],
+  });
+});
+
+test("push is an alias of put", async function () {
+  await requester.push("http://api.test/echo", "echo", { a: 1 });
+  expect(requester.response("echo").data.method).toBe("put");
+});
+
+describe("parameters", function () {
+  test("are given as names and values", async function () {
+    await requester.get("http://api.test/echo", "echo", "page", 2, "q", "x");
+    expect(transport.history[0].params).toEqual({ key: "k", page: 2, q: "x" });
+  });
+
+  test("may have arrays, dates and objects as values", async function () {
+    const date = new Date(0);
+    await requester.get("http://api.test/echo", "a", "ids", [1, 2]);
+    await requester.get("http://api.test/echo", "b", "since", date);
+    await requester.get("http://api.test/echo", "c", "filter", { x: 1 });
+
+    expect(transport.history.map((request) => request.params)).toEqual([
+      { key: "k", ids: [1, 2] },
+      { key: "k", since: date },
+      { key: "k", filter: { x: 1 } },
+    ]);
+  });
+
+  test("must be balanced", async function () {
+    await expect(
+      requester.get("http://api.test/echo", "echo", "page")
+    ).rejects.toBeInstanceOf(UnbalancedParametersError);
+  });
+
+  test("cannot be an object in place of options", async function () {
+    await expect(
+      requester.get("http://api.test/echo", "echo", { page: 2 })
+    ).rejects.toBeInstanceOf(UnbalancedParametersError);
+    expect(transport.history).toHaveLength(0);
+  });
+});
+
+describe("request options", function () {
+  test("follow the parameters and merge headers and params", async function () {
+    await requester.get("http://api.test/echo", "echo", "page", 2, {
+      headers: { "X-Request": "2" },
+      params: { size: 10 },
+    });
+
+    expect(transport.history[0].headers).toMatchObject({
+      "X-Instance": "1",
+      "X-Request": "2",
+    });
+    expect(transport.history[0].params).toEqual({
+      key: "k",
+      size: 10,
+      page: 2,
+    });
+  });
+
+  test("replace the instance's other options", async function () {
+    await requester.get("http://api.test/missing", "missing", {
+      throwOnFailure: false,
+    });
+    expect(requester.error("missing")).toBeInstanceOf(NotFoundError);
+    await expect(
+      requester.get("http://api.test/missing", "thrown")
+    ).rejects.toBeInstanceOf(NotFoundError);
+  });
+
+  test.each(["transport", "rateLimit", "history", "cookies"])(
+    "cannot set the instance option %s",
+    async function (name) {
+      await expect(
+        requester.get("http://api.test/echo", "echo", { [name]: undefined })
+      ).rejects.toThrow(new RegExp(`Options ${name} cannot be set`));
+      expect(() =>
+        requester.subscribe("http://api.test/echo", "events", {
+          [name]: undefined,
+        })
+      ).toThrow(InvalidRequestError);
+      expect(transport.history).toEqual([]);
+    }
+  );
+});
+
+describe("results", function () {
+  test("are retrieved once", async function () {
+    await requester.get("http://api.test/echo", "echo");
+    expect(requester.error("echo")).toBeUndefined();
+    expect(requester.response("echo").status).toBe(200);
+    expect(() => requester.response("echo")).toThrow(InvalidRequestError);
+  });
+
+  test("cannot be retrieved while in flight", function () {
+    transport.on("get", "/slow", { delay: 20 });
+    const promise = requester.get("http://api.test/slow", "slow");
+    expect(() => requester.response("slow")).toThrow(RequestNotCompleteError);
+    return promise;
+  });
+
+  test("IDs cannot be reused until retrieved", async function () {
+    await requester.get("http://api.test/echo", "echo");
+    await expect(
+      requester.get("http://api.test/echo", "echo")
+    ).rejects.toBeInstanceOf(IDInUseError);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * @file Tests of request states and the eviction of results
+ */
+"use strict";
+
+import { jest } from "@jest/globals";
+
+import { Requester } from "../requester.js";
+import { InvalidRequestError, TimeoutError } from "../errors.js";
+
+let requester;
+let transport;
+beforeEach(function () {
+  requester = new Requester({ throwOnFailure: false });
+  transport = requester.mock();
+  transport
+    .on("get", "/ok", { delay: 10, data: "ok" })
+    .on("get", "/missing", { status: 404 })
+    .on("get", "/slow", { delay: 1000 });
+});
+
+afterEach(function () {
+  jest.useRealTimers();
+});
+
+describe("status and peek", function () {
+  test("follow a request from pending to retrieved", async function () {
+    const request = requester.get("http://api.test/ok", "ok");
+    expect(requester.status("ok")).toBe("pending");
+    expect(requester.pendingIDs()).toEqual(["ok"]);
+    await request;
+
+    expect(requester.pendingIDs()).toEqual([]);
+    expect(requester.peek("ok")).toMatchObject({
+      id: "ok",
+      status: "succeeded",
+      response: { data: "ok" },
+      error: undefined,
+    });
+    // peeking does not retrieve the result
+    expect(requester.response("ok").data).toBe("ok");
+    expect(requester.status("ok")).toBe("unknown");
+  });
+
+  test("tell failed, timed out and cancelled requests apart", async function () {
+    const cancelled = requester.get("http://api.test/slow", "cancelled");
+    requester.cancel("cancelled");
+    await Promise.all([
+      cancelled,
+      requester.get("http://api.test/missing", "missing"),
+      requester.get("http://api.test/slow", "timed out", { timeout: 10 }),
+    ]);
+
+    expect(requester.status("missing")).toBe("failed");
+    expect(requester.status("timed out")).toBe("failed");
+    expect(requester.peek("timed out").error).toBeInstanceOf(TimeoutError);
+    expect(requester.status("cancelled")).toBe("cancelled");
+    expect(requester.stats().total).toMatchObject({
+      failed: 2,
+      cancelled: 1,
+    });
+  });
+});
+
+describe("waitFor", function () {
+  test("waits without retrieving or throwing", async function () {
+    const throwing = new Requester();
+    throwing.mock().on("get", "/missing", { delay: 10, status: 404 });
+    const request = throwing.get("http://api.test/missing", "missing");
+
+    const state = await throwing.waitFor("missing");
+    expect(state.status).toBe("failed");
+    expect(state.error.status).toBe(404);
+    await expect(request).rejects.toBe(state.error);
+    expect(throwing.error("missing")).toBe(state.error);
+  });
+
+  test("waitForAll waits for every pending request", async function () {
+    requester.get("http://api.test/ok", "first");
+    requester.get("http://api.test/missing", "second");
+
+    const states = await requester.waitForAll();
+    expect(states.map((state) => state.status)).toEqual([
+      "succeeded",
+      "failed",
+    ]);
+  });
+
+  test("throws for unknown IDs", async function () {
+    await expect(requester.waitFor("never made")).rejects.toBeInstanceOf(
+      InvalidRequestError
+    );
+  });
+});
+
+describe("eviction", function () {
+  test("maxResults keeps the newest unread results", async function () {
+    requester.setOptions({ maxResults: 2 });
+    for (const id of ["first", "second", "third"])
+      await requester.get("http://api.test/missing", id);
+
+    expect(requester.status("first")).toBe("unknown");
+    expect(requester.status("second")).toBe("failed");
+    expect(requester.status("third")).toBe("failed");
+  });
+
+  test("resultTTL discards results left unread", async function () {
+    jest.useFakeTimers({ now: 0, doNotFake: ["setTimeout"] });
+    requester.setOptions({ resultTTL: 1000 });
+    await requester.get("http://api.test/missing", "old");
+    jest.setSystemTime(600);
+    await requester.get("http://api.test/missing", "new");
+    jest.setSystemTime(1200);
+
+    expect(requester.status("old")).toBe("unknown");
+    expect(requester.error("new").status).toBe(404);
+    expect(() => requester.error("old")).toThrow(InvalidRequestError);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * @file Tests of the retry option
+ */
+"use strict";
+
+import { jest } from "@jest/globals";
+
+import { Requester } from "../requester.js";
+import { NetworkError, ServiceUnavailableError } from "../errors.js";
+
+let requester;
+let transport;
+let retries;
+beforeEach(function () {
+  requester = new Requester({
+    retry: { attempts: 3, delay: 5, factor: 2, jitter: false },
+  });
+  transport = requester.mock();
+  retries = [];
+  requester.on("retry", (event) => retries.push(event));
+});
+
+afterEach(function () {
+  jest.restoreAllMocks();
+});
+
+test("retries a failing status until it succeeds", async function () {
+  transport
+    .on("get", "/flaky", { status: 503 }, { times: 2 })
+    .on("get", "/flaky", { data: "ok" });
+
+  await requester.get("http://api.test/flaky", "flaky");
+  expect(requester.response("flaky").data).toBe("ok");
+  expect(transport.history).toHaveLength(3);
+  expect(retries.map((event) => [event.attempt, event.delay])).toEqual([
+    [2, 5],
+    [3, 10],
+  ]);
+});
+
+test("gives up after the last attempt with the history of attempts", async function () {
+  transport.on("get", "/down", { status: 503 });
+
+  const error = await requester
+    .get("http://api.test/down", "down")
+    .catch((error) => error);
+  expect(error).toBeInstanceOf(ServiceUnavailableError);
+  expect(error.attempts.map((attempt) => attempt.status)).toEqual([
+    503, 503, 503,
+  ]);
+  expect(error.attempts[0].delay).toBe(5);
+});
+
+test("retries network errors with a retryable code", async function () {
+  transport
+    .on("get", "/reset", { networkError: "ECONNRESET" }, { times: 1 })
+    .on("get", "/reset", { data: "ok" });
+
+  await requester.get("http://api.test/reset", "reset");
+  expect(requester.response("reset").data).toBe("ok");
+  expect(retries[0].error).toBeInstanceOf(NetworkError);
+});
+
+test("does not retry other failures", async function () {
+  transport.on("get", "/missing", { status: 404 });
+
+  await expect(
+    requester.get("http://api.test/missing", "missing")
+  ).rejects.toMatchObject({ status: 404 });
+  expect(transport.history).toHaveLength(1);
+});
+
+test("only retries post when the policy allows it", async function () {
+  transport.on("post", "/items", { status: 503 });
+
+  await expect(
+    requester.post("http://api.test/items", "a", { name: "a" })
+  ).rejects.toBeInstanceOf(ServiceUnavailableError);
+  expect(transport.history).toHaveLength(1);
+
+  await expect(
+    requester.post(
+      "http://api.test/items",
+      "b",
+      { name: "b" },
+      { retry: { methods: ["post"] } }
+    )
+  ).rejects.toBeInstanceOf(ServiceUnavailableError);
+  expect(transport.history).toHaveLength(4);
+});
+
+test("waits for Retry-After, up to maxDelay", async function () {
+  transport
+    .on(
+      "get",
+      "/busy",
+      { status: 429, headers: { "retry-after": "60" } },
+      { times: 1 }
+    )
+    .on("get", "/busy", { data: "ok" });
+
+  await requester.get("http://api.test/busy", "busy", {
+    retry: { maxDelay: 15 },
+  });
+  expect(retries[0].delay).toBe(15);
+});
+
+test("jitter randomizes delays between half and all of their value", async function () {
+  jest.spyOn(Math, "random").mockReturnValue(0);
+  transport
+    .on("get", "/flaky", { status: 500 }, { times: 1 })
+    .on("get", "/flaky", { data: "ok" });
+
+  await requester.get("http://api.test/flaky", "flaky", {
+    retry: { delay: 20, jitter: true },
+  });
+  expect(retries[0].delay).toBe(10);
+});
+
+test("the retry option can be a number of attempts", async function () {
+  transport.on("get", "/down", { status: 502 });
+
+  await expect(
+    requester.get("http://api.test/down", "down", { retry: 1 })
+  ).rejects.toMatchObject({ status: 502 });
+  expect(transport.history).toHaveLength(1);
+});
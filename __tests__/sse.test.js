@@ -0,0 +1,188 @@
+/**
+ * @file Tests of Server-Sent Events subscriptions
+ */
+"use strict";
+
+import http from "http";
+
+import { Requester } from "../requester.js";
+import { EventStreamParser } from "../sse.js";
+import { RequestCancelledError, ServerError } from "../errors.js";
+
+describe("EventStreamParser", function () {
+  test("parses the fields of events", function () {
+    const parser = new EventStreamParser();
+    const events = parser.push(
+      "\uFEFF: comment\nevent: update\ndata: a\ndata:b\nid: 7\nretry: 50\n\n" +
+        "data\n\n"
+    );
+
+    expect(events).toEqual([
+      { event: "update", data: "a\nb", id: "7", retry: 50 },
+      { event: "message", data: "", id: "7", retry: undefined },
+    ]);
+    expect(parser.lastEventID).toBe("7");
+    expect(parser.retry).toBe(50);
+  });
+
+  test("parses lines split between chunks and line endings", function () {
+    const parser = new EventStreamParser("3");
+    const events = [];
+    for (const chunk of ["da", "ta: one\r", "\n\r", "data: two\r\rdata: ", "x"])
+      events.push(...parser.push(chunk));
+
+    expect(events.map((event) => event.data)).toEqual(["one", "two"]);
+    expect(events[0].id).toBe("3");
+    expect(parser.push("\n\n")).toEqual([
+      { event: "message", data: "x", id: "3", retry: undefined },
+    ]);
+  });
+
+  test("ignores events without data and invalid fields", function () {
+    const parser = new EventStreamParser();
+
+    expect(
+      parser.push(
+        "event: empty\nid: 4\n\nid: a\0b\nretry: soon\nunknown: 1\n\n"
+      )
+    ).toEqual([]);
+    expect(parser.lastEventID).toBe("4");
+    expect(parser.retry).toBeUndefined();
+  });
+});
+
+describe("subscribe", function () {
+  let server;
+  let base;
+  let connections;
+  beforeAll(async function () {
+    server = http.createServer(function (request, response) {
+      const url = new URL(request.url, base);
+      connections.push(request.headers["last-event-id"]);
+      const stream = function (text) {
+        response.setHeader("Content-Type", "text/event-stream");
+        response.end(text);
+      };
+      switch (url.pathname) {
+        case "/events":
+          if (connections.length === 1)
+            stream("retry: 10\nid: 1\ndata: a\n\n: keep alive\nid: 2\n\n");
+          else if (connections.length === 2) {
+            response.statusCode = 503;
+            response.end();
+          } else if (connections.length === 3) stream("data: b\n\n");
+          else {
+            response.statusCode = 204;
+            response.end();
+          }
+          break;
+        case "/forever":
+          response.setHeader("Content-Type", "text/event-stream");
+          response.write("data: a\n\n");
+          response.write("data: b\n\n");
+          break;
+        case "/json":
+          response.setHeader("Content-Type", "application/json");
+          response.end("{}");
+          break;
+        default:
+          response.statusCode = 503;
+          response.end();
+      }
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  beforeEach(function () {
+    connections = [];
+  });
+
+  afterAll(async function () {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test("reconnects with the last event ID until a 204", async function () {
+    const requester = new Requester();
+    const retries = [];
+    requester.on("retry", (retry) => retries.push(retry));
+    const events = [];
+    const subscription = requester.subscribe(`${base}/events`, "events", {
+      onMessage: (event) => events.push(event),
+      lastEventID: "0",
+    });
+    await requester.waitFor("events");
+
+    expect(events).toEqual([
+      { event: "message", data: "a", id: "1", retry: 10 },
+      { event: "message", data: "b", id: "2", retry: undefined },
+    ]);
+    expect(connections).toEqual(["0", "2", "2", "2"]);
+    expect(retries.map((retry) => retry.delay)).toEqual([10, 10, 10]);
+    expect(retries[1].error).toBeInstanceOf(ServerError);
+    expect(subscription.lastEventID).toBe("2");
+    expect(requester.response("events").status).toBe(204);
+  });
+
+  test("fails after maxReconnects failed requests", async function () {
+    const requester = new Requester({ throwOnFailure: false });
+    requester.subscribe(`${base}/down`, "down", {
+      reconnectDelay: 0,
+      maxReconnects: 2,
+    });
+    await requester.waitFor("down");
+
+    expect(connections).toHaveLength(3);
+    expect(requester.error("down")).toBeInstanceOf(ServerError);
+  });
+
+  test("fails on a response which is not an event stream", async function () {
+    const requester = new Requester({ throwOnFailure: false });
+    requester.subscribe(`${base}/json`, "json");
+    await requester.waitFor("json");
+
+    expect(connections).toHaveLength(1);
+    expect(requester.error("json").message).toMatch("not an event stream");
+  });
+
+  test("ends with the error thrown by onMessage", async function () {
+    const requester = new Requester({ throwOnFailure: false });
+    const thrown = Object.assign(new Error("bad event"), { code: "EBAD" });
+    const events = [];
+    requester.subscribe(`${base}/forever`, "forever", {
+      onMessage: function (event) {
+        events.push(event.data);
+        throw thrown;
+      },
+    });
+    await requester.waitFor("forever");
+
+    expect(events).toEqual(["a"]);
+    expect(connections).toHaveLength(1);
+    expect(requester.error("forever")).toBe(thrown);
+  });
+
+  test("passes events to loops, which close it when left", async function () {
+    const requester = new Requester({ throwOnFailure: false });
+    const data = [];
+    for await (const event of requester.subscribe(`${base}/forever`, "loop")) {
+      data.push(event.data);
+      if (data.length === 2) break;
+    }
+    await requester.waitFor("loop");
+
+    expect(data).toEqual(["a", "b"]);
+    expect(requester.error("loop")).toBeInstanceOf(RequestCancelledError);
+  });
+
+  test("rejects loops when it fails", async function () {
+    const requester = new Requester({ throwOnFailure: false });
+    const subscription = requester.subscribe(`${base}/json`, "json");
+    const read = async function () {
+      for await (const event of subscription) return event;
+    };
+
+    await expect(read()).rejects.toThrow("not an event stream");
+  });
+});
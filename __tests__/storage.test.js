@@ -0,0 +1,117 @@
+/**
+ * @file Tests of the storage adapters
+ */
+"use strict";
+
+import { promises } from "fs";
+import os from "os";
+import path from "path";
+
+import { FileStorage, MemoryStorage, WebStorage } from "../storage.js";
+
+/**
+ * Minimal stand-in for a Web Storage object
+ */
+class FakeStorage {
+  constructor() {
+    this._items = new Map();
+  }
+
+  get length() {
+    return this._items.size;
+  }
+
+  key(index) {
+    return [...this._items.keys()][index];
+  }
+
+  getItem(key) {
+    return this._items.has(key) ? this._items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this._items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this._items.delete(key);
+  }
+}
+
+let directory;
+beforeAll(async function () {
+  directory = await promises.mkdtemp(path.join(os.tmpdir(), "storage-"));
+});
+
+afterAll(async function () {
+  await promises.rm(directory, { recursive: true, force: true });
+});
+
+describe.each([
+  ["MemoryStorage", () => new MemoryStorage()],
+  ["WebStorage", () => new WebStorage(new FakeStorage())],
+  [
+    "FileStorage",
+    () => new FileStorage(path.join(directory, `${Math.random()}.json`)),
+  ],
+])("%s", function (name, create) {
+  test("stores copies of values", async function () {
+    const storage = create();
+    const value = { a: [1, 2] };
+    await storage.set("key", value);
+    value.a.push(3);
+
+    const read = await storage.get("key");
+    expect(read).toEqual({ a: [1, 2] });
+    read.a.push(4);
+    expect(await storage.get("key")).toEqual({ a: [1, 2] });
+  });
+
+  test("lists, deletes and clears keys", async function () {
+    const storage = create();
+    await storage.set("a", 1);
+    await storage.set("b", 2);
+    expect((await storage.keys()).sort()).toEqual(["a", "b"]);
+
+    await storage.delete("a");
+    expect(await storage.get("a")).toBeUndefined();
+    expect(await storage.keys()).toEqual(["b"]);
+
+    await storage.clear();
+    expect(await storage.keys()).toEqual([]);
+  });
+});
+
+test("WebStorage only touches keys with its prefix", async function () {
+  const store = new FakeStorage();
+  store.setItem("other", "kept");
+  const storage = new WebStorage(store, "test:");
+  await storage.set("a", 1);
+
+  expect(store.getItem("test:a")).toBe("1");
+  expect(await storage.keys()).toEqual(["a"]);
+  await storage.clear();
+  expect(store.getItem("other")).toBe("kept");
+});
+
+test("FileStorage keeps values between instances", async function () {
+  const file = path.join(directory, "shared.json");
+  await new FileStorage(file).set("a", { b: 1 });
+
+  expect(await new FileStorage(file).get("a")).toEqual({ b: 1 });
+  expect(
+    await new FileStorage(path.join(directory, "none.json")).keys()
+  ).toEqual([]);
+});
+
+test("FileStorage writes again after a failed write", async function () {
+  const subdirectory = path.join(directory, "later");
+  const file = path.join(subdirectory, "values.json");
+  const storage = new FileStorage(file);
+
+  await expect(storage.set("a", 1)).rejects.toThrow("ENOENT");
+  await promises.mkdir(subdirectory);
+  await storage.set("b", 2);
+
+  expect(await new FileStorage(file).keys()).toEqual(["a", "b"]);
+});
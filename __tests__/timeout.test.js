@@ -0,0 +1,76 @@
+/**
+ * @file Tests of request timeouts and cancellation
+ */
+"use strict";
+
+import { jest } from "@jest/globals";
+
+import { Requester } from "../requester.js";
+import { RequestCancelledError, TimeoutError } from "../errors.js";
+
+let requester;
+let transport;
+beforeEach(function () {
+  requester = new Requester();
+  transport = requester.mock();
+  transport.on("get", "/slow", { data: "late", delay: 200 });
+  transport.on("get", "/fast", { data: "early" });
+});
+
+describe("timeout option", function () {
+  test("aborts a request that takes too long", async function () {
+    await expect(
+      requester.get("http://api.test/slow", "slow", { timeout: 20 })
+    ).rejects.toBeInstanceOf(TimeoutError);
+  });
+
+  test("stores the TimeoutError when throwOnFailure is false", async function () {
+    requester.setOptions({ timeout: 20, throwOnFailure: false });
+    await requester.get("http://api.test/slow", "slow");
+    const error = requester.error("slow");
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(error.id).toBe("slow");
+  });
+
+  test("does not affect requests which complete in time", async function () {
+    await requester.get("http://api.test/fast", "fast", { timeout: 100 });
+    expect(requester.response("fast").data).toBe("early");
+  });
+});
+
+describe("Requester.cancel", function () {
+  test("aborts an in-flight request", async function () {
+    const promise = requester.get("http://api.test/slow", "slow");
+    expect(requester.cancel("slow")).toBe(true);
+    await expect(promise).rejects.toBeInstanceOf(RequestCancelledError);
+  });
+
+  test("returns false for unknown requests", function () {
+    expect(requester.cancel("nothing")).toBe(false);
+  });
+
+  test("emits a cancel event", async function () {
+    const listener = jest.fn();
+    requester.on("cancel", listener);
+    requester.setOptions({ throwOnFailure: false });
+    const promise = requester.get("http://api.test/slow", "slow");
+    requester.cancel("slow");
+    await promise;
+    expect(listener).toHaveBeenCalledWith({ id: "slow" });
+    expect(requester.error("slow")).toBeInstanceOf(RequestCancelledError);
+  });
+});
+
+describe("Requester.cancelAll", function () {
+  test("cancels every in-flight request", async function () {
+    requester.setOptions({ throwOnFailure: false });
+    const promises = [
+      requester.get("http://api.test/slow", "a"),
+      requester.get("http://api.test/slow", "b"),
+    ];
+    expect(requester.cancelAll()).toBe(2);
+    await Promise.all(promises);
+    expect(requester.error("a")).toBeInstanceOf(RequestCancelledError);
+    expect(requester.error("b")).toBeInstanceOf(RequestCancelledError);
+  });
+});
@@ -0,0 +1,304 @@
+/**
+ * @file Tests of the transports against a local server
+ */
+"use strict";
+
+import http from "http";
+import { Readable } from "stream";
+import zlib from "zlib";
+
+import { Requester } from "../requester.js";
+import {
+  axiosTransport,
+  buildURL,
+  createTransport,
+  fetchTransport,
+  httpTransport,
+  redirectRequest,
+} from "../transports.js";
+import { NetworkError, NotFoundError } from "../errors.js";
+
+let server;
+let base;
+// server on another origin, answering with the headers it received
+let other;
+let otherBase;
+beforeAll(async function () {
+  other = http.createServer(function (request, response) {
+    response.setHeader("Content-Type", "application/json");
+    response.end(JSON.stringify(request.headers));
+  });
+  await new Promise((resolve) => other.listen(0, "127.0.0.1", resolve));
+  otherBase = `http://127.0.0.1:${other.address().port}`;
+
+  server = http.createServer(function (request, response) {
+    const chunks = [];
+    request.on("data", (chunk) => chunks.push(chunk));
+    request.on("end", function () {
+      const url = new URL(request.url, base);
+      switch (url.pathname) {
+        case "/echo":
+          response.setHeader("Content-Type", "application/json");
+          response.end(
+            JSON.stringify({
+              method: request.method,
+              query: url.search,
+              contentType: request.headers["content-type"],
+              contentLength: request.headers["content-length"],
+              body: Buffer.concat(chunks).toString(),
+            })
+          );
+          break;
+        case "/missing":
+          response.statusCode = 404;
+          response.end("missing");
+          break;
+        case "/cookies":
+          response.setHeader("Set-Cookie", [
+            "a=1; Expires=Wed, 21 Oct 2099 07:28:00 GMT",
+            "b=2",
+          ]);
+          response.end();
+          break;
+        case "/redirect":
+          response.statusCode = 302;
+          response.setHeader("Location", "/echo?redirected=1");
+          response.end();
+          break;
+        case "/see-other":
+          response.statusCode = 303;
+          response.setHeader("Location", "/echo");
+          response.end();
+          break;
+        case "/temporary":
+          response.statusCode = 307;
+          response.setHeader("Location", "/echo");
+          response.end();
+          break;
+        case "/elsewhere":
+          response.statusCode = 302;
+          response.setHeader("Location", `${otherBase}/`);
+          response.end();
+          break;
+        case "/gzip":
+          response.setHeader("Content-Encoding", "gzip");
+          response.end(zlib.gzipSync("compressed"));
+          break;
+        case "/slow":
+          setTimeout(() => response.end("slow"), 1000);
+          break;
+        default:
+          response.end("text");
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async function () {
+  for (const closing of [server, other]) {
+    closing.closeAllConnections();
+    await new Promise((resolve) => closing.close(resolve));
+  }
+});
+
+test("buildURL adds repeated, date and object parameters", function () {
+  expect(
+    buildURL("http://api.test/a?x=1#top", {
+      b: [1, 2],
+      d: new Date(0),
+      o: { c: 1 },
+      n: null,
+    })
+  ).toBe(
+    "http://api.test/a?x=1&b=1&b=2&d=1970-01-01T00%3A00%3A00.000Z&o=%7B%22c%22%3A1%7D"
+  );
+  expect(buildURL("http://api.test/a", {})).toBe("http://api.test/a");
+});
+
+test("createTransport chooses transports by name", function () {
+  expect(createTransport()).toBe(axiosTransport);
+  expect(createTransport("fetch")).toBe(fetchTransport);
+  expect(createTransport(httpTransport)).toBe(httpTransport);
+  expect(() => createTransport("carrier pigeon")).toThrow(TypeError);
+});
+
+describe.each([
+  ["axios", axiosTransport],
+  ["fetch", fetchTransport],
+  ["http", httpTransport],
+])("%s transport", function (name, transport) {
+  test("sends parameters and JSON data", async function () {
+    const response = await transport.request({
+      method: "post",
+      url: `${base}/echo`,
+      params: { a: [1, 2] },
+      data: { b: 1 },
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toBe("application/json");
+    expect(response.data).toMatchObject({
+      method: "POST",
+      query: "?a=1&a=2",
+      body: '{"b":1}',
+    });
+    expect(response.data.contentType).toMatch(/^application\/json/);
+  });
+
+  test("resolves with failing statuses", async function () {
+    const response = await transport.request({
+      method: "get",
+      url: `${base}/missing`,
+      responseType: "text",
+    });
+
+    expect(response.status).toBe(404);
+    expect(response.data).toBe("missing");
+  });
+
+  test("keeps every Set-Cookie header", async function () {
+    const response = await transport.request({
+      method: "get",
+      url: `${base}/cookies`,
+    });
+
+    expect(response.headers["set-cookie"]).toEqual([
+      "a=1; Expires=Wed, 21 Oct 2099 07:28:00 GMT",
+      "b=2",
+    ]);
+  });
+
+  test("follows redirects and decompresses", async function () {
+    const redirected = await transport.request({
+      method: "get",
+      url: `${base}/redirect`,
+    });
+    const compressed = await transport.request({
+      method: "get",
+      url: `${base}/gzip`,
+      responseType: "text",
+    });
+
+    expect(redirected.data.query).toBe("?redirected=1");
+    expect(compressed.data).toBe("compressed");
+  });
+
+  test("drops the body and its headers when a redirect changes the method", async function () {
+    const response = await transport.request({
+      method: "post",
+      url: `${base}/see-other`,
+      data: new URLSearchParams({ user: "ann" }),
+    });
+
+    expect(response.data).toEqual({
+      method: "GET",
+      query: "",
+      body: "",
+    });
+  });
+
+  test("keeps the body of 307 redirects", async function () {
+    const response = await transport.request({
+      method: "post",
+      url: `${base}/temporary`,
+      data: { b: 1 },
+    });
+
+    expect(response.data).toMatchObject({ method: "POST", body: '{"b":1}' });
+  });
+
+  test("does not send credentials to another origin", async function () {
+    const response = await transport.request({
+      method: "get",
+      url: `${base}/elsewhere`,
+      headers: {
+        Authorization: "Bearer secret",
+        "Proxy-Authorization": "Basic secret",
+        Cookie: "session=secret",
+        "X-Kept": "1",
+      },
+    });
+
+    expect(response.data).toMatchObject({ "x-kept": "1" });
+    expect(response.data).not.toHaveProperty("authorization");
+    expect(response.data).not.toHaveProperty("proxy-authorization");
+    expect(response.data).not.toHaveProperty("cookie");
+  });
+
+  test("reports network error codes", async function () {
+    const closed = http.createServer();
+    await new Promise((resolve) => closed.listen(0, "127.0.0.1", resolve));
+    const url = `http://127.0.0.1:${closed.address().port}/`;
+    await new Promise((resolve) => closed.close(resolve));
+
+    await expect(
+      transport.request({ method: "get", url: url })
+    ).rejects.toMatchObject({ code: "ECONNREFUSED" });
+  });
+
+  test("is used by a Requester", async function () {
+    const requester = new Requester({ transport: name, throwOnFailure: false });
+    await requester.get(`${base}/echo`, "echo", "a", 1);
+    await requester.get(`${base}/missing`, "missing");
+    await requester.get(`${base}/slow`, "slow", { timeout: 20 });
+
+    expect(requester.response("echo").data.query).toBe("?a=1");
+    expect(requester.error("missing")).toBeInstanceOf(NotFoundError);
+    expect(requester.error("slow")).toBeInstanceOf(NetworkError);
+  });
+});
+
+test("redirectRequest drops credentials and body headers", function () {
+  const request = {
+    method: "post",
+    url: "http://a.test/x",
+    headers: {
+      Authorization: "Bearer secret",
+      cookie: "a=1",
+      "Content-Type": "application/json",
+      "Content-Length": "7",
+      Accept: "*/*",
+    },
+    data: '{"a":1}',
+  };
+  const redirect = (status, location) =>
+    redirectRequest(request, { status: status, headers: { location } });
+
+  expect(redirect(200, "/y")).toBeUndefined();
+  expect(redirect(307, "/y")).toEqual({ ...request, url: "http://a.test/y" });
+  expect(redirect(302, "https://a.test/x")).toEqual({
+    method: "get",
+    url: "https://a.test/x",
+    headers: { Accept: "*/*" },
+    data: undefined,
+  });
+});
+
+test.each([
+  ["axios", axiosTransport],
+  ["http", httpTransport],
+])(
+  "the %s transport does not send a stream body twice",
+  async function (name, transport) {
+    await expect(
+      transport.request({
+        method: "post",
+        url: `${base}/temporary`,
+        data: Readable.from(["streamed"]),
+      })
+    ).rejects.toMatchObject({ code: "ERR_STREAM_CONSUMED" });
+  }
+);
+
+test("the http transport stops after maxRedirects", async function () {
+  const response = await httpTransport.request({
+    method: "get",
+    url: `${base}/redirect`,
+    maxRedirects: 0,
+  });
+
+  expect(response.status).toBe(302);
+  expect(response.headers["location"]).toBe("/echo?redirected=1");
+});
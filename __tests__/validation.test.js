@@ -0,0 +1,186 @@
+/**
+ * @file Tests of response validation
+ */
+"use strict";
+
+import { Requester } from "../requester.js";
+import {
+  statusAllowed,
+  validateResponse,
+  validateSchema,
+} from "../validation.js";
+import { HTTPError, ResponseValidationError } from "../errors.js";
+
+const userSchema = {
+  type: "object",
+  required: ["id", "name"],
+  additionalProperties: false,
+  properties: {
+    id: { type: "integer", minimum: 1 },
+    name: { type: "string", minLength: 1, maxLength: 5, pattern: "^[a-z]+$" },
+    role: { enum: ["admin", "user"] },
+    tags: { type: "array", items: { type: "string" }, maxItems: 2 },
+  },
+};
+
+describe("validateSchema", function () {
+  test("accepts matching values", function () {
+    expect(
+      validateSchema({ id: 1, name: "ann", role: "user", tags: [] }, userSchema)
+    ).toEqual([]);
+    expect(validateSchema(1, { type: "number" })).toEqual([]);
+    expect(validateSchema(null, { type: ["string", "null"] })).toEqual([]);
+  });
+
+  test("reports every failure with its path", function () {
+    expect(
+      validateSchema(
+        { id: 0, name: "Anne-Marie", role: "guest", tags: ["a", 2, "c"], x: 1 },
+        userSchema
+      )
+    ).toEqual([
+      { path: "$.id", message: "expected at least 1" },
+      { path: "$.name", message: "expected at most 5 characters" },
+      { path: "$.name", message: "expected to match ^[a-z]+$" },
+      { path: "$.role", message: 'expected one of ["admin","user"]' },
+      { path: "$.tags", message: "expected at most 2 items" },
+      { path: "$.tags[1]", message: "expected string but got integer" },
+      { path: "$.x", message: "property is not allowed" },
+    ]);
+  });
+
+  test("stops at a value of the wrong type", function () {
+    expect(validateSchema("1", { type: "integer", minimum: 2 })).toEqual([
+      { path: "$", message: "expected integer but got string" },
+    ]);
+    expect(validateSchema({}, userSchema)).toEqual([
+      { path: "$.id", message: "required property is missing" },
+      { path: "$.name", message: "required property is missing" },
+    ]);
+  });
+
+  test("checks additional properties against a schema", function () {
+    expect(
+      validateSchema(
+        { a: 1, b: "2" },
+        { additionalProperties: { type: "number" } }
+      )
+    ).toEqual([{ path: "$.b", message: "expected number but got string" }]);
+  });
+});
+
+describe("validateResponse", function () {
+  const response = {
+    status: 202,
+    headers: { "content-type": "application/JSON; charset=utf-8" },
+    data: { id: 1 },
+  };
+
+  test("checks status, media type and validate function", function () {
+    expect(
+      validateResponse(response, {
+        status: [200, 202],
+        contentType: "application/json",
+        validate: (data) => data.id === 1,
+      })
+    ).toEqual([]);
+    expect(
+      validateResponse(response, {
+        status: (status) => status === 200,
+        contentType: /xml/,
+        validate: () => "id is wrong",
+      })
+    ).toEqual([
+      { path: "status", message: "status 202 is not allowed" },
+      {
+        path: "content-type",
+        message: "expected /xml/ but got application/JSON; charset=utf-8",
+      },
+      { path: "$", message: "id is wrong" },
+    ]);
+  });
+
+  test("reports a missing Content-Type", function () {
+    expect(
+      validateResponse(
+        { status: 200, headers: {}, data: "" },
+        { contentType: "text/plain" }
+      )
+    ).toEqual([
+      {
+        path: "content-type",
+        message: "expected text/plain but got no Content-Type",
+      },
+    ]);
+  });
+
+  test("statusAllowed accepts a status, list or function", function () {
+    expect(statusAllowed(404, 404)).toBe(true);
+    expect(statusAllowed([200, 404], 500)).toBe(false);
+    expect(statusAllowed((status) => status < 500, 404)).toBe(true);
+  });
+});
+
+describe("the expect option", function () {
+  let requester;
+  beforeEach(function () {
+    requester = new Requester({ throwOnFailure: false });
+    requester
+      .mock()
+      .on("get", "/user", {
+        data: { id: 1, name: "Ann" },
+        headers: { "content-type": "application/json" },
+      })
+      .on("get", "/missing", { status: 404, data: { error: "missing" } })
+      .on("get", "/broken", { status: 500 });
+  });
+
+  test("fails responses which do not meet it", async function () {
+    await requester.get("http://api.test/user", "user", {
+      expect: { schema: userSchema, contentType: "text/html" },
+    });
+
+    const error = requester.error("user");
+    expect(error).toBeInstanceOf(ResponseValidationError);
+    expect(error.failures.map((failure) => failure.path)).toEqual([
+      "content-type",
+      "$.name",
+    ]);
+    expect(error.status).toBe(200);
+    expect(error.body).toEqual({ id: 1, name: "Ann" });
+  });
+
+  test("lets allowed statuses succeed", async function () {
+    await requester.get("http://api.test/missing", "missing", {
+      expect: { status: [200, 404] },
+    });
+    await requester.get("http://api.test/broken", "broken", {
+      expect: { status: [200, 404] },
+    });
+
+    expect(requester.response("missing").data).toEqual({ error: "missing" });
+    expect(requester.error("broken")).toBeInstanceOf(HTTPError);
+  });
+
+  test("checks responses given by middleware", async function () {
+    requester.use(() => ({ status: 200, data: "cached" }));
+    await requester.get("http://api.test/user", "user", {
+      expect: { contentType: "application/json" },
+    });
+
+    const error = requester.error("user");
+    expect(error).toBeInstanceOf(ResponseValidationError);
+    expect(error.method).toBe("get");
+    expect(error.url).toBe("http://api.test/user");
+    expect(error.headers).toEqual({});
+  });
+
+  test("can be set for every request of an instance", async function () {
+    requester.setOptions({ expect: { validate: () => false } });
+    await requester.get("http://api.test/user", "user");
+
+    expect(requester.error("user").failures).toEqual([
+      { path: "$", message: "rejected by validate function" },
+    ]);
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * @file Provide authentication strategies for easier-requests
+ * @author Harry Henry Gebel <hhgebel@gmail.com>
+ * @copyright 2020 Harry Henry Gebel
+ * @license MIT
+ * @version 0.0.5
+ * @module auth
+ * @since 0.0.5
+ */
+"use strict";
+
+/**
+ * Interface of an authentication strategy, set with the auth option.
+ * @interface AuthStrategy
+ * @since 0.0.5
+ */
+/**
+ * Add credentials to a request. Called before every attempt.
+ * @function
+ * @async
+ * @name AuthStrategy#apply
+ * @param {Object} config - axios request configuration, which must
+ * not be changed
+ * @return {Object} Configuration of the request with credentials.
+ */
+/**
+ * Optional. Renew credentials after a request is refused with a 401
+ * Unauthorized response.
+ * @function
+ * @async
+ * @name AuthStrategy#refresh
+ * @param {Object} config - Configuration returned by apply() for the
+ * refused request
+ * @return {boolean} True if the request should be made again with new
+ * credentials.
+ */
+
+/**
+ * Add a header to a request configuration
+ * @private
+ * @since 0.0.5
+ * @param {Object} config - axios request configuration
+ * @param {string} name - Name of the header
+ * @param {string} value - Value of the header
+ * @return {Object} Copy of config with the header added.
+ */
+function withHeader(config, name, value) {
+  return { ...config, headers: { ...config.headers, [name]: value } };
+}
+
+/**
+ * Encode a string as base64, first encoding it as UTF-8
+ * @private
+ * @since 0.0.5
+ * @param {string} string - String to encode
+ * @return {string} The base64 encoding.
+ */
+function base64(string) {
+  let binary = "";
+  for (const byte of new TextEncoder().encode(string))
+    binary += String.fromCharCode(byte);
+
+  return btoa(binary);
+}
+
+/**
+ * HTTP basic authentication
+ * @implements {AuthStrategy}
+ * @since 0.0.5
+ */
+export class BasicAuth {
+  /**
+   * Create a BasicAuth
+   * @since 0.0.5
+   * @param {string} username - User name
+   * @param {string} password - Password
+   */
+  constructor(username, password) {
+    this._authorization = `Basic ${base64(`${username}:${password}`)}`;
+  }
+
+  /**
+   * Add the Authorization header of the user name and password
+   * @async
+   * @since 0.0.5
+   * @param {Object} config - axios request configuration
+   * @return {Object} Copy of config with the Authorization header added.
+   */
+  async apply(config) {
+    return withHeader(config, "Authorization", this._authorization);
+  }
+}
+
+/**
+ * Bearer token authentication
+ * @implements {AuthStrategy}
+ * @since 0.0.5
+ */
+export class BearerAuth {
+  /**
+   * Create a BearerAuth
+   * @since 0.0.5
+   * @param {string|Function} token - The token, or a function returning
+   * the token (or a promise of it), which is called before every
+   * request
+   */
+  constructor(token) {
+    this._token = token;
+  }
+
+  /**
+   * Add the Authorization header of the current token
+   * @async
+   * @since 0.0.5
+   * @param {Object} config - axios request configuration
+   * @return {Object} Copy of config with the Authorization header added.
+   */
+  async apply(config) {
+    const token =
+      typeof this._token === "function" ? await this._token() : this._token;
+    return withHeader(config, "Authorization", `Bearer ${token}`);
+  }
+}
+
+/**
+ * API key authentication, sending the key in a header or query
+ * parameter
+ * @implements {AuthStrategy}
+ * @since 0.0.5
+ */
+export class APIKeyAuth {
+  /**
+   * Create an APIKeyAuth
+   * @since 0.0.5
+   * @param {string} name - Name of the header or query parameter
+   * @param {string} key - The API key
+   * @param {string} [location = "header"] - "header" or "query"
+   */
+  constructor(name, key, location = "header") {
+    this._name = name;
+    this._key = key;
+    this._location = location;
+  }
+
+  /**
+   * Add the API key to the headers or query parameters
+   * @async
+   * @since 0.0.5
+   * @param {Object} config - axios request configuration
+   * @return {Object} Copy of config with the key added.
+   */
+  async apply(config) {
+    if (this._location === "query")
+      return {
+        ...config,
+        params: { ...config.params, [this._name]: this._key },
+      };
+    return withHeader(config, this._name, this._key);
+  }
+}
+
+/**
+ * Token authentication which obtains a new token when a request is
+ * refused with a 401 Unauthorized response, then makes the request
+ * again. Requests refused while a new token is being obtained wait for
+ * that token instead of obtaining their own, and requests started in
+ * the meantime wait before they are sent.
+ * @implements {AuthStrategy}
+ * @since 0.0.5
+ */
+export class RefreshableTokenAuth {
+  /**
+   * Create a RefreshableTokenAuth
+   * @since 0.0.5
+   * @param {Object} options - Strategy options
+   * @param {Function} options.refresh - Function returning a new token,
+   * or a promise of one. Usually performs a request with a separate
+   * Requester, or one without this strategy.
+   * @param {string} [options.token] - Current token. If not given,
+   * refresh() is called before the first request.
+   * @param {string} [options.scheme = "Bearer"] - Scheme preceding the
+   * token in the Authorization header
+   */
+  constructor({ refresh, token, scheme = "Bearer" }) {
+    this._refresh = refresh;
+    this._token = token;
+    this._scheme = scheme;
+
+    // promise of the token being obtained, if any
+    this._refreshing = undefined;
+  }
+
+  /**
+   * Obtain a new token, unless one is already being obtained
+   * @async
+   * @private
+   * @since 0.0.5
+   * @return {string} The new token.
+   */
+  _renew() {
+    if (this._refreshing === undefined)
+      this._refreshing = Promise.resolve()
+        .then(() => this._refresh())
+        .then((token) => (this._token = token))
+        .finally(() => (this._refreshing = undefined));
+
+    return this._refreshing;
+  }
+
+  /**
+   * Add the Authorization header of the current token, first waiting
+   * for a token being obtained
+   * @async
+   * @since 0.0.5
+   * @param {Object} config - axios request configuration
+   * @return {Object} Copy of config with the Authorization header added.
+   */
+  async apply(config) {
+    if (this._refreshing !== undefined) await this._refreshing;
+    else if (this._token === undefined) await this._renew();
+
+    return withHeader(
+      config,
+      "Authorization",
+      `${this._scheme} ${this._token}`
+    );
+  }
+
+  /**
+   * Obtain a new token unless the refused token has already been
+   * replaced
+   * @async
+   * @since 0.0.5
+   * @param {Object} config - Configuration returned by apply() for the
+   * refused request
+   * @return {boolean} Always true, so that the request is made again.
+   */
+  async refresh(config) {
+    // only renew if the refused token is still the current one
+    if (config.headers["Authorization"] === `${this._scheme} ${this._token}`)
+      await this._renew();
+    else if (this._refreshing !== undefined) await this._refreshing;
+
+    return true;
+  }
+}
+
+/**
+ * Turn the value of the auth option into a strategy
+ * @since 0.0.5
+ * @param {AuthStrategy|Object} [auth] - A strategy, which is returned
+ * unchanged, or an object with username and password properties for
+ * HTTP basic authentication
+ * @return {AuthStrategy|undefined} The strategy, or undefined if auth
+ * is not set.
+ */
+export function createAuth(auth) {
+  if (auth === undefined || auth === null) return undefined;
+  if (typeof auth.apply === "function") return auth;
+
+  return new BasicAuth(auth.username, auth.password);
+}
+
+//  LocalWords:  BasicAuth BearerAuth APIKeyAuth RefreshableTokenAuth
+//  LocalWords:  AuthStrategy base64
@@ -0,0 +1,386 @@
+/**
+ * @file Provide form bodies and streamed downloads for easier-requests
+ * @author Harry Henry Gebel <hhgebel@gmail.com>
+ * @copyright 2020 Harry Henry Gebel
+ * @license MIT
+ * @version 0.0.5
+ * @module bodies
+ * @since 0.0.5
+ */
+"use strict";
+
+/**
+ * Check if a value is a Node readable stream
+ * @since 0.0.5
+ * @param {*} value - The value
+ * @return {boolean} True if value can be piped.
+ */
+export function isStream(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    typeof value.pipe === "function"
+  );
+}
+
+/**
+ * Check if the code is running under Node
+ * @private
+ * @since 0.0.5
+ * @return {boolean} True under Node.
+ */
+function isNode() {
+  return (
+    typeof process !== "undefined" &&
+    process.versions !== undefined &&
+    process.versions.node !== undefined
+  );
+}
+
+/**
+ * Convert a part of a body into bytes
+ * @private
+ * @since 0.0.5
+ * @param {string|ArrayBuffer|Uint8Array} part - The part
+ * @return {Uint8Array} The bytes, strings being encoded as UTF-8.
+ */
+function toBytes(part) {
+  if (typeof part === "string") return new TextEncoder().encode(part);
+  if (part instanceof ArrayBuffer) return new Uint8Array(part);
+  return part;
+}
+
+/**
+ * Body of a request built from form fields, passed as the data of
+ * Requester.post(), Requester.put() or Requester.patch(). The
+ * Content-Type, and the Content-Length when it is known, are set
+ * automatically.
+ * @since 0.0.5
+ */
+export class FormBody {
+  /**
+   * Create a FormBody
+   * @since 0.0.5
+   * @param {Array} parts - Parts of the body in order, each a string,
+   * ArrayBuffer, Uint8Array (including Buffer), Blob or Node readable
+   * stream
+   * @param {string} contentType - Content-Type of the body
+   */
+  constructor(parts, contentType) {
+    this.parts = parts;
+    this.contentType = contentType;
+  }
+
+  /**
+   * Number of bytes in the body, or undefined if it contains a stream
+   * @since 0.0.5
+   * @type {number|undefined}
+   */
+  get length() {
+    let length = 0;
+    for (const part of this.parts) {
+      if (isStream(part)) return undefined;
+      length +=
+        typeof Blob !== "undefined" && part instanceof Blob
+          ? part.size
+          : toBytes(part).byteLength;
+    }
+
+    return length;
+  }
+
+  /**
+   * Produce the bytes of the body in order, reading streams and Blobs
+   * as they are reached
+   * @async
+   * @generator
+   * @since 0.0.5
+   * @yields {Uint8Array} The next chunk of the body.
+   */
+  async *chunks() {
+    for (const part of this.parts)
+      if (isStream(part)) for await (const chunk of part) yield toBytes(chunk);
+      else if (typeof Blob !== "undefined" && part instanceof Blob)
+        yield new Uint8Array(await part.arrayBuffer());
+      else yield toBytes(part);
+  }
+
+  /**
+   * Convert the body into data a transport can send: a Blob in
+   * browsers, a Buffer under Node, or a Node readable stream when the
+   * body contains a stream or upload progress is reported.
+   * @async
+   * @since 0.0.5
+   * @param {Function} [onProgress] - Function called with the number of
+   * bytes read so far each time a chunk is sent. Only called under
+   * Node.
+   * @return {Blob|Buffer|Readable} The data.
+   * @throws {TypeError} Thrown in browsers when the body contains a
+   * stream.
+   */
+  async toData(onProgress) {
+    const streamed = this.parts.some(isStream);
+    if (!isNode()) {
+      if (streamed) throw new TypeError("Streams can only be sent under Node.");
+      return new Blob(this.parts, { type: this.contentType });
+    }
+
+    if (!streamed && onProgress === undefined) {
+      const buffers = [];
+      for await (const chunk of this.chunks()) buffers.push(chunk);
+      return Buffer.concat(buffers);
+    }
+
+    const { Readable } = await import("stream");
+    const chunks = this.chunks();
+    return Readable.from(
+      (async function* () {
+        let loaded = 0;
+        for await (const chunk of chunks) {
+          loaded += chunk.byteLength;
+          yield Buffer.from(chunk);
+          if (onProgress !== undefined) onProgress(loaded);
+        }
+      })()
+    );
+  }
+}
+
+/**
+ * List the fields of a form, flattening arrays into repeated fields
+ * @private
+ * @since 0.0.5
+ * @param {Object} fields - Form fields keyed by name
+ * @return {Array<Array>} Name and value pairs.
+ */
+function entries(fields) {
+  const pairs = [];
+  for (const [name, value] of Object.entries(fields))
+    for (const single of Array.isArray(value) ? value : [value])
+      if (single !== undefined) pairs.push([name, single]);
+
+  return pairs;
+}
+
+/**
+ * Build an application/x-www-form-urlencoded body
+ * @since 0.0.5
+ * @param {Object} fields - Form fields keyed by name. Array values are
+ * sent as repeated fields, others are converted to strings.
+ * @return {FormBody} The body.
+ */
+export function urlencoded(fields) {
+  const search = new URLSearchParams();
+  for (const [name, value] of entries(fields))
+    search.append(name, value === null ? "" : String(value));
+
+  return new FormBody([search.toString()], "application/x-www-form-urlencoded");
+}
+
+/**
+ * A file in a multipart body, for values whose file name or content
+ * type cannot be found on their own
+ * @typedef {Object} FilePart
+ * @since 0.0.5
+ * @property {string|ArrayBuffer|Uint8Array|Blob|Readable} value - The
+ * contents of the file
+ * @property {string} [filename] - File name sent for the file
+ * @property {string} [contentType = "application/octet-stream"] -
+ * Content-Type of the file
+ */
+
+/**
+ * Escape a name or file name in a Content-Disposition header
+ * @private
+ * @since 0.0.5
+ * @param {string} name - The name
+ * @return {string} The escaped name.
+ */
+function escapeName(name) {
+  return String(name)
+    .replace(/\r/g, "%0D")
+    .replace(/\n/g, "%0A")
+    .replace(/"/g, "%22");
+}
+
+/**
+ * Build a multipart/form-data body. Files are read when the body is
+ * sent, so streams are not buffered under Node.
+ * @since 0.0.5
+ * @param {Object} fields - Form fields keyed by name. Strings, numbers
+ * and booleans are sent as text; Blobs (including Files), Buffers,
+ * ArrayBuffers, Node readable streams and FileParts as files; other
+ * objects as JSON. Array values are sent as repeated fields.
+ * @param {string} [boundary] - Boundary between parts, generated if not
+ * given
+ * @return {FormBody} The body.
+ */
+export function multipart(fields, boundary = undefined) {
+  if (boundary === undefined)
+    boundary = `----easier-requests-${Date.now().toString(16)}${Math.random()
+      .toString(16)
+      .slice(2)}`;
+
+  const parts = [];
+  for (const [name, field] of entries(fields)) {
+    let value = field;
+    let filename;
+    let contentType;
+    if (
+      field !== null &&
+      typeof field === "object" &&
+      "value" in field &&
+      !isStream(field)
+    ) {
+      ({ value, filename, contentType } = field);
+      if (filename === undefined) filename = name;
+    } else if (typeof Blob !== "undefined" && field instanceof Blob) {
+      filename = field.name || "blob";
+      contentType = field.type || undefined;
+    } else if (isStream(field)) {
+      filename =
+        typeof field.path === "string" ? field.path.split(/[\\/]/).pop() : name;
+    } else if (field instanceof ArrayBuffer || ArrayBuffer.isView(field)) {
+      filename = name;
+    } else if (field !== null && typeof field === "object") {
+      value = JSON.stringify(field);
+      contentType = "application/json";
+    } else value = field === null ? "" : String(field);
+
+    let head = `--${boundary}\r\nContent-Disposition: form-data; name="${escapeName(
+      name
+    )}"`;
+    if (filename !== undefined) {
+      head += `; filename="${escapeName(filename)}"`;
+      if (contentType === undefined) contentType = "application/octet-stream";
+    }
+    if (contentType !== undefined) head += `\r\nContent-Type: ${contentType}`;
+
+    parts.push(`${head}\r\n\r\n`, value, "\r\n");
+  }
+  parts.push(`--${boundary}--\r\n`);
+
+  return new FormBody(parts, `multipart/form-data; boundary=${boundary}`);
+}
+
+/**
+ * Read a web ReadableStream, such as the body of a fetch response
+ * @async
+ * @generator
+ * @private
+ * @since 0.0.5
+ * @param {ReadableStream} stream - The stream
+ * @yields {Uint8Array} The next chunk of the stream.
+ */
+async function* readWebStream(stream) {
+  const reader = stream.getReader();
+  try {
+    for (let read = await reader.read(); !read.done; read = await reader.read())
+      yield read.value;
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+/**
+ * Read a stream response body as it arrives
+ * @async
+ * @generator
+ * @since 0.0.5
+ * @param {Readable|ReadableStream} stream - Data of a response whose
+ * responseType is "stream", a Node stream or a web ReadableStream
+ * @yields {Uint8Array} The next chunk of the stream.
+ */
+export async function* readChunks(stream) {
+  if (isStream(stream)) for await (const chunk of stream) yield toBytes(chunk);
+  else yield* readWebStream(stream);
+}
+
+/**
+ * Close a stream response body which will not be read, so that its
+ * connection is released
+ * @since 0.0.5
+ * @param {*} stream - Data of the response, ignored if it is not a
+ * stream
+ */
+export function discardStream(stream) {
+  if (isStream(stream)) stream.destroy();
+  else if (
+    stream !== null &&
+    typeof stream === "object" &&
+    typeof stream.cancel === "function" &&
+    !stream.locked
+  )
+    stream.cancel().catch(() => {});
+}
+
+/**
+ * Write the data of a response to a file or writable stream as it
+ * arrives. Only available under Node.
+ * @async
+ * @since 0.0.5
+ * @param {Readable|ReadableStream|string|Uint8Array} [data] - Data of
+ * the response, a stream when the request's responseType is "stream"
+ * @param {string|Writable} destination - Path of the file, which is
+ * created or replaced, or a stream, which is not ended
+ * @param {Object} [options = {}] - Download options
+ * @param {AbortSignal} [options.signal] - Signal which stops the
+ * download
+ * @param {Function} [options.onProgress] - Function called with the
+ * number of bytes written so far after each chunk
+ * @return {number} Number of bytes written.
+ * @throws {Error} The error of the stream or file, or the reason signal
+ * was aborted.
+ */
+export async function saveTo(data, destination, { signal, onProgress } = {}) {
+  let stream = destination;
+  if (typeof destination === "string") {
+    const { createWriteStream } = await import("fs");
+    stream = createWriteStream(destination);
+    // fail if the file cannot be opened, rather than with an unhandled
+    // error event
+    await new Promise((resolve, reject) =>
+      stream.once("ready", resolve).once("error", reject)
+    );
+    // later errors are passed to the callbacks of write() and end()
+    stream.on("error", () => {});
+  }
+  const write = (chunk) =>
+    new Promise((resolve, reject) =>
+      stream.write(chunk, (error) => (error ? reject(error) : resolve()))
+    );
+
+  let chunks = [data];
+  // a response without a body, such as a 204, writes nothing
+  if (data === undefined || data === null) chunks = [];
+  else if (isStream(data) || typeof data.getReader === "function")
+    chunks = readChunks(data);
+  // data is only parsed when a transport ignores the stream responseType
+  else if (
+    typeof data === "object" &&
+    !(data instanceof ArrayBuffer || ArrayBuffer.isView(data))
+  )
+    chunks = [JSON.stringify(data)];
+
+  let loaded = 0;
+  try {
+    for await (const chunk of chunks) {
+      if (signal !== undefined && signal.aborted) {
+        if (isStream(data)) data.destroy();
+        throw signal.reason;
+      }
+      const bytes = toBytes(chunk);
+      await write(bytes);
+      loaded += bytes.byteLength;
+      if (onProgress !== undefined) onProgress(loaded);
+    }
+  } finally {
+    if (stream !== destination)
+      await new Promise((resolve) => stream.end(resolve));
+  }
+
+  return loaded;
+}
+
+//  LocalWords:  FormBody urlencoded multipart FilePart ArrayBuffer
+//  LocalWords:  ArrayBuffers Readable
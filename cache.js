@@ -0,0 +1,336 @@
+/**
+ * @file Provide the HTTP response cache for easier-requests
+ * @author Harry Henry Gebel <hhgebel@gmail.com>
+ * @copyright 2020 Harry Henry Gebel
+ * @license MIT
+ * @version 0.0.5
+ * @module cache
+ * @since 0.0.5
+ */
+"use strict";
+
+import { MemoryStorage } from "./storage.js";
+
+/**
+ * Parse a Cache-Control header into its directives
+ * @private
+ * @since 0.0.5
+ * @param {string} [header = ""] - Value of the header
+ * @return {Object} Directives keyed by lower case name. Directives
+ * without a value are set to true.
+ */
+function parseCacheControl(header = "") {
+  const directives = {};
+  for (const directive of header.split(",")) {
+    const [name, value] = directive.trim().split("=");
+    if (name !== "")
+      directives[name.toLowerCase()] =
+        value === undefined ? true : value.replace(/^"|"$/g, "");
+  }
+
+  return directives;
+}
+
+/**
+ * Find a header in headers whose names may have any case
+ * @private
+ * @since 0.0.5
+ * @param {Object} headers - The headers
+ * @param {string} name - Lower case name of the header
+ * @return {string|null} Value of the header, or null if it is
+ * missing.
+ */
+function headerValue(headers, name) {
+  const found = Object.keys(headers).find((key) => key.toLowerCase() === name);
+  // JSON storage drops undefined, so a missing header is null
+  return found === undefined ? null : String(headers[found]);
+}
+
+/**
+ * Hash a string, so that credentials do not appear in cache keys
+ * @private
+ * @since 0.0.5
+ * @param {string} string - The string
+ * @return {string} Hexadecimal 53 bit hash of string.
+ */
+function hash(string) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < string.length; i++) {
+    const code = string.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+  h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+  h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+/**
+ * Cache of GET responses, following the Cache-Control, Expires, ETag
+ * and Last-Modified headers of each response, and keeping the request
+ * headers named by its Vary header so that it only answers requests
+ * with the same values. Entries are kept in a
+ * StorageAdapter, and the least recently used entries are evicted
+ * once there are more than maxEntries of them.
+ * @since 0.0.5
+ */
+export class ResponseCache {
+  /**
+   * Create a ResponseCache
+   * @since 0.0.5
+   * @param {Object} [options = {}] - Cache options
+   * @param {StorageAdapter} [options.storage = new MemoryStorage()] -
+   * Where entries are kept
+   * @param {number} [options.maxEntries = 100] - Number of entries
+   * kept before the least recently used are evicted
+   * @param {number} [options.ttl = 0] - Milliseconds a response is
+   * fresh for when it has neither a max-age nor an Expires header
+   */
+  constructor({
+    storage = new MemoryStorage(),
+    maxEntries = 100,
+    ttl = 0,
+  } = {}) {
+    this._storage = storage;
+    this._maxEntries = maxEntries;
+    this._ttl = ttl;
+
+    // keys of stored entries, from least to most recently used. Filled
+    // from storage on first use, since storage may outlive the cache.
+    this._recency = undefined;
+  }
+
+  /**
+   * Fill the recency index with any entries already in storage
+   * @async
+   * @private
+   * @since 0.0.5
+   * @return {Map} The recency index.
+   */
+  async _index() {
+    if (this._recency === undefined) {
+      const keys = await this._storage.keys();
+      if (this._recency === undefined)
+        this._recency = new Map(keys.map((key) => [key, true]));
+    }
+
+    return this._recency;
+  }
+
+  /**
+   * Compute the cache key of a request
+   * @since 0.0.5
+   * @param {Object} config - axios request configuration
+   * @param {string} [credentials = ""] - Credentials the request is
+   * sent with, such as its Authorization and Cookie headers, so that
+   * requests with different credentials never share an entry. Only
+   * their hash is part of the key.
+   * @return {string} Key made from the method, URL, parameters and
+   * responseType of the request, and the hash of its credentials if it
+   * has any.
+   */
+  key(config, credentials = "") {
+    const params = config.params === undefined ? {} : config.params;
+    const sorted = Object.keys(params)
+      .sort()
+      .map((name) => [name, params[name]]);
+    const responseType =
+      config.responseType === undefined ? "json" : config.responseType;
+
+    const key = `${config.method.toUpperCase()} ${config.url} ${JSON.stringify(
+      sorted
+    )} ${responseType}`;
+    return credentials === "" ? key : `${key} ${hash(credentials)}`;
+  }
+
+  /**
+   * Read an entry, marking it as the most recently used
+   * @async
+   * @since 0.0.5
+   * @param {string} key - Key of the entry
+   * @param {Object} [headers = {}] - Headers of the request, which
+   * must have the values the entry's request had for the headers named
+   * by its Vary header
+   * @return {Object|undefined} The entry, or undefined if there is
+   * none for these headers.
+   */
+  async lookup(key, headers = {}) {
+    const recency = await this._index();
+    const entry = await this._storage.get(key);
+    if (entry === undefined) {
+      recency.delete(key);
+      return undefined;
+    }
+
+    recency.delete(key);
+    recency.set(key, true);
+    const vary = entry.vary === undefined ? {} : entry.vary;
+    for (const name of Object.keys(vary))
+      if (headerValue(headers, name) !== vary[name]) return undefined;
+    return entry;
+  }
+
+  /**
+   * Check if an entry can be used without revalidating it
+   * @since 0.0.5
+   * @param {Object} entry - Entry returned by ResponseCache.lookup()
+   * @return {boolean} True if the entry has not expired.
+   */
+  isFresh(entry) {
+    return Date.now() < entry.expires;
+  }
+
+  /**
+   * Compute the headers making a conditional request for an entry
+   * @since 0.0.5
+   * @param {Object} entry - Entry returned by ResponseCache.lookup()
+   * @return {Object} If-None-Match and If-Modified-Since headers for
+   * the validators of the entry, which may be empty.
+   */
+  validators(entry) {
+    const headers = {};
+    if (entry.etag !== undefined) headers["If-None-Match"] = entry.etag;
+    if (entry.lastModified !== undefined)
+      headers["If-Modified-Since"] = entry.lastModified;
+
+    return headers;
+  }
+
+  /**
+   * Store a response, or remove the stored response if it may not be
+   * cached
+   * @async
+   * @since 0.0.5
+   * @param {string} key - Key of the request
+   * @param {Object} response - axios response
+   * @param {Object} [headers = {}] - Headers of the request, whose
+   * values for the headers named by the response's Vary header are
+   * kept
+   */
+  async store(key, response, headers = {}) {
+    const recency = await this._index();
+    const directives = parseCacheControl(response.headers["cache-control"]);
+    const varyNames = (response.headers["vary"] || "")
+      .split(",")
+      .map((name) => name.trim().toLowerCase())
+      .filter((name) => name !== "");
+    const vary = {};
+    for (const name of varyNames) vary[name] = headerValue(headers, name);
+    const entry = {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+      data: response.data,
+      etag: response.headers["etag"],
+      lastModified: response.headers["last-modified"],
+      expires: this._expires(response.headers, directives),
+      vary: vary,
+    };
+
+    if (
+      response.status !== 200 ||
+      directives["no-store"] ||
+      varyNames.includes("*") ||
+      (!this.isFresh(entry) &&
+        entry.etag === undefined &&
+        entry.lastModified === undefined)
+    ) {
+      recency.delete(key);
+      await this._storage.delete(key);
+      return;
+    }
+
+    recency.delete(key);
+    recency.set(key, true);
+    await this._storage.set(key, entry);
+
+    // evict least recently used entries
+    for (const oldest of recency.keys()) {
+      if (recency.size <= this._maxEntries) break;
+      recency.delete(oldest);
+      await this._storage.delete(oldest);
+    }
+  }
+
+  /**
+   * Update an entry after a 304 Not Modified response
+   * @async
+   * @since 0.0.5
+   * @param {string} key - Key of the request
+   * @param {Object} entry - Entry the conditional request was made for
+   * @param {Object} response - The 304 axios response
+   * @return {Object} The updated entry.
+   */
+  async revalidate(key, entry, response) {
+    const headers = { ...entry.headers, ...response.headers };
+    const updated = {
+      ...entry,
+      headers: headers,
+      etag: headers["etag"],
+      lastModified: headers["last-modified"],
+      expires: this._expires(
+        headers,
+        parseCacheControl(headers["cache-control"])
+      ),
+    };
+    await this._storage.set(key, updated);
+
+    return updated;
+  }
+
+  /**
+   * Turn an entry back into a response
+   * @since 0.0.5
+   * @param {Object} entry - Entry returned by ResponseCache.lookup() or
+   * ResponseCache.revalidate()
+   * @param {Object} config - axios configuration of the request being
+   * answered
+   * @return {Object} An axios style response, with cached set to true.
+   */
+  toResponse(entry, config) {
+    return {
+      data: entry.data,
+      status: entry.status,
+      statusText: entry.statusText,
+      headers: entry.headers,
+      config: config,
+      cached: true,
+    };
+  }
+
+  /**
+   * Remove every entry
+   * @async
+   * @since 0.0.5
+   */
+  async clear() {
+    this._recency = new Map();
+    await this._storage.clear();
+  }
+
+  /**
+   * Compute when a response stops being fresh
+   * @private
+   * @since 0.0.5
+   * @param {Object} headers - Response headers
+   * @param {Object} directives - Parsed Cache-Control header
+   * @return {number} Expiry time in milliseconds since the epoch.
+   */
+  _expires(headers, directives) {
+    const now = Date.now();
+    if (directives["no-cache"]) return now;
+    if (directives["max-age"] !== undefined)
+      return now + Number(directives["max-age"]) * 1000 || now;
+    if (headers["expires"] !== undefined)
+      return Date.parse(headers["expires"]) || now;
+
+    return now + this._ttl;
+  }
+}
+
+//  LocalWords:  ResponseCache MemoryStorage StorageAdapter maxEntries
+//  LocalWords:  ttl ETag
@@ -0,0 +1,479 @@
+#!/usr/bin/env node
+/**
+ * @file Command-line tool running requests and .http request files with
+ * easier-requests
+ * @author Harry Henry Gebel <hhgebel@gmail.com>
+ * @copyright 2020 Harry Henry Gebel
+ * @license MIT
+ * @version 0.0.5
+ * @module cli
+ * @since 0.0.5
+ */
+"use strict";
+
+import { readFile } from "fs/promises";
+import { BearerAuth } from "./auth.js";
+import { expandVariables, parseHTTPFile, references } from "./httpfile.js";
+import { Requester } from "./requester.js";
+
+// exit codes
+const succeeded = 0;
+const failed = 1; // at least one request failed
+const misused = 2; // bad arguments or an unreadable request file
+
+const methods = ["delete", "get", "head", "options", "patch", "post", "put"];
+
+const usage = `Usage: easier-requests [options] [method] <url>
+       easier-requests [options] <file.http|file.rest>
+
+Run a single request, or the requests of a .http or .rest file, and
+print the status, headers and body of each response.
+
+Request options:
+  -H, --header "Name: value"  Send a header (repeatable)
+  -p, --param name=value      Send a query parameter (repeatable)
+  -d, --data <json>           Send a body, parsed as JSON if possible;
+                              @path reads it from a file
+  -a, --auth user:password    Use HTTP basic authentication
+  -b, --bearer <token>        Use bearer token authentication
+  -B, --base-url <url>        Resolve relative URLs against url
+  -t, --timeout <ms>          Abort requests after ms milliseconds
+  -r, --retry <attempts>      Make up to attempts attempts per request
+  -T, --transport <name>      Use the axios, fetch or http transport
+
+File options:
+  -n, --name <name>           Only run the named request (repeatable)
+  -v, --var name=value        Set a file variable (repeatable)
+  -c, --concurrency <n>       Run up to n requests at once (default 1)
+
+Output options:
+  -q, --quiet                 Only print response bodies
+  -h, --help                  Print this help
+
+The exit status is 0 when every request succeeds, 1 when any request
+fails, and 2 when the arguments or request file are invalid.`;
+
+// options taking a value, keyed by every spelling
+const valueOptions = {
+  "-H": "header",
+  "--header": "header",
+  "-p": "param",
+  "--param": "param",
+  "-d": "data",
+  "--data": "data",
+  "-a": "auth",
+  "--auth": "auth",
+  "-b": "bearer",
+  "--bearer": "bearer",
+  "-B": "baseURL",
+  "--base-url": "baseURL",
+  "-t": "timeout",
+  "--timeout": "timeout",
+  "-r": "retry",
+  "--retry": "retry",
+  "-T": "transport",
+  "--transport": "transport",
+  "-n": "name",
+  "--name": "name",
+  "-v": "var",
+  "--var": "var",
+  "-c": "concurrency",
+  "--concurrency": "concurrency",
+};
+const repeatable = ["header", "param", "name", "var"];
+
+/**
+ * Error in the arguments of the command
+ * @private
+ * @since 0.0.5
+ */
+class UsageError extends Error {
+  /**
+   * Create a UsageError
+   * @since 0.0.5
+   * @param {string} message - Description of the mistake
+   */
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+/**
+ * Split an argument such as "name=value" at its first separator
+ * @private
+ * @since 0.0.5
+ * @param {string} argument - The argument
+ * @param {string} separator - The separator
+ * @param {string} option - Option the argument was given to, for errors
+ * @return {Array<string>} The trimmed name and value.
+ * @throws {UsageError} Thrown when the separator is missing.
+ */
+function split(argument, separator, option) {
+  const index = argument.indexOf(separator);
+  if (index <= 0)
+    throw new UsageError(
+      `--${option} expects name${separator}value, found "${argument}".`
+    );
+
+  return [argument.slice(0, index).trim(), argument.slice(index + 1).trim()];
+}
+
+/**
+ * Read a non-negative number given to an option
+ * @private
+ * @since 0.0.5
+ * @param {string} value - The argument
+ * @param {string} option - Name of the option, for errors
+ * @return {number} The number.
+ * @throws {UsageError} Thrown when value is not a non-negative number.
+ */
+function number(value, option) {
+  const parsed = Number(value);
+  if (value === "" || !(parsed >= 0))
+    throw new UsageError(`--${option} expects a number, found "${value}".`);
+
+  return parsed;
+}
+
+/**
+ * Read the command-line arguments
+ * @private
+ * @since 0.0.5
+ * @param {Array<string>} argv - Arguments following the command
+ * @return {Object} The options, keyed by their long names, and the
+ * positional arguments in positional.
+ * @throws {UsageError} Thrown when an option is unknown or missing its
+ * value.
+ */
+function parseArguments(argv) {
+  const args = { positional: [] };
+  for (const name of repeatable) args[name] = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const argument = argv[i];
+    if (argument === "-h" || argument === "--help") args.help = true;
+    else if (argument === "-q" || argument === "--quiet") args.quiet = true;
+    else if (argument in valueOptions) {
+      if (i + 1 === argv.length)
+        throw new UsageError(`${argument} expects a value.`);
+      const name = valueOptions[argument];
+      if (repeatable.includes(name)) args[name].push(argv[++i]);
+      else args[name] = argv[++i];
+    } else if (argument.startsWith("-"))
+      throw new UsageError(`Unknown option ${argument}.`);
+    else args.positional.push(argument);
+  }
+
+  return args;
+}
+
+/**
+ * Create the Requester performing the requests
+ * @private
+ * @since 0.0.5
+ * @param {Object} args - Arguments returned by parseArguments()
+ * @return {Requester} The Requester.
+ * @throws {UsageError} Thrown when an option's value is invalid.
+ */
+function createRequester(args) {
+  const options = { throwOnFailure: false, headers: {} };
+  for (const header of args.header) {
+    const [name, value] = split(header, ":", "header");
+    options.headers[name] = value;
+  }
+  if (args.auth !== undefined) {
+    const [username, password] = split(args.auth, ":", "auth");
+    options.auth = { username: username, password: password };
+  }
+  if (args.bearer !== undefined) options.auth = new BearerAuth(args.bearer);
+  if (args.baseURL !== undefined) options.baseURL = args.baseURL;
+  if (args.timeout !== undefined)
+    options.timeout = number(args.timeout, "timeout");
+  if (args.retry !== undefined) options.retry = number(args.retry, "retry");
+  if (args.transport !== undefined) {
+    if (!["axios", "fetch", "http"].includes(args.transport))
+      throw new UsageError(
+        `--transport expects axios, fetch or http, found "${args.transport}".`
+      );
+    options.transport = args.transport;
+  }
+
+  return new Requester(options);
+}
+
+/**
+ * Format data of a response for printing
+ * @private
+ * @since 0.0.5
+ * @param {*} data - The data
+ * @return {string} The data, objects being indented JSON.
+ */
+function formatBody(data) {
+  if (data === undefined || data === null || data === "") return "";
+  if (typeof data === "string") return data;
+  if (data instanceof ArrayBuffer || ArrayBuffer.isView(data))
+    return `<${data.byteLength} bytes>`;
+
+  return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Find the response to show for a request
+ * @private
+ * @since 0.0.5
+ * @param {Object} [response] - Response, if the request succeeded
+ * @param {Error} [error] - Error, if the request failed
+ * @return {Object|undefined} The response, including that of a failed
+ * request which received one, or undefined if there was none.
+ */
+function resultOf(response, error) {
+  if (response !== undefined) return response;
+  if (error.status === undefined) return undefined;
+
+  return {
+    status: error.status,
+    statusText: error.statusText,
+    headers: error.headers,
+    data: error.body,
+  };
+}
+
+/**
+ * Print the result of a request
+ * @private
+ * @since 0.0.5
+ * @param {Object} args - Arguments returned by parseArguments()
+ * @param {string} [name] - Name of the request, printed before the
+ * result when running a file
+ * @param {Object} [response] - Response, if the request succeeded
+ * @param {Error} [error] - Error, if the request failed
+ * @param {number} elapsed - Milliseconds the request took
+ */
+function printResult(args, name, response, error, elapsed) {
+  const lines = [];
+  if (name !== undefined && !args.quiet) lines.push(`### ${name}`);
+
+  const result = resultOf(response, error);
+  if (result !== undefined) {
+    if (!args.quiet) {
+      lines.push(`${result.status} ${result.statusText || ""}`.trimEnd());
+      for (const [header, value] of Object.entries(result.headers || {}))
+        lines.push(`${header}: ${value}`);
+      lines.push("");
+    }
+    const body = formatBody(result.data);
+    if (body !== "") lines.push(body);
+  }
+  if (!args.quiet) lines.push(`(${elapsed} ms)`, "");
+  if (lines.length > 0) console.log(lines.join("\n"));
+
+  if (error !== undefined) console.error(`${error.name}: ${error.message}`);
+}
+
+/**
+ * Perform one request, storing nothing in the Requester once it
+ * completes
+ * @async
+ * @private
+ * @since 0.0.5
+ * @param {Requester} requester - Requester performing the request
+ * @param {string} method - Lower case HTTP method
+ * @param {string} url - URL of the request
+ * @param {*} data - Body of the request, ignored by methods without one
+ * @param {RequestOptions} options - Options of the request
+ * @return {Object} response and error of the request, only one of
+ * which is set, and the milliseconds it took in elapsed.
+ */
+async function perform(requester, method, url, data, options) {
+  const id = requester.createUniqueID("cli");
+  const started = Date.now();
+  if (["patch", "post", "put"].includes(method))
+    await requester[method](url, id, data, options);
+  else await requester[method](url, id, options);
+
+  const { response, error } = requester.peek(id);
+  requester.error(id); // retrieve the result, so it is not kept
+  return { response: response, error: error, elapsed: Date.now() - started };
+}
+
+/**
+ * Run the single request given on the command line
+ * @async
+ * @private
+ * @since 0.0.5
+ * @param {Object} args - Arguments returned by parseArguments()
+ * @return {number} The exit code.
+ * @throws {UsageError} Thrown when the arguments are invalid.
+ */
+async function runRequest(args) {
+  const [first, second] = args.positional;
+  const method = args.positional.length === 2 ? first.toLowerCase() : "get";
+  const url = args.positional.length === 2 ? second : first;
+  if (!methods.includes(method))
+    throw new UsageError(`Unknown method ${first}.`);
+
+  const params = {};
+  for (const param of args.param) {
+    const [name, value] = split(param, "=", "param");
+    params[name] = name in params ? [].concat(params[name], value) : value;
+  }
+
+  let data = args.data;
+  if (data !== undefined) {
+    if (data.startsWith("@")) data = await readFile(data.slice(1), "utf8");
+    try {
+      data = JSON.parse(data);
+    } catch (error) {
+      // not JSON, so sent as text
+    }
+  }
+
+  const requester = createRequester(args);
+  const { response, error, elapsed } = await perform(
+    requester,
+    method,
+    url,
+    data,
+    { params: params }
+  );
+  printResult(args, undefined, response, error, elapsed);
+
+  return error === undefined ? succeeded : failed;
+}
+
+/**
+ * Run the requests of a .http or .rest file. A request referring to
+ * the response of another waits for it, so the other must come
+ * earlier in the file.
+ * @async
+ * @private
+ * @since 0.0.5
+ * @param {Object} args - Arguments returned by parseArguments()
+ * @return {number} The exit code.
+ * @throws {UsageError} Thrown when the arguments are invalid.
+ * @throws {SyntaxError} Thrown when the file cannot be parsed.
+ */
+async function runFile(args) {
+  const file = parseHTTPFile(await readFile(args.positional[0], "utf8"));
+  const variables = { ...file.variables };
+  for (const variable of args.var) {
+    const [name, value] = split(variable, "=", "var");
+    variables[name] = value;
+  }
+
+  let requests = file.requests;
+  if (args.name.length > 0) {
+    for (const name of args.name)
+      if (!requests.some((request) => request.name === name))
+        throw new UsageError(`No request is named ${name}.`);
+    requests = requests.filter((request) => args.name.includes(request.name));
+  }
+  const concurrency =
+    args.concurrency === undefined
+      ? 1
+      : number(args.concurrency, "concurrency");
+  if (concurrency < 1)
+    throw new UsageError("--concurrency must be at least 1.");
+
+  const requester = createRequester(args);
+  const responses = {}; // NamedResponse of each request with one
+  const started = {}; // promise of each started request, keyed by name
+  let exitCode = succeeded;
+
+  async function run(request) {
+    let response, error;
+    let elapsed = 0;
+    try {
+      const texts = [
+        request.url,
+        request.body,
+        ...Object.values(request.headers),
+      ];
+      for (const name of new Set(texts.flatMap((text) => references(text)))) {
+        if (!(name in started))
+          throw new ReferenceError(
+            `Request ${name} must run before request ${request.name}.`
+          );
+        await started[name];
+      }
+
+      const headers = {};
+      for (const [name, value] of Object.entries(request.headers))
+        headers[name] = expandVariables(value, variables, responses);
+      const body =
+        request.body === undefined
+          ? undefined
+          : expandVariables(request.body, variables, responses);
+      ({ response, error, elapsed } = await perform(
+        requester,
+        request.method,
+        expandVariables(request.url, variables, responses),
+        body,
+        { headers: headers }
+      ));
+    } catch (referenceError) {
+      error = referenceError;
+    }
+
+    const result = resultOf(response, error);
+    if (result !== undefined)
+      responses[request.name] = {
+        status: result.status,
+        headers: result.headers || {},
+        body: result.data,
+      };
+    if (error !== undefined) exitCode = failed;
+    printResult(args, request.name, response, error, elapsed);
+  }
+
+  let next = 0;
+  async function worker() {
+    while (next < requests.length) {
+      const request = requests[next++];
+      started[request.name] = run(request);
+      await started[request.name];
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, requests.length); i++)
+    workers.push(worker());
+  await Promise.all(workers);
+
+  return exitCode;
+}
+
+/**
+ * Run the command
+ * @async
+ * @private
+ * @since 0.0.5
+ * @param {Array<string>} argv - Arguments following the command
+ * @return {number} The exit code.
+ */
+async function main(argv) {
+  try {
+    const args = parseArguments(argv);
+    if (args.help) {
+      console.log(usage);
+      return succeeded;
+    }
+    if (args.positional.length === 0 || args.positional.length > 2)
+      throw new UsageError("Expected a URL, a method and URL, or a file.");
+
+    const [first] = args.positional;
+    if (args.positional.length === 1 && /\.(http|rest)$/i.test(first))
+      return await runFile(args);
+    return await runRequest(args);
+  } catch (error) {
+    console.error(`${error.name}: ${error.message}`);
+    if (error instanceof UsageError)
+      console.error("Run easier-requests --help for usage.");
+    return misused;
+  }
+}
+
+main(process.argv.slice(2)).then((code) => (process.exitCode = code));
+
+//  LocalWords:  UsageError NamedResponse
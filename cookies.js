@@ -0,0 +1,325 @@
+/**
+ * @file Provide the cookie jar of easier-requests
+ * @author Harry Henry Gebel <hhgebel@gmail.com>
+ * @copyright 2020 Harry Henry Gebel
+ * @license MIT
+ * @version 0.0.5
+ * @module cookies
+ * @since 0.0.5
+ */
+"use strict";
+
+/**
+ * A cookie stored in a CookieJar
+ * @typedef {Object} Cookie
+ * @since 0.0.5
+ * @property {string} name - Name of the cookie
+ * @property {string} value - Value of the cookie
+ * @property {string} domain - Lower case domain the cookie is sent to
+ * @property {boolean} hostOnly - True if the cookie is only sent to
+ * domain itself, false if it is also sent to its subdomains
+ * @property {string} path - Path the cookie is sent to, including the
+ * paths below it
+ * @property {number|null} expires - Time the cookie expires, in
+ * milliseconds since the epoch, or null for a session cookie
+ * @property {boolean} secure - True if the cookie is only sent over
+ * HTTPS
+ * @property {boolean} httpOnly - Value of the HttpOnly attribute
+ * @property {string} [sameSite] - Value of the SameSite attribute
+ * @property {number} created - Time the cookie was first stored, in
+ * milliseconds since the epoch
+ */
+
+/**
+ * Find the default path of a cookie set without a Path attribute
+ * @private
+ * @since 0.0.5
+ * @param {string} pathname - Path of the URL which set the cookie
+ * @return {string} The path up to its last "/", or "/".
+ */
+function defaultPath(pathname) {
+  const last = pathname.lastIndexOf("/");
+  return last <= 0 ? "/" : pathname.slice(0, last);
+}
+
+/**
+ * Check if a request path is within the path of a cookie
+ * @private
+ * @since 0.0.5
+ * @param {string} requestPath - Path of the request
+ * @param {string} cookiePath - Path of the cookie
+ * @return {boolean} True if the cookie should be sent.
+ */
+function pathMatches(requestPath, cookiePath) {
+  return (
+    requestPath === cookiePath ||
+    (requestPath.startsWith(cookiePath) &&
+      (cookiePath.endsWith("/") || requestPath[cookiePath.length] === "/"))
+  );
+}
+
+/**
+ * Check if a host is within a domain
+ * @private
+ * @since 0.0.5
+ * @param {string} host - Lower case host name
+ * @param {string} domain - Lower case domain
+ * @return {boolean} True if host is domain or one of its subdomains.
+ */
+function domainMatches(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Parse a URL, returning undefined if it is not absolute
+ * @private
+ * @since 0.0.5
+ * @param {string} url - The URL
+ * @return {URL|undefined} The parsed URL.
+ */
+function parseURL(url) {
+  try {
+    return new URL(url);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Stores the cookies set by responses and finds the cookies to send
+ * with each request, following the domain, path, expiry and Secure
+ * rules of RFC 6265. Set with the cookies option under Node, where
+ * nothing else keeps cookies.
+ * @since 0.0.5
+ */
+export class CookieJar {
+  /**
+   * Create a CookieJar
+   * @since 0.0.5
+   * @param {Array<Cookie>} [cookies = []] - Cookies to start with, as
+   * returned by CookieJar.toJSON()
+   */
+  constructor(cookies = []) {
+    // Cookies keyed by domain, path and name
+    this._cookies = new Map();
+    for (const cookie of cookies) this._cookies.set(this._key(cookie), cookie);
+  }
+
+  /**
+   * Create a CookieJar from its JSON
+   * @since 0.0.5
+   * @param {string|Array<Cookie>} json - JSON of a CookieJar, or the
+   * parsed array
+   * @return {CookieJar} The jar.
+   */
+  static fromJSON(json) {
+    return new this(typeof json === "string" ? JSON.parse(json) : json);
+  }
+
+  /**
+   * Read a CookieJar saved with CookieJar.save(). Only available under
+   * Node.
+   * @async
+   * @since 0.0.5
+   * @param {string} path - Path of the file
+   * @return {CookieJar} The jar, empty if the file does not exist.
+   */
+  static async load(path) {
+    const { promises } = await import("fs");
+    try {
+      return this.fromJSON(await promises.readFile(path, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return new this();
+      throw error;
+    }
+  }
+
+  /**
+   * Write the cookies to a JSON file, replacing it. Only available
+   * under Node.
+   * @async
+   * @since 0.0.5
+   * @param {string} path - Path of the file
+   */
+  async save(path) {
+    const { promises } = await import("fs");
+    await promises.writeFile(path, JSON.stringify(this, null, 2));
+  }
+
+  /**
+   * List the cookies which have not expired, for JSON.stringify()
+   * @since 0.0.5
+   * @return {Array<Cookie>} The cookies, including session cookies.
+   */
+  toJSON() {
+    this._removeExpired();
+    return [...this._cookies.values()];
+  }
+
+  /**
+   * Key a cookie is stored under
+   * @private
+   * @since 0.0.5
+   * @param {Cookie} cookie - The cookie
+   * @return {string} Its domain, path and name.
+   */
+  _key(cookie) {
+    return `${cookie.domain};${cookie.path};${cookie.name}`;
+  }
+
+  /**
+   * Remove the cookies which have expired
+   * @private
+   * @since 0.0.5
+   */
+  _removeExpired() {
+    const now = Date.now();
+    for (const [key, cookie] of this._cookies)
+      if (cookie.expires !== null && cookie.expires <= now)
+        this._cookies.delete(key);
+  }
+
+  /**
+   * Store the cookies of Set-Cookie headers. Cookies for another
+   * domain or with invalid attributes are ignored, and a cookie which
+   * has already expired removes the cookie it replaces.
+   * @since 0.0.5
+   * @param {string|Array<string>} [headers] - Values of the Set-Cookie
+   * headers of a response
+   * @param {string} url - URL of the request which received them
+   */
+  store(headers, url) {
+    const parsed = parseURL(url);
+    if (headers === undefined || parsed === undefined) return;
+
+    for (const header of Array.isArray(headers) ? headers : [headers])
+      this._storeOne(header, parsed);
+  }
+
+  /**
+   * Store the cookie of one Set-Cookie header
+   * @private
+   * @since 0.0.5
+   * @param {string} header - Value of the header
+   * @param {URL} url - URL of the request which received it
+   */
+  _storeOne(header, url) {
+    const [pair, ...attributes] = header.split(";");
+    const separator = pair.indexOf("=");
+    if (separator === -1) return;
+    const name = pair.slice(0, separator).trim();
+    if (name === "") return;
+
+    const host = url.hostname.toLowerCase();
+    const now = Date.now();
+    const cookie = {
+      name: name,
+      value: pair.slice(separator + 1).trim(),
+      domain: host,
+      hostOnly: true,
+      path: defaultPath(url.pathname),
+      expires: null,
+      secure: false,
+      httpOnly: false,
+      sameSite: undefined,
+      created: now,
+    };
+
+    let maxAge;
+    for (const attribute of attributes) {
+      const index = attribute.indexOf("=");
+      const key = (index === -1 ? attribute : attribute.slice(0, index))
+        .trim()
+        .toLowerCase();
+      const value = index === -1 ? "" : attribute.slice(index + 1).trim();
+      if (key === "expires") {
+        const time = Date.parse(value);
+        if (!Number.isNaN(time)) cookie.expires = time;
+      } else if (key === "max-age" && /^-?\d+$/.test(value))
+        maxAge = Number(value);
+      else if (key === "domain" && value !== "") {
+        const domain = value.replace(/^\./, "").toLowerCase();
+        // a response may only set cookies for its host or a parent
+        // domain, and not for a top level domain such as "com"
+        if (
+          domain !== host &&
+          (!domainMatches(host, domain) || !domain.includes("."))
+        )
+          return;
+        cookie.domain = domain;
+        cookie.hostOnly = false;
+      } else if (key === "path")
+        cookie.path = value.startsWith("/") ? value : defaultPath(url.pathname);
+      else if (key === "secure") cookie.secure = true;
+      else if (key === "httponly") cookie.httpOnly = true;
+      else if (key === "samesite") cookie.sameSite = value;
+    }
+    // Max-Age takes precedence over Expires
+    if (maxAge !== undefined) cookie.expires = now + maxAge * 1000;
+
+    // only secure connections may set secure cookies
+    if (cookie.secure && url.protocol !== "https:") return;
+
+    const key = this._key(cookie);
+    const old = this._cookies.get(key);
+    if (cookie.expires !== null && cookie.expires <= now) {
+      this._cookies.delete(key);
+      return;
+    }
+    if (old !== undefined) cookie.created = old.created;
+    this._cookies.set(key, cookie);
+  }
+
+  /**
+   * Find the cookies to send with a request
+   * @since 0.0.5
+   * @param {string} url - URL of the request
+   * @return {Array<Cookie>} The cookies, those with longer paths first,
+   * then those created first.
+   */
+  match(url) {
+    const parsed = parseURL(url);
+    if (parsed === undefined) return [];
+
+    this._removeExpired();
+    const host = parsed.hostname.toLowerCase();
+    const secure = parsed.protocol === "https:" || parsed.protocol === "wss:";
+    return [...this._cookies.values()]
+      .filter(
+        (cookie) =>
+          (cookie.hostOnly
+            ? host === cookie.domain
+            : domainMatches(host, cookie.domain)) &&
+          pathMatches(parsed.pathname, cookie.path) &&
+          (secure || !cookie.secure)
+      )
+      .sort((a, b) => b.path.length - a.path.length || a.created - b.created);
+  }
+
+  /**
+   * Build the Cookie header of a request
+   * @since 0.0.5
+   * @param {string} url - URL of the request
+   * @return {string} The header, or an empty string if no cookie
+   * should be sent.
+   */
+  header(url) {
+    return this.match(url)
+      .map((cookie) => `${cookie.name}=${cookie.value}`)
+      .join("; ");
+  }
+
+  /**
+   * Remove cookies
+   * @since 0.0.5
+   * @param {string} [domain] - Only remove the cookies of this domain
+   */
+  clear(domain) {
+    if (domain === undefined) this._cookies.clear();
+    else
+      for (const [key, cookie] of this._cookies)
+        if (cookie.domain === domain.toLowerCase()) this._cookies.delete(key);
+  }
+}
+
+//  LocalWords:  CookieJar HttpOnly SameSite subdomains
@@ -3,7 +3,7 @@
  * @author Harry Henry Gebel <hhgebel@gmail.com>
  * @copyright 2020 Harry Henry Gebel
  * @license MIT
- * @version 0.0.3
+ * @version 0.0.5
  * @module error
  * @since 0.0.1
  */
@@ -42,6 +42,343 @@ export class InvalidRequestError extends Error {
   }
 }
 
+/**
+ * Details of a failed request, passed to the constructors of
+ * RequestError and its subclasses
+ * @typedef {Object} RequestErrorDetails
+ * @since 0.0.5
+ * @property {string} [id] - ID of the request
+ * @property {string} [method] - HTTP method of the request
+ * @property {string} [url] - URL of the request
+ * @property {number} [status] - HTTP status of the response
+ * @property {string} [statusText] - HTTP status text of the response
+ * @property {Object} [headers] - Headers of the response
+ * @property {*} [body] - Data of the response
+ * @property {string} [code] - Network error code, such as ECONNRESET
+ * @property {Error} [cause] - Lower level error which caused this one
+ */
+
+/**
+ * Base class of the errors of failed requests, returned by
+ * Requester.error() or thrown by the request methods. Properties
+ * describing a response are undefined if no response was received.
+ * @since 0.0.5
+ */
+export class RequestError extends Error {
+  /**
+   * Create a RequestError
+   * @param {string} message - Error message
+   * @param {RequestErrorDetails} [details = {}] - Details of the
+   * request, each of which is set as a property of the error
+   */
+  constructor(
+    message,
+    { id, method, url, status, statusText, headers, body, code, cause } = {}
+  ) {
+    super(message);
+    this.name = "RequestError";
+    this.id = id;
+    this.method = method;
+    this.url = url;
+    this.status = status;
+    this.statusText = statusText;
+    this.headers = headers;
+    this.body = body;
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Error of a request which received a response with a status outside
+ * the range 200-299
+ * @since 0.0.5
+ */
+export class HTTPError extends RequestError {
+  /**
+   * Create an HTTPError
+   * @param {string} message - Error message
+   * @param {RequestErrorDetails} [details = {}] - Details of the request
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "HTTPError";
+  }
+}
+
+/**
+ * HTTPError of a response with a 4xx status
+ * @since 0.0.5
+ */
+export class ClientError extends HTTPError {
+  /**
+   * Create a ClientError
+   * @param {string} message - Error message
+   * @param {RequestErrorDetails} [details = {}] - Details of the request
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "ClientError";
+  }
+}
+
+/**
+ * ClientError of a 400 Bad Request response
+ * @since 0.0.5
+ */
+export class BadRequestError extends ClientError {
+  /**
+   * Create a BadRequestError
+   * @param {string} message - Error message
+   * @param {RequestErrorDetails} [details = {}] - Details of the request
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "BadRequestError";
+  }
+}
+
+/**
+ * ClientError of a 401 Unauthorized response
+ * @since 0.0.5
+ */
+export class UnauthorizedError extends ClientError {
+  /**
+   * Create an UnauthorizedError
+   * @param {string} message - Error message
+   * @param {RequestErrorDetails} [details = {}] - Details of the request
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "UnauthorizedError";
+  }
+}
+
+/**
+ * ClientError of a 403 Forbidden response
+ * @since 0.0.5
+ */
+export class ForbiddenError extends ClientError {
+  /**
+   * Create a ForbiddenError
+   * @param {string} message - Error message
+   * @param {RequestErrorDetails} [details = {}] - Details of the request
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "ForbiddenError";
+  }
+}
+
+/**
+ * ClientError of a 404 Not Found response
+ * @since 0.0.5
+ */
+export class NotFoundError extends ClientError {
+  /**
+   * Create a NotFoundError
+   * @param {string} message - Error message
+   * @param {RequestErrorDetails} [details = {}] - Details of the request
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "NotFoundError";
+  }
+}
+
+/**
+ * ClientError of a 409 Conflict response
+ * @since 0.0.5
+ */
+export class ConflictError extends ClientError {
+  /**
+   * Create a ConflictError
+   * @param {string} message - Error message
+   * @param {RequestErrorDetails} [details = {}] - Details of the request
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "ConflictError";
+  }
+}
+
+/**
+ * ClientError of a 429 Too Many Requests response
+ * @since 0.0.5
+ */
+export class TooManyRequestsError extends ClientError {
+  /**
+   * Create a TooManyRequestsError
+   * @param {string} message - Error message
+   * @param {RequestErrorDetails} [details = {}] - Details of the request
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "TooManyRequestsError";
+  }
+}
+
+/**
+ * HTTPError of a response with a 5xx status
+ * @since 0.0.5
+ */
+export class ServerError extends HTTPError {
+  /**
+   * Create a ServerError
+   * @param {string} message - Error message
+   * @param {RequestErrorDetails} [details = {}] - Details of the request
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "ServerError";
+  }
+}
+
+/**
+ * ServerError of a 500 Internal Server Error response
+ * @since 0.0.5
+ */
+export class InternalServerError extends ServerError {
+  /**
+   * Create an InternalServerError
+   * @param {string} message - Error message
+   * @param {RequestErrorDetails} [details = {}] - Details of the request
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "InternalServerError";
+  }
+}
+
+/**
+ * ServerError of a 502 Bad Gateway response
+ * @since 0.0.5
+ */
+export class BadGatewayError extends ServerError {
+  /**
+   * Create a BadGatewayError
+   * @param {string} message - Error message
+   * @param {RequestErrorDetails} [details = {}] - Details of the request
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "BadGatewayError";
+  }
+}
+
+/**
+ * ServerError of a 503 Service Unavailable response
+ * @since 0.0.5
+ */
+export class ServiceUnavailableError extends ServerError {
+  /**
+   * Create a ServiceUnavailableError
+   * @param {string} message - Error message
+   * @param {RequestErrorDetails} [details = {}] - Details of the request
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "ServiceUnavailableError";
+  }
+}
+
+/**
+ * ServerError of a 504 Gateway Timeout response
+ * @since 0.0.5
+ */
+export class GatewayTimeoutError extends ServerError {
+  /**
+   * Create a GatewayTimeoutError
+   * @param {string} message - Error message
+   * @param {RequestErrorDetails} [details = {}] - Details of the request
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "GatewayTimeoutError";
+  }
+}
+
+/**
+ * Error of a request which received no response, such as when the
+ * host cannot be found or the connection is refused. The code property
+ * holds the network error code, such as ENOTFOUND or ECONNREFUSED.
+ * @since 0.0.5
+ */
+export class NetworkError extends RequestError {
+  /**
+   * Create a NetworkError
+   * @param {string} message - Error message
+   * @param {RequestErrorDetails} [details = {}] - Details of the request
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "NetworkError";
+  }
+}
+
+/**
+ * Error of a request which did not complete in time, either within the
+ * time set by the timeout option or the transport's own timeout.
+ * @since 0.0.5
+ */
+export class TimeoutError extends NetworkError {
+  /**
+   * Create a TimeoutError
+   * @param {string} message - Error message
+   * @param {RequestErrorDetails} [details = {}] - Details of the request
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "TimeoutError";
+  }
+}
+
+/**
+ * Former name of TimeoutError, kept so that existing instanceof
+ * checks still match
+ * @since 0.0.5
+ * @deprecated Since 0.0.5, use TimeoutError instead. Will be removed
+ * in 1.0.0.
+ */
+export const RequestTimeoutError = TimeoutError;
+
+/**
+ * Error of a request whose response declares a JSON Content-Type but
+ * whose body is not valid JSON, or of a request made with
+ * Requester.graphql() whose response is not a GraphQL result. The body
+ * property holds the text of the response and the cause property any
+ * SyntaxError.
+ * @since 0.0.5
+ */
+export class ParseError extends RequestError {
+  /**
+   * Create a ParseError
+   * @param {string} message - Error message
+   * @param {RequestErrorDetails} [details = {}] - Details of the request
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "ParseError";
+  }
+}
+
+/**
+ * Error returned or thrown when a request is aborted by
+ * Requester.cancel() or Requester.cancelAll() before it completes.
+ * @since 0.0.5
+ */
+export class RequestCancelledError extends RequestError {
+  /**
+   * Create a RequestCancelledError
+   * @param {string} message - Error message
+   * @param {RequestErrorDetails} [details = {}] - Details of the request
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "RequestCancelledError";
+  }
+}
+
 /**
  * Error thrown when an attempt is made to access the response or
  * error from a request that is still in-flight
@@ -58,9 +395,59 @@ export class RequestNotCompleteError extends Error {
   }
 }
 
+/**
+ * Error returned or thrown when a response does not meet the
+ * expectations set with the expect option.
+ * @since 0.0.5
+ */
+export class ResponseValidationError extends RequestError {
+  /**
+   * Create a ResponseValidationError
+   * @param {string} message - Error message
+   * @param {Array<ValidationFailure>} [failures = []] - Every failed
+   * expectation, each with the path where it failed and a message
+   * @param {RequestErrorDetails} [details = {}] - Details of the request
+   * and of the response that failed validation
+   */
+  constructor(message, failures = [], details = {}) {
+    super(message, details);
+    this.name = "ResponseValidationError";
+    this.failures = failures;
+  }
+}
+
+/**
+ * Error returned or thrown when the result of a request made with
+ * Requester.graphql() holds a non-empty errors array, even if its
+ * status is 200. The body property holds the whole result, including
+ * any partial data.
+ * @since 0.0.5
+ */
+export class GraphQLError extends RequestError {
+  /**
+   * Create a GraphQLError
+   * @param {string} message - Error message
+   * @param {Array<Object>} [errors = []] - The errors of the result,
+   * each with a message and optionally locations, path and extensions
+   * @param {RequestErrorDetails} [details = {}] - Details of the request
+   * and of its response
+   */
+  constructor(message, errors = [], details = {}) {
+    super(message, details);
+    this.name = "GraphQLError";
+    this.errors = errors;
+    // locations in the query and paths in the data of every error
+    this.locations = errors.flatMap((error) => error.locations || []);
+    this.paths = errors
+      .map((error) => error.path)
+      .filter((path) => path !== undefined);
+  }
+}
+
 /**
  * Error thrown when there is not an even number of parameter
- * arguments passed to a function.
+ * arguments passed to a function. Since 0.0.5 also thrown when an
+ * object of request parameters is passed in place of RequestOptions.
  * @since 0.0.3
  */
 export class UnbalancedParametersError extends Error {
@@ -74,5 +461,67 @@ export class UnbalancedParametersError extends Error {
   }
 }
 
-//  LocalWords:  IDInUseError RequestNotCompleteError
+/**
+ * Error returned or thrown when a request made through a
+ * MockTransport matches none of its routes, and thrown by
+ * MockTransport.assertNoUnmatched().
+ * @since 0.0.5
+ */
+export class UnmatchedRequestError extends Error {
+  /**
+   * Create an UnmatchedRequestError
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = "UnmatchedRequestError";
+  }
+}
+
+/**
+ * HTTPError subclasses of specific statuses
+ * @private
+ * @since 0.0.5
+ * @type {Object}
+ */
+const statusErrors = {
+  400: BadRequestError,
+  401: UnauthorizedError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  409: ConflictError,
+  429: TooManyRequestsError,
+  500: InternalServerError,
+  502: BadGatewayError,
+  503: ServiceUnavailableError,
+  504: GatewayTimeoutError,
+};
+
+/**
+ * Create the HTTPError of a status, using the most specific class
+ * @since 0.0.5
+ * @param {string} message - Error message
+ * @param {RequestErrorDetails} details - Details of the request,
+ * including its status
+ * @return {HTTPError} An instance of the subclass for the status if
+ * there is one, otherwise of ClientError, ServerError or HTTPError.
+ */
+export function createHTTPError(message, details) {
+  const status = details.status;
+  if (status in statusErrors) return new statusErrors[status](message, details);
+  if (status >= 400 && status < 500) return new ClientError(message, details);
+  if (status >= 500 && status < 600) return new ServerError(message, details);
+  return new HTTPError(message, details);
+}
+
+//  LocalWords:  IDInUseError RequestNotCompleteError GraphQLError
 //  LocalWords:  InvalidRequestError UnbalancedParametersError
+//  LocalWords:  RequestCancelledError RequestErrorDetails HTTPError
+//  LocalWords:  ClientError ServerError BadRequestError ForbiddenError
+//  LocalWords:  UnauthorizedError NotFoundError ConflictError statusText
+//  LocalWords:  TooManyRequestsError InternalServerError BadGatewayError
+//  LocalWords:  ServiceUnavailableError GatewayTimeoutError NetworkError
+//  LocalWords:  TimeoutError ParseError ENOTFOUND ECONNREFUSED
+//  LocalWords:  RequestTimeoutError
+//  LocalWords:  UnmatchedRequestError MockTransport
+//  LocalWords:  ResponseValidationError ValidationFailure
@@ -0,0 +1,107 @@
+/**
+ * @file Provide GraphQL helpers for easier-requests
+ * @author Harry Henry Gebel <hhgebel@gmail.com>
+ * @copyright 2020 Harry Henry Gebel
+ * @license MIT
+ * @version 0.0.5
+ * @module graphql
+ * @since 0.0.5
+ */
+"use strict";
+
+/**
+ * Find the type of the operation a GraphQL document performs
+ * @since 0.0.5
+ * @param {string} query - The document
+ * @param {string} [operationName] - Name of the operation performed,
+ * needed when the document holds several operations
+ * @return {string|undefined} "query", "mutation" or "subscription", or
+ * undefined if the operation cannot be found.
+ */
+export function operationType(query, operationName) {
+  // strings and comments cannot hold operations
+  const tokens =
+    query
+      .replace(/"""[\s\S]*?"""|"(?:\\.|[^"\\])*"|#[^\n\r]*/g, " ")
+      .match(/[_A-Za-z]\w*|[{}()]/g) || [];
+
+  const operations = []; // type and name of every operation
+  let depth = 0; // of braces, which enclose selections
+  let parentheses = 0; // which enclose variables and arguments
+  let definition; // keyword of the definition being read
+  for (const [index, token] of tokens.entries()) {
+    if (token === "(") parentheses++;
+    else if (token === ")") parentheses--;
+    else if (parentheses > 0) continue;
+    else if (token === "{") {
+      // a selection outside any definition is a query
+      if (depth === 0 && definition === undefined)
+        operations.push({ type: "query", name: undefined });
+      definition = undefined;
+      depth++;
+    } else if (token === "}") depth--;
+    else if (depth === 0 && definition === undefined) {
+      definition = token;
+      if (["query", "mutation", "subscription"].includes(token)) {
+        const next = tokens[index + 1];
+        operations.push({
+          type: token,
+          name: /^[_A-Za-z]/.test(next || "") ? next : undefined,
+        });
+      }
+    }
+  }
+
+  const operation =
+    operationName === undefined
+      ? operations.length === 1
+        ? operations[0]
+        : undefined
+      : operations.find((operation) => operation.name === operationName);
+  return operation === undefined ? undefined : operation.type;
+}
+
+/**
+ * Compute the hash identifying a persisted query
+ * @async
+ * @since 0.0.5
+ * @param {string} query - The GraphQL document
+ * @return {string} The hexadecimal SHA-256 hash of query.
+ */
+export async function queryHash(query) {
+  const subtle =
+    typeof crypto !== "undefined" && crypto.subtle !== undefined
+      ? crypto.subtle
+      : (await import("crypto")).webcrypto.subtle;
+  const digest = await subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(query)
+  );
+
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+}
+
+/**
+ * Check if a result says the server does not know a persisted query's
+ * hash, so the query must be sent with it
+ * @since 0.0.5
+ * @param {*} result - Data of the response
+ * @return {boolean} True if the query must be sent.
+ */
+export function persistedQueryNotFound(result) {
+  return (
+    result !== null &&
+    typeof result === "object" &&
+    Array.isArray(result.errors) &&
+    result.errors.some(
+      (error) =>
+        error.message === "PersistedQueryNotFound" ||
+        (error.extensions !== undefined &&
+          error.extensions.code === "PERSISTED_QUERY_NOT_FOUND")
+    )
+  );
+}
+
+//  LocalWords:  GraphQL
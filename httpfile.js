@@ -0,0 +1,237 @@
+/**
+ * @file Read .http and .rest request files for easier-requests
+ * @author Harry Henry Gebel <hhgebel@gmail.com>
+ * @copyright 2020 Harry Henry Gebel
+ * @license MIT
+ * @version 0.0.5
+ * @module httpfile
+ * @since 0.0.5
+ */
+"use strict";
+
+import { pluck } from "./pagination.js";
+
+// methods a request line may start with
+const methods = ["delete", "get", "head", "options", "patch", "post", "put"];
+
+/**
+ * A request read from a .http file
+ * @typedef {Object} HTTPFileRequest
+ * @since 0.0.5
+ * @property {string} name - Name given with a "# @name" comment, else
+ * the text following "###", else "request" and its position in the
+ * file
+ * @property {string} method - Lower case HTTP method, "get" if the
+ * request line has none
+ * @property {string} url - URL of the request, before variables are
+ * expanded
+ * @property {Object} headers - Headers of the request, before variables
+ * are expanded
+ * @property {string} [body] - Body of the request, before variables
+ * are expanded
+ * @property {number} line - Line number of the request line
+ */
+
+/**
+ * The contents of a .http file
+ * @typedef {Object} HTTPFile
+ * @since 0.0.5
+ * @property {Object} variables - Values of the variables defined with
+ * "@name = value" lines, keyed by name
+ * @property {Array<HTTPFileRequest>} requests - Requests in the order
+ * they appear in the file
+ */
+
+/**
+ * Parse a file of requests in the format of the REST Client and
+ * JetBrains HTTP clients. Requests are separated by lines starting
+ * with "###". Each has a request line of a method and URL, then header
+ * lines, then the body after a blank line. Lines starting with "#" or
+ * "//" before the body are comments, and "# @name" comments name the
+ * request.
+ * @since 0.0.5
+ * @param {string} text - Contents of the file
+ * @return {HTTPFile} The variables and requests of the file.
+ * @throws {SyntaxError} Thrown when a request line or header line
+ * cannot be read.
+ */
+export function parseHTTPFile(text) {
+  const file = { variables: {}, requests: [] };
+  // request being read, and whether its headers have ended
+  let request;
+  let inBody = false;
+  let title;
+  let name;
+
+  function finish() {
+    if (request !== undefined) {
+      const body = request.body.join("\n").trim();
+      request.body = body === "" ? undefined : body;
+      if (name !== undefined) request.name = name;
+      else if (title !== undefined) request.name = title;
+      file.requests.push(request);
+    }
+    request = undefined;
+    inBody = false;
+    title = undefined;
+    name = undefined;
+  }
+
+  for (const [index, line] of text.split(/\r?\n/).entries()) {
+    const lineNumber = index + 1;
+    if (line.startsWith("###")) {
+      finish();
+      title = line.slice(3).trim() || undefined;
+      continue;
+    }
+    if (inBody) {
+      request.body.push(line);
+      continue;
+    }
+
+    const trimmed = line.trim();
+    if (trimmed === "") {
+      if (request !== undefined) inBody = true;
+      continue;
+    }
+    if (trimmed.startsWith("#") || trimmed.startsWith("//")) {
+      const nameMatch = /^(?:#|\/\/)\s*@name\s+(\S+)/.exec(trimmed);
+      if (nameMatch !== null) name = nameMatch[1];
+      continue;
+    }
+
+    if (request === undefined) {
+      const variable = /^@([\w.-]+)\s*=\s*(.*)$/.exec(trimmed);
+      if (variable !== null) {
+        file.variables[variable[1]] = variable[2].trim();
+        continue;
+      }
+
+      const words = trimmed.split(/\s+/);
+      if (words.length > 1 && /^HTTP\/[\d.]+$/.test(words[words.length - 1]))
+        words.pop();
+      const method = words.length > 1 ? words[0].toLowerCase() : "get";
+      if (words.length > 2 || !methods.includes(method))
+        throw new SyntaxError(
+          `Line ${lineNumber}: expected a method and URL, found "${trimmed}".`
+        );
+
+      request = {
+        name: `request ${file.requests.length + 1}`,
+        method: method,
+        url: words[words.length - 1],
+        headers: {},
+        body: [],
+        line: lineNumber,
+      };
+      continue;
+    }
+
+    const header = /^([^:\s]+)\s*:\s*(.*)$/.exec(trimmed);
+    if (header === null)
+      throw new SyntaxError(
+        `Line ${lineNumber}: expected a header, found "${trimmed}".`
+      );
+    request.headers[header[1]] = header[2];
+  }
+  finish();
+
+  return file;
+}
+
+// matches "{{name}}", capturing the name
+const variablePattern = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+/**
+ * List the requests whose responses a text refers to
+ * @since 0.0.5
+ * @param {string} [text = ""] - URL, header value or body of a request
+ * @return {Array<string>} Names of the requests.
+ */
+export function references(text = "") {
+  const names = [];
+  for (const [, variable] of text.matchAll(variablePattern)) {
+    const match = /^([^.\s$]+)\.response\./.exec(variable);
+    if (match !== null && !names.includes(match[1])) names.push(match[1]);
+  }
+
+  return names;
+}
+
+/**
+ * A response that later requests in a .http file can refer to
+ * @typedef {Object} NamedResponse
+ * @since 0.0.5
+ * @property {number} status - HTTP status
+ * @property {Object} headers - Headers, with lower case names
+ * @property {*} body - Data of the response
+ */
+
+/**
+ * Replace the "{{name}}" variables in a text. A name is one of
+ * "$processEnv NAME" for an environment variable, "$timestamp" for the
+ * current Unix time, "request.response.status",
+ * "request.response.headers.Name" or "request.response.body.path" for
+ * part of the response of a named request, the path being dotted and
+ * optionally starting with "$.", or the name of a file variable, whose
+ * own variables are replaced in turn.
+ * @since 0.0.5
+ * @param {string} text - The text
+ * @param {Object} [variables = {}] - Values of file variables, keyed by
+ * name
+ * @param {Object<string, NamedResponse>} [responses = {}] - Responses
+ * of earlier requests, keyed by request name
+ * @return {string} The text with every variable replaced. Object
+ * values are replaced with their JSON.
+ * @throws {ReferenceError} Thrown when a variable is not defined,
+ * refers to itself, or refers to a request without a response.
+ */
+export function expandVariables(text, variables = {}, responses = {}) {
+  function expand(string, seen) {
+    return string.replace(variablePattern, function (match, variable) {
+      const value = lookup(variable, seen);
+      return typeof value === "object" ? JSON.stringify(value) : String(value);
+    });
+  }
+
+  function lookup(variable, seen) {
+    if (variable.startsWith("$processEnv ")) {
+      const value = process.env[variable.slice(12).trim()];
+      if (value === undefined)
+        throw new ReferenceError(
+          `Environment variable in ${variable} is not set.`
+        );
+      return value;
+    }
+    if (variable === "$timestamp") return Math.floor(Date.now() / 1000);
+
+    const reference =
+      /^([^.\s$]+)\.response\.(status|headers|body)(?:\.(.*))?$/.exec(variable);
+    if (reference !== null) {
+      const [, name, part, path] = reference;
+      const response = responses[name];
+      if (response === undefined)
+        throw new ReferenceError(`Request ${name} has no response.`);
+      let value = response[part];
+      if (part === "headers" && path !== undefined)
+        value = value[path.toLowerCase()];
+      else if (part === "body" && path !== undefined && path !== "*") {
+        const dotted = path.replace(/^\$\.?/, "");
+        if (dotted !== "") value = pluck(value, dotted);
+      }
+      if (value === undefined)
+        throw new ReferenceError(`${variable} is not in the response.`);
+      return value;
+    }
+
+    if (!(variable in variables))
+      throw new ReferenceError(`Variable ${variable} is not defined.`);
+    if (seen.includes(variable))
+      throw new ReferenceError(`Variable ${variable} refers to itself.`);
+    return expand(variables[variable], [...seen, variable]);
+  }
+
+  return expand(text, []);
+}
+
+//  LocalWords:  JetBrains NamedResponse processEnv
@@ -0,0 +1,354 @@
+/**
+ * @file Provide request statistics and HAR export for easier-requests
+ * @author Harry Henry Gebel <hhgebel@gmail.com>
+ * @copyright 2020 Harry Henry Gebel
+ * @license MIT
+ * @version 0.0.5
+ * @module metrics
+ * @since 0.0.5
+ */
+"use strict";
+
+/**
+ * Headers whose values are replaced by HAR exports, in lower case
+ * @since 0.0.5
+ * @type {Array<string>}
+ */
+export const sensitiveHeaders = [
+  "authorization",
+  "cookie",
+  "proxy-authorization",
+  "set-cookie",
+];
+
+/**
+ * Find the host of a URL
+ * @since 0.0.5
+ * @param {string} url - URL of a request
+ * @return {string} The host, or an empty string for relative URLs.
+ */
+export function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return "";
+  }
+}
+
+/**
+ * Compute a percentile of sorted values
+ * @private
+ * @since 0.0.5
+ * @param {Array<number>} sorted - Values in increasing order
+ * @param {number} p - Percentile to compute, from 0 to 100
+ * @return {number|undefined} The percentile by the nearest rank method,
+ * or undefined if there are no values.
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return undefined;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(rank - 1, 0)];
+}
+
+/**
+ * Create the counters of a host
+ * @private
+ * @since 0.0.5
+ * @return {Object} Counters which are all zero.
+ */
+function emptyCounters() {
+  return {
+    requests: 0,
+    inFlight: 0,
+    succeeded: 0,
+    failed: 0,
+    cancelled: 0,
+    retries: 0,
+    durations: [],
+  };
+}
+
+/**
+ * Counts and latencies of one host, as returned by
+ * RequestMetrics.stats()
+ * @typedef {Object} HostStats
+ * @since 0.0.5
+ * @property {number} requests - Requests started
+ * @property {number} inFlight - Requests not yet completed
+ * @property {number} succeeded - Requests which succeeded
+ * @property {number} failed - Requests which failed, not counting
+ * cancelled requests
+ * @property {number} cancelled - Requests cancelled, not counting
+ * timed out requests, which failed
+ * @property {number} retries - Attempts made after the first
+ * @property {Object} latency - Milliseconds taken by completed
+ * requests, with properties min, p50, p90, p95, p99 and max
+ */
+
+/**
+ * Counts and latencies of requests, kept per host. Latency
+ * percentiles are computed from the most recent sampleSize requests of
+ * each host.
+ * @since 0.0.5
+ */
+export class RequestMetrics {
+  /**
+   * Create a RequestMetrics
+   * @since 0.0.5
+   * @param {number} [sampleSize = 1000] - Number of latencies kept per
+   * host
+   */
+  constructor(sampleSize = 1000) {
+    this._sampleSize = sampleSize;
+    this._hosts = {};
+  }
+
+  /**
+   * Find the counters of a host, creating them if needed
+   * @private
+   * @since 0.0.5
+   * @param {string} host - The host
+   * @return {Object} The counters.
+   */
+  _host(host) {
+    if (!(host in this._hosts)) this._hosts[host] = emptyCounters();
+
+    return this._hosts[host];
+  }
+
+  /**
+   * Count a request being started
+   * @since 0.0.5
+   * @param {string} host - Host of the request
+   */
+  started(host) {
+    const counters = this._host(host);
+    counters.requests++;
+    counters.inFlight++;
+  }
+
+  /**
+   * Count an attempt after the first
+   * @since 0.0.5
+   * @param {string} host - Host of the request
+   */
+  retried(host) {
+    this._host(host).retries++;
+  }
+
+  /**
+   * Count a request being completed
+   * @since 0.0.5
+   * @param {string} host - Host of the request
+   * @param {string} outcome - One of "succeeded", "failed" or
+   * "cancelled"
+   * @param {number} duration - Milliseconds taken by the request
+   */
+  completed(host, outcome, duration) {
+    const counters = this._host(host);
+    counters.inFlight--;
+    counters[outcome]++;
+    counters.durations.push(duration);
+    if (counters.durations.length > this._sampleSize)
+      counters.durations.shift();
+  }
+
+  /**
+   * Take a snapshot of the statistics
+   * @since 0.0.5
+   * @return {Object} HostStats keyed by host, and HostStats of every
+   * host together in total.
+   */
+  stats() {
+    const hosts = {};
+    const total = emptyCounters();
+
+    for (const [host, counters] of Object.entries(this._hosts)) {
+      hosts[host] = summarize(counters);
+      for (const name of Object.keys(total))
+        if (name === "durations") total.durations.push(...counters.durations);
+        else total[name] += counters[name];
+    }
+
+    return { total: summarize(total), hosts: hosts };
+  }
+
+  /**
+   * Forget all statistics
+   * @since 0.0.5
+   */
+  reset() {
+    this._hosts = {};
+  }
+}
+
+/**
+ * Turn counters into HostStats
+ * @private
+ * @since 0.0.5
+ * @param {Object} counters - Counters kept by RequestMetrics
+ * @return {HostStats} The statistics.
+ */
+function summarize({ durations, ...counts }) {
+  const sorted = [...durations].sort((a, b) => a - b);
+  return {
+    ...counts,
+    latency: {
+      min: sorted[0],
+      p50: percentile(sorted, 50),
+      p90: percentile(sorted, 90),
+      p95: percentile(sorted, 95),
+      p99: percentile(sorted, 99),
+      max: sorted[sorted.length - 1],
+    },
+  };
+}
+
+/**
+ * Convert headers into HAR name and value pairs
+ * @private
+ * @since 0.0.5
+ * @param {Object} [headers = {}] - Headers keyed by name
+ * @param {Array<string>} redact - Lower case names of headers whose
+ * values are replaced
+ * @return {Array<Object>} The HAR headers.
+ */
+function harHeaders(headers = {}, redact) {
+  const pairs = [];
+  for (const [name, value] of Object.entries(headers))
+    for (const single of Array.isArray(value) ? value : [value])
+      if (single !== undefined && typeof single !== "object")
+        pairs.push({
+          name: name,
+          value: redact.includes(name.toLowerCase())
+            ? "[REDACTED]"
+            : String(single),
+        });
+
+  return pairs;
+}
+
+/**
+ * Find a header in headers whose names may have any case
+ * @private
+ * @since 0.0.5
+ * @param {Object} [headers = {}] - Headers keyed by name
+ * @param {string} name - Lower case name of the header
+ * @return {string|undefined} Value of the header, or undefined if it
+ * is missing.
+ */
+function headerValue(headers = {}, name) {
+  const found = Object.keys(headers).find((key) => key.toLowerCase() === name);
+  return found === undefined ? undefined : String(headers[found]);
+}
+
+/**
+ * Convert data into HAR text
+ * @private
+ * @since 0.0.5
+ * @param {*} data - Request or response data
+ * @return {string|undefined} The data as text.
+ */
+function harText(data) {
+  if (data === undefined || data === null) return undefined;
+  if (typeof data === "string") return data;
+  try {
+    return JSON.stringify(data);
+  } catch (error) {
+    return String(data);
+  }
+}
+
+/**
+ * Request recorded in the history of a Requester
+ * @typedef {Object} HistoryEntry
+ * @since 0.0.5
+ * @property {string} id - ID of the request
+ * @property {Date} started - When the request was started
+ * @property {number} duration - Milliseconds taken by the request
+ * @property {Object} request - Method, url, params, headers and data
+ * of the request
+ * @property {Object} [response] - Status, statusText, headers and data
+ * of the response, if one was received
+ * @property {Error} [error] - Error of the request, if it failed
+ */
+
+/**
+ * Convert history entries into an HTTP Archive (HAR) 1.2 log
+ * @since 0.0.5
+ * @param {Array<HistoryEntry>} entries - Entries to convert
+ * @param {Array<string>} [redact = sensitiveHeaders] - Lower case names
+ * of headers whose values are replaced by [REDACTED]
+ * @return {Object} The HAR log, ready for JSON.stringify().
+ */
+export function toHAR(entries, redact = sensitiveHeaders) {
+  return {
+    log: {
+      version: "1.2",
+      creator: { name: "easier-requests", version: "0.0.5" },
+      entries: entries.map(function ({ started, duration, request, response }) {
+        const url = new URL(request.url, "http://localhost");
+        for (const [name, value] of Object.entries(request.params || {}))
+          url.searchParams.append(name, value);
+        const postText = harText(request.data);
+        const responseText = response ? harText(response.data) : undefined;
+        const headers = response && response.headers ? response.headers : {};
+        // axios sends objects as JSON when no Content-Type is given
+        const postType = headerValue(request.headers, "content-type");
+
+        return {
+          startedDateTime: started.toISOString(),
+          time: duration,
+          request: {
+            method: request.method.toUpperCase(),
+            url: /^[a-z][a-z\d+\-.]*:/i.test(request.url)
+              ? url.href
+              : url.pathname + url.search,
+            httpVersion: "HTTP/1.1",
+            cookies: [],
+            headers: harHeaders(request.headers, redact),
+            queryString: [...url.searchParams].map(([name, value]) => ({
+              name: name,
+              value: value,
+            })),
+            postData:
+              postText === undefined
+                ? undefined
+                : {
+                    mimeType:
+                      postType !== undefined
+                        ? postType
+                        : typeof request.data === "string"
+                        ? ""
+                        : "application/json",
+                    text: postText,
+                  },
+            headersSize: -1,
+            bodySize: postText === undefined ? 0 : postText.length,
+          },
+          response: {
+            // HAR uses status 0 for requests without a response
+            status: response ? response.status : 0,
+            statusText: response ? response.statusText : "",
+            httpVersion: "HTTP/1.1",
+            cookies: [],
+            headers: harHeaders(headers, redact),
+            content: {
+              size: responseText === undefined ? 0 : responseText.length,
+              mimeType: headerValue(headers, "content-type") || "",
+              text: responseText,
+            },
+            redirectURL: "",
+            headersSize: -1,
+            bodySize: -1,
+          },
+          cache: {},
+          timings: { send: 0, wait: duration, receive: 0 },
+        };
+      }),
+    },
+  };
+}
+
+//  LocalWords:  HAR RequestMetrics HostStats sampleSize inFlight
+//  LocalWords:  HistoryEntry statusText
@@ -0,0 +1,522 @@
+/**
+ * @file Provide mock and record/replay transports for testing code
+ * using easier-requests without a network
+ * @author Harry Henry Gebel <hhgebel@gmail.com>
+ * @copyright 2020 Harry Henry Gebel
+ * @license MIT
+ * @version 0.0.5
+ * @module mock
+ * @since 0.0.5
+ */
+"use strict";
+
+import { isStream } from "./bodies.js";
+import { UnmatchedRequestError } from "./errors.js";
+import { axiosTransport } from "./transports.js";
+
+/**
+ * Create the error of a simulated network failure
+ * @private
+ * @since 0.0.5
+ * @param {string} message - Error message
+ * @param {Object} config - Configuration of the failed request
+ * @param {string} code - Network error code
+ * @return {Error} The error.
+ */
+function createError(message, config, code) {
+  const error = new Error(message);
+  error.config = config;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Escape the characters of a string which are special in regular
+ * expressions
+ * @private
+ * @since 0.0.5
+ * @param {string} string - String to escape
+ * @return {string} The escaped string.
+ */
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Turn a route pattern into a regular expression
+ * @private
+ * @since 0.0.5
+ * @param {string} pattern - URL or path, in which a segment starting
+ * with a colon and a name (such as :id) matches any one segment and an
+ * asterisk matches anything
+ * @return {RegExp} Expression matching the pattern, capturing each
+ * named segment.
+ */
+function compilePattern(pattern) {
+  const source = pattern
+    .split(/(:[A-Za-z_]\w*|\*)/)
+    .map(function (part) {
+      if (part === "*") return ".*";
+      if (part.startsWith(":")) return `(?<${part.slice(1)}>[^/?#]+)`;
+      return escapeRegExp(part);
+    })
+    .join("");
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Split the query string from a URL
+ * @private
+ * @since 0.0.5
+ * @param {string} url - URL of a request
+ * @return {Array} The URL without its query string, then its path
+ * without the scheme and host, then an object of its query parameters.
+ */
+function splitURL(url) {
+  const [address, query = ""] = url.split("?");
+  const path = address.replace(/^[a-z][a-z\d+\-.]*:\/\/[^/]*/i, "") || "/";
+  const params = {};
+  for (const [name, value] of new URLSearchParams(query)) params[name] = value;
+
+  return [address, path, params];
+}
+
+/**
+ * Convert the response of a request into a MockReply
+ * @private
+ * @since 0.0.5
+ * @param {Object} result - Object holding the response in its response
+ * property, such as an axios error
+ * @return {MockReply} The reply.
+ */
+function toReply({ response }) {
+  return {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+    data: recordable(response.data),
+  };
+}
+
+/**
+ * Leave out request and response bodies which cannot be recorded
+ * @private
+ * @since 0.0.5
+ * @param {*} data - The body
+ * @return {*} data, or undefined if it is a Node or web stream, which
+ * recording would consume.
+ */
+function recordable(data) {
+  if (
+    isStream(data) ||
+    (data !== null &&
+      typeof data === "object" &&
+      typeof data.getReader === "function")
+  )
+    return undefined;
+
+  return data;
+}
+
+/**
+ * Delay for a simulated response
+ * @private
+ * @since 0.0.5
+ * @param {number} milliseconds - Time to wait
+ * @param {AbortSignal} [signal] - Signal which ends the wait early
+ * @return {Promise} Promise resolving after the delay, or rejecting
+ * when signal is aborted.
+ */
+function wait(milliseconds, signal) {
+  return new Promise(function (resolve, reject) {
+    const aborted = () => reject(new Error("Request aborted."));
+    if (signal !== undefined && signal.aborted) return aborted();
+
+    const timer = setTimeout(function () {
+      if (signal !== undefined) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, milliseconds);
+    const onAbort = function () {
+      clearTimeout(timer);
+      aborted();
+    };
+    if (signal !== undefined) signal.addEventListener("abort", onAbort);
+  });
+}
+
+/**
+ * Simulated response of a mock route. Function replies are called
+ * with the request and the named segments of the route's pattern, and
+ * may return a promise. A function returning undefined replies with an
+ * empty 200 response.
+ * @typedef {Object} MockReply
+ * @since 0.0.5
+ * @property {number} [status = 200] - HTTP status
+ * @property {string} [statusText] - HTTP status text
+ * @property {Object} [headers = {}] - Response headers
+ * @property {*} [data] - Response data
+ * @property {number} [delay = 0] - Milliseconds to wait before
+ * replying
+ * @property {string} [networkError] - If set, the request fails with
+ * a network error with this code (such as ECONNREFUSED) instead of
+ * receiving a response.
+ */
+
+/**
+ * Transport answering requests from registered routes instead of the
+ * network. Requests matching no route fail with an
+ * UnmatchedRequestError and are kept in unmatched, so a test can
+ * assert that every request was expected.
+ * @implements {Transport}
+ * @since 0.0.5
+ */
+export class MockTransport {
+  /**
+   * Create a MockTransport
+   * @since 0.0.5
+   * @param {Object} [options = {}] - Transport options
+   * @param {number} [options.delay = 0] - Milliseconds to wait before
+   * every reply that does not set its own delay
+   */
+  constructor({ delay = 0 } = {}) {
+    this._delay = delay;
+    this._routes = [];
+
+    // every request received, in order, as { method, url, params,
+    // headers, data }
+    this.history = [];
+
+    // requests which matched no route
+    this.unmatched = [];
+  }
+
+  /**
+   * Register a route. Routes are tried in the order they were
+   * registered, and the first matching route replies.
+   * @since 0.0.5
+   * @param {string} method - HTTP method matched, or "*" for any
+   * method
+   * @param {string|RegExp} pattern - URL matched. Patterns starting
+   * with a slash match the path of the URL, other strings the whole URL
+   * without its query string, and regular expressions are tested
+   * against the whole URL. A segment starting with a colon (such as
+   * :id) matches any one segment and an asterisk matches anything.
+   * @param {MockReply|Function} reply - Response, or function returning
+   * the response
+   * @param {Object} [options = {}] - Route options
+   * @param {Object} [options.params] - Query parameters the request
+   * must have
+   * @param {number} [options.times = Infinity] - Number of requests
+   * the route answers before it stops matching
+   * @return {MockTransport} This transport, for chaining.
+   */
+  on(method, pattern, reply, { params, times = Infinity } = {}) {
+    const route = {
+      method: method.toLowerCase(),
+      expression: pattern,
+      // part of the URL tested against expression
+      target: "url",
+      reply: reply,
+      params: params,
+      exactParams: false,
+      remaining: times,
+    };
+    if (typeof pattern === "string") {
+      route.expression = compilePattern(pattern);
+      route.target = pattern.startsWith("/") ? "path" : "address";
+    }
+    this._routes.push(route);
+
+    return this;
+  }
+
+  /**
+   * Register a route matching any method
+   * @since 0.0.5
+   * @param {string|RegExp} pattern - URL matched, see
+   * MockTransport.on()
+   * @param {MockReply|Function} reply - Response, or function returning
+   * the response
+   * @param {Object} [options] - Route options, see MockTransport.on()
+   * @return {MockTransport} This transport, for chaining.
+   */
+  any(pattern, reply, options) {
+    return this.on("*", pattern, reply, options);
+  }
+
+  /**
+   * Remove every route and forget every request
+   * @since 0.0.5
+   */
+  reset() {
+    this._routes = [];
+    this.history = [];
+    this.unmatched = [];
+  }
+
+  /**
+   * Check that every request matched a route
+   * @since 0.0.5
+   * @throws {UnmatchedRequestError} Thrown when any request matched no
+   * route, listing those requests.
+   */
+  assertNoUnmatched() {
+    if (this.unmatched.length > 0)
+      throw new UnmatchedRequestError(
+        "Requests matched no route: " +
+          this.unmatched
+            .map((request) => `${request.method.toUpperCase()} ${request.url}`)
+            .join(", ")
+      );
+  }
+
+  /**
+   * Find the route matching a request
+   * @private
+   * @since 0.0.5
+   * @param {Object} request - Request, as recorded in history
+   * @return {Array} The route, then the named segments of its pattern,
+   * or an empty array if no route matches.
+   */
+  _match(request) {
+    const [address, path, params] = splitURL(request.url);
+    const targets = { url: request.url, address: address, path: path };
+    const query = { ...params, ...request.params };
+
+    for (const route of this._routes) {
+      if (route.remaining <= 0) continue;
+      if (route.method !== "*" && route.method !== request.method) continue;
+
+      const match = route.expression.exec(targets[route.target]);
+      if (match === null) continue;
+      if (route.params !== undefined) {
+        const names = Object.keys(route.params);
+        if (
+          names.some(
+            (name) => String(route.params[name]) !== String(query[name])
+          ) ||
+          (route.exactParams && names.length !== Object.keys(query).length)
+        )
+          continue;
+      }
+
+      return [route, { ...match.groups }];
+    }
+
+    return [];
+  }
+
+  /**
+   * Answer a request with the reply of the first matching route
+   * @async
+   * @since 0.0.5
+   * @param {TransportRequest} config - The request
+   * @return {TransportResponse} The response of the route.
+   * @throws {UnmatchedRequestError} Thrown when no route matches the
+   * request.
+   * @throws {Error} Error with a code property when the route's reply
+   * sets networkError, or when the request is aborted during its delay.
+   */
+  async request({ signal, ...config }) {
+    const request = {
+      method: config.method.toLowerCase(),
+      url: config.url,
+      params: config.params,
+      headers: config.headers,
+      data: config.data,
+    };
+    this.history.push(request);
+
+    const [route, segments] = this._match(request);
+    if (route === undefined) {
+      this.unmatched.push(request);
+      throw new UnmatchedRequestError(
+        `No mock route matches ${config.method.toUpperCase()} ${config.url}`
+      );
+    }
+    route.remaining--;
+
+    let reply =
+      typeof route.reply === "function"
+        ? await route.reply(request, segments)
+        : route.reply;
+    if (reply === undefined || reply === null) reply = {};
+    await wait(reply.delay === undefined ? this._delay : reply.delay, signal);
+
+    if (reply.networkError !== undefined)
+      throw createError(
+        `Simulated network error ${reply.networkError}`,
+        config,
+        reply.networkError
+      );
+
+    return {
+      data: reply.data,
+      status: reply.status === undefined ? 200 : reply.status,
+      statusText: reply.statusText === undefined ? "" : reply.statusText,
+      headers: reply.headers === undefined ? {} : reply.headers,
+      config: config,
+    };
+  }
+}
+
+/**
+ * Transport performing requests through another transport and writing
+ * every exchange to a JSON fixture file, for ReplayTransport to serve
+ * later. The file is rewritten after every exchange. Stream bodies,
+ * such as those of downloads and subscriptions, are not recorded.
+ * Node only.
+ * @implements {Transport}
+ * @since 0.0.5
+ */
+export class RecordingTransport {
+  /**
+   * Create a RecordingTransport
+   * @since 0.0.5
+   * @param {string} path - Path of the fixture file, which is replaced
+   * @param {Transport} [transport = axiosTransport] - Transport which
+   * performs the requests
+   */
+  constructor(path, transport = axiosTransport) {
+    this._path = path;
+    this._transport = transport;
+
+    // recorded exchanges, in order
+    this.exchanges = [];
+
+    // promise of the last write, so that writes happen in order
+    this._written = Promise.resolve();
+  }
+
+  /**
+   * Add an exchange and rewrite the fixture file
+   * @async
+   * @private
+   * @since 0.0.5
+   * @param {Object} exchange - The exchange to add
+   * @throws {TypeError} Thrown when the exchange cannot be serialized,
+   * in which case it is not added.
+   */
+  async _record(exchange) {
+    const json = JSON.stringify([...this.exchanges, exchange], null, 2);
+    this.exchanges.push(exchange);
+    // a failed write only fails the request which made it
+    this._written = this._written
+      .catch(() => {})
+      .then(async () => {
+        const { promises } = await import("fs");
+        await promises.writeFile(this._path, json);
+      });
+
+    return this._written;
+  }
+
+  /**
+   * Perform a request through the wrapped transport and record it
+   * @async
+   * @since 0.0.5
+   * @param {TransportRequest} config - The request
+   * @return {TransportResponse} The response of the wrapped transport.
+   * @throws {Error} The error of the wrapped transport, recorded first
+   * if it has a response or a network error code.
+   */
+  async request(config) {
+    const request = {
+      method: config.method.toLowerCase(),
+      url: config.url,
+      params: config.params,
+      data: recordable(config.data),
+    };
+
+    let response;
+    try {
+      response = await this._transport.request(config);
+    } catch (error) {
+      if (error.response !== undefined)
+        await this._record({ request: request, response: toReply(error) });
+      else if (error.code !== undefined)
+        await this._record({
+          request: request,
+          response: { networkError: error.code },
+        });
+      throw error;
+    }
+
+    await this._record({ request: request, response: toReply({ response }) });
+    return response;
+  }
+}
+
+/**
+ * Transport answering requests from a JSON fixture file written by
+ * RecordingTransport. A request is answered by the first exchange with
+ * the same method, URL and parameters. Node only.
+ * @implements {Transport}
+ * @since 0.0.5
+ */
+export class ReplayTransport extends MockTransport {
+  /**
+   * Create a ReplayTransport
+   * @since 0.0.5
+   * @param {string} path - Path of the fixture file
+   * @param {Object} [options = {}] - Options passed to the
+   * MockTransport constructor
+   */
+  constructor(path, options = {}) {
+    super(options);
+    this._path = path;
+
+    // promise of the fixture file being loaded into routes
+    this._loaded = undefined;
+  }
+
+  /**
+   * Register a route for every exchange in the fixture file
+   * @async
+   * @private
+   * @since 0.0.5
+   */
+  async _load() {
+    const { promises } = await import("fs");
+    const exchanges = JSON.parse(await promises.readFile(this._path, "utf8"));
+    for (const { request, response } of exchanges) {
+      const [address, , params] = splitURL(request.url);
+      this._routes.push({
+        method: request.method,
+        expression: new RegExp(`^${escapeRegExp(address)}$`),
+        target: "address",
+        reply: response,
+        // match the recorded query exactly, not just a subset of it
+        params: { ...params, ...request.params },
+        exactParams: true,
+        remaining: Infinity,
+      });
+    }
+  }
+
+  /**
+   * Answer a request from the fixture file, loading it first if needed
+   * @async
+   * @since 0.0.5
+   * @param {TransportRequest} config - The request
+   * @return {TransportResponse} The recorded response.
+   * @throws {UnmatchedRequestError} Thrown when no recorded exchange
+   * matches the request.
+   * @throws {Error} The error reading or parsing the fixture file.
+   */
+  async request(config) {
+    if (this._loaded === undefined)
+      this._loaded = this._load().catch((error) => {
+        // load again once the file is fixed
+        this._loaded = undefined;
+        throw error;
+      });
+    await this._loaded;
+
+    return super.request(config);
+  }
+}
+
+//  LocalWords:  MockTransport RecordingTransport ReplayTransport axios
+//  LocalWords:  UnmatchedRequestError ECONNREFUSED MockReply
@@ -0,0 +1,150 @@
+/**
+ * @file Provide the offline queue of easier-requests
+ * @author Harry Henry Gebel <hhgebel@gmail.com>
+ * @copyright 2020 Harry Henry Gebel
+ * @license MIT
+ * @version 0.0.5
+ * @module offline
+ * @since 0.0.5
+ */
+"use strict";
+
+import { MemoryStorage } from "./storage.js";
+
+/**
+ * A request saved in an OfflineQueue, sent again by
+ * Requester.flushQueue()
+ * @typedef {Object} QueuedRequest
+ * @since 0.0.5
+ * @property {string} id - ID of the request, under which its result
+ * is stored once it is sent
+ * @property {string} method - HTTP method of the request
+ * @property {string} url - URL of the request
+ * @property {*} [data] - Data of the request
+ * @property {Object} params - Parameters of the request, other than
+ * those of the params option
+ * @property {Object} headers - Headers of the request, other than
+ * those of the headers option
+ * @property {string} [graphQLQuery] - GraphQL document, if the request
+ * was made with Requester.graphql()
+ * @property {RequestOptions} [options] - Other per-request options of
+ * the request, such as timeout and retry
+ * @property {number} queuedAt - Time the request was first saved, in
+ * milliseconds since the epoch
+ * @property {number} order - Position among requests saved in the
+ * same millisecond
+ * @property {number} conflicts - Number of times the request has been
+ * resolved by onConflict
+ */
+
+// position of the next request saved, ordering requests saved in the
+// same millisecond
+let nextOrder = 0;
+
+/**
+ * Check if request data can be saved in an OfflineQueue
+ * @since 0.0.5
+ * @param {*} data - The data
+ * @return {boolean} True if data survives conversion to JSON, which is
+ * the case for plain objects, arrays and primitives but not for
+ * FormBodies, Blobs, Buffers or streams.
+ */
+export function isPlainData(data) {
+  if (data === undefined || data === null || typeof data !== "object")
+    return typeof data !== "function";
+  if (Array.isArray(data)) return data.every(isPlainData);
+  if (Object.getPrototypeOf(data) !== Object.prototype) return false;
+
+  return Object.values(data).every(isPlainData);
+}
+
+/**
+ * Queue of requests which failed for lack of a connection, kept in a
+ * StorageAdapter so that they survive restarts when the adapter is
+ * persistent, and sent again in the order they were made.
+ * @since 0.0.5
+ */
+export class OfflineQueue {
+  /**
+   * Create an OfflineQueue
+   * @since 0.0.5
+   * @param {Object} [options = {}] - Queue options
+   * @param {StorageAdapter} [options.storage = new MemoryStorage()] -
+   * Where queued requests are kept, such as a FileStorage under Node
+   * or a WebStorage in browsers
+   * @param {Function} [options.onConflict] - Function called with the
+   * QueuedRequest and the HTTPError when a request sent again fails
+   * with a conflicting status. It may return (or return a promise of)
+   * an object of the method, url, data, params and headers to send
+   * instead, in which case the request is sent again with them;
+   * otherwise the error becomes the result of the request.
+   * @param {Array<number>} [options.conflictStatuses = [409, 412]] -
+   * Statuses which are conflicts
+   */
+  constructor({
+    storage = new MemoryStorage(),
+    onConflict,
+    conflictStatuses = [409, 412],
+  } = {}) {
+    this._storage = storage;
+    this.onConflict = onConflict;
+    this.conflictStatuses = conflictStatuses;
+  }
+
+  /**
+   * Save a request, keeping its place if it is already queued
+   * @async
+   * @since 0.0.5
+   * @param {QueuedRequest} request - The request. queuedAt, order and
+   * conflicts are set if missing.
+   */
+  async add(request) {
+    await this._storage.set(request.id, {
+      queuedAt: Date.now(),
+      order: nextOrder++,
+      conflicts: 0,
+      ...request,
+    });
+  }
+
+  /**
+   * Remove a request
+   * @async
+   * @since 0.0.5
+   * @param {string} id - ID of the request
+   */
+  async remove(id) {
+    await this._storage.delete(id);
+  }
+
+  /**
+   * List the queued requests
+   * @async
+   * @since 0.0.5
+   * @return {Array<QueuedRequest>} The requests, oldest first.
+   */
+  async requests() {
+    const requests = [];
+    for (const key of await this._storage.keys()) {
+      const request = await this._storage.get(key);
+      if (request !== undefined) requests.push(request);
+    }
+
+    return requests.sort(
+      (a, b) => a.queuedAt - b.queuedAt || a.order - b.order
+    );
+  }
+
+  /**
+   * Check if an error of a request sent again is a conflict
+   * @since 0.0.5
+   * @param {RequestError} error - The error
+   * @return {boolean} True if its status is one of conflictStatuses.
+   */
+  isConflict(error) {
+    return this.conflictStatuses.includes(error.status);
+  }
+}
+
+//  LocalWords:  OfflineQueue QueuedRequest FileStorage WebStorage
+//  LocalWords:  FormBodies
@@ -0,0 +1,282 @@
+/**
+ * @file Provide pagination strategies for easier-requests
+ * @author Harry Henry Gebel <hhgebel@gmail.com>
+ * @copyright 2020 Harry Henry Gebel
+ * @license MIT
+ * @version 0.0.5
+ * @module pagination
+ * @since 0.0.5
+ */
+"use strict";
+
+/**
+ * Parse an RFC 5988 Link header
+ * @since 0.0.5
+ * @param {string} [header = ""] - Value of the header
+ * @return {Object} URLs keyed by each of their rel values.
+ */
+export function parseLinkHeader(header = "") {
+  const links = {};
+  for (const [, url, parameters] of header.matchAll(/<([^>]*)>([^,<]*)/g)) {
+    const rel = /;\s*rel\s*=\s*"?([^";]+)"?/i.exec(parameters);
+    if (rel !== null)
+      for (const name of rel[1].trim().split(/\s+/))
+        links[name.toLowerCase()] = url;
+  }
+
+  return links;
+}
+
+/**
+ * Read a value from an object by a dotted path such as "meta.next"
+ * @since 0.0.5
+ * @param {Object} object - Object to read from
+ * @param {string|Function} path - Dotted path of the value, or a
+ * function returning the value when called with object
+ * @return {*} The value, or undefined if any part of the path is
+ * missing.
+ */
+export function pluck(object, path) {
+  if (typeof path === "function") return path(object);
+
+  let value = object;
+  for (const name of path.split(".")) {
+    if (value === undefined || value === null) return undefined;
+    value = value[name];
+  }
+
+  return value;
+}
+
+/**
+ * Strategy deciding which page Requester.paginate() requests next.
+ * @interface PaginationStrategy
+ * @since 0.0.5
+ */
+/**
+ * Compute the request for the first page
+ * @function
+ * @name PaginationStrategy#first
+ * @param {string} url - URL passed to Requester.paginate()
+ * @param {Object} params - Parameters passed to Requester.paginate()
+ * @return {Object} url and params of the first request.
+ */
+/**
+ * Compute the request for the page after a response
+ * @function
+ * @name PaginationStrategy#next
+ * @param {Object} response - Response of the last page
+ * @param {Array} [items] - Items picked out of the last page, if the
+ * items option was given
+ * @param {Object} current - url and params of the last request
+ * @return {Object|undefined} url and params of the next request, or
+ * undefined if the last page was the final one.
+ */
+
+/**
+ * Follow the rel="next" URL of the Link header of each page
+ * @implements {PaginationStrategy}
+ * @since 0.0.5
+ */
+export class LinkPagination {
+  /**
+   * Compute the request for the first page
+   * @since 0.0.5
+   * @param {string} url - URL passed to Requester.paginate()
+   * @param {Object} params - Parameters passed to Requester.paginate()
+   * @return {Object} url and params of the first request.
+   */
+  first(url, params) {
+    return { url: url, params: params };
+  }
+
+  /**
+   * Compute the request for the URL of the Link rel="next" header of
+   * a page
+   * @since 0.0.5
+   * @param {Object} response - Response of the last page
+   * @return {Object|undefined} url and params of the next request, or
+   * undefined if the last page has no next link.
+   */
+  next(response) {
+    let url = parseLinkHeader(response.headers["link"]).next;
+    if (url === undefined) return undefined;
+
+    try {
+      // resolve a relative link against the URL of the last page
+      url = new URL(url, response.config.url).href;
+    } catch (error) {
+      // leave the link unchanged if the last URL was itself relative
+    }
+    // the next URL carries its own parameters
+    return { url: url, params: {} };
+  }
+}
+
+/**
+ * Send the cursor or next-token found in the body of each page as a
+ * query parameter of the next request
+ * @implements {PaginationStrategy}
+ * @since 0.0.5
+ */
+export class CursorPagination {
+  /**
+   * Create a CursorPagination
+   * @since 0.0.5
+   * @param {Object} [options = {}] - Strategy options
+   * @param {string|Function} [options.cursor = "next_cursor"] - Path of
+   * the cursor in the response data, or function returning it when
+   * called with the response data
+   * @param {string} [options.param = "cursor"] - Name of the query
+   * parameter the cursor is sent in
+   */
+  constructor({ cursor = "next_cursor", param = "cursor" } = {}) {
+    this._cursor = cursor;
+    this._param = param;
+  }
+
+  /**
+   * Compute the request for the first page
+   * @since 0.0.5
+   * @param {string} url - URL passed to Requester.paginate()
+   * @param {Object} params - Parameters passed to Requester.paginate()
+   * @return {Object} url and params of the first request.
+   */
+  first(url, params) {
+    return { url: url, params: params };
+  }
+
+  /**
+   * Compute the request sending the cursor of a page
+   * @since 0.0.5
+   * @param {Object} response - Response of the last page
+   * @param {Array} [items] - Items picked out of the last page
+   * @param {Object} current - url and params of the last request
+   * @return {Object|undefined} url and params of the next request, or
+   * undefined if the last page has no cursor.
+   */
+  next(response, items, current) {
+    const cursor = pluck(response.data, this._cursor);
+    if (cursor === undefined || cursor === null || cursor === "")
+      return undefined;
+
+    return {
+      url: current.url,
+      params: { ...current.params, [this._param]: cursor },
+    };
+  }
+}
+
+/**
+ * Count pages with a page number query parameter, or items with an
+ * offset query parameter, stopping at the first page with fewer items
+ * than a full page
+ * @implements {PaginationStrategy}
+ * @since 0.0.5
+ */
+export class PagePagination {
+  /**
+   * Create a PagePagination
+   * @since 0.0.5
+   * @param {Object} [options = {}] - Strategy options
+   * @param {string} [options.param = "page"] - Name of the page number
+   * or offset query parameter
+   * @param {number} [options.start = 1] - Number of the first page,
+   * or the first offset
+   * @param {boolean} [options.offset = false] - If true, param is an
+   * offset that increases by the number of items on each page, rather
+   * than a page number that increases by one
+   * @param {string} [options.sizeParam] - Name of the query parameter
+   * holding the page size, if it is sent
+   * @param {number} [options.size] - Number of items on a full page.
+   * If not given, pagination stops at the first page without items.
+   */
+  constructor({
+    param = "page",
+    start = 1,
+    offset = false,
+    sizeParam,
+    size,
+  } = {}) {
+    this._param = param;
+    this._start = start;
+    this._offset = offset;
+    this._sizeParam = sizeParam;
+    this._size = size;
+  }
+
+  /**
+   * Compute the request for the first page
+   * @since 0.0.5
+   * @param {string} url - URL passed to Requester.paginate()
+   * @param {Object} params - Parameters passed to Requester.paginate()
+   * @return {Object} url and params of the first request, with the
+   * first page number or offset.
+   */
+  first(url, params) {
+    const first = { ...params, [this._param]: this._start };
+    if (this._sizeParam !== undefined && this._size !== undefined)
+      first[this._sizeParam] = this._size;
+
+    return { url: url, params: first };
+  }
+
+  /**
+   * Compute the request for the page after a full page
+   * @since 0.0.5
+   * @param {Object} response - Response of the last page
+   * @param {Array} [items] - Items picked out of the last page, or the
+   * data of the page if they were not
+   * @param {Object} current - url and params of the last request
+   * @return {Object|undefined} url and params of the next request, or
+   * undefined if the last page had no items or fewer than a full page.
+   */
+  next(response, items, current) {
+    if (!Array.isArray(items)) items = response.data;
+    if (!Array.isArray(items) || items.length === 0) return undefined;
+    if (this._size !== undefined && items.length < this._size) return undefined;
+
+    const position = Number(current.params[this._param]);
+    return {
+      url: current.url,
+      params: {
+        ...current.params,
+        [this._param]: position + (this._offset ? items.length : 1),
+      },
+    };
+  }
+}
+
+/**
+ * Create the pagination strategy named by the strategy option of
+ * Requester.paginate()
+ * @since 0.0.5
+ * @param {string|PaginationStrategy} strategy - One of "link",
+ * "cursor", "page" or "offset", or a strategy object which is returned
+ * unchanged
+ * @param {Object} options - Options passed to the strategy's
+ * constructor
+ * @return {PaginationStrategy} The strategy.
+ */
+export function createStrategy(strategy, options) {
+  switch (strategy) {
+    case "link":
+      return new LinkPagination();
+    case "cursor":
+      return new CursorPagination(options);
+    case "page":
+      return new PagePagination(options);
+    case "offset":
+      return new PagePagination({
+        start: 0,
+        param: "offset",
+        ...options,
+        offset: true,
+      });
+    default:
+      return strategy;
+  }
+}
+
+//  LocalWords:  rel LinkPagination CursorPagination PagePagination
+//  LocalWords:  PaginationStrategy sizeParam
@@ -0,0 +1,213 @@
+/**
+ * @file Provide client-side rate limiting for easier-requests
+ * @author Harry Henry Gebel <hhgebel@gmail.com>
+ * @copyright 2020 Harry Henry Gebel
+ * @license MIT
+ * @version 0.0.5
+ * @module ratelimit
+ * @since 0.0.5
+ */
+"use strict";
+
+import { hostOf } from "./metrics.js";
+
+/**
+ * Limit applied to the requests matching it, set with the rateLimit
+ * option. Each host matching a rule is limited separately.
+ * @typedef {Object} RateLimitRule
+ * @since 0.0.5
+ * @property {string|RegExp|Function} [match] - Host the rule applies
+ * to, such as "api.github.com", an expression tested against the URL
+ * of each request, or a function returning true when called with the
+ * URL. If not given, the rule applies to every request.
+ * @property {number} [requests = Infinity] - Requests allowed in each
+ * interval
+ * @property {number} [interval = 1000] - Length of the interval in
+ * milliseconds
+ * @property {number} [concurrency = Infinity] - Requests allowed in
+ * flight at once
+ */
+
+/**
+ * Token bucket and concurrency limit of one host under one rule
+ * @private
+ * @since 0.0.5
+ */
+class Bucket {
+  /**
+   * Create a Bucket
+   * @since 0.0.5
+   * @param {RateLimitRule} rule - The rule being applied
+   */
+  constructor({
+    requests = Infinity,
+    interval = 1000,
+    concurrency = Infinity,
+  }) {
+    this._capacity = requests;
+    this._rate = requests / interval; // tokens added per millisecond
+    this._concurrency = concurrency;
+
+    this._tokens = requests;
+    this._updated = Date.now();
+    this._active = 0;
+    // requests waiting for a token or slot, in the order they arrived
+    this.queue = [];
+    this._timer = undefined;
+  }
+
+  /**
+   * Add the tokens earned since the last update
+   * @private
+   * @since 0.0.5
+   */
+  _refill() {
+    if (this._capacity === Infinity) return;
+
+    const now = Date.now();
+    this._tokens = Math.min(
+      this._capacity,
+      this._tokens + (now - this._updated) * this._rate
+    );
+    this._updated = now;
+  }
+
+  /**
+   * Let waiting requests go in order while there are tokens and slots,
+   * then wait for the next token if needed
+   * @since 0.0.5
+   */
+  drain() {
+    this._refill();
+    while (
+      this.queue.length > 0 &&
+      this._tokens >= 1 &&
+      this._active < this._concurrency
+    ) {
+      this._tokens--;
+      this._active++;
+      this.queue.shift().start();
+    }
+
+    if (this.queue.length > 0 && this._tokens < 1 && this._timer === undefined)
+      this._timer = setTimeout(() => {
+        this._timer = undefined;
+        this.drain();
+      }, Math.ceil((1 - this._tokens) / this._rate));
+  }
+
+  /**
+   * Free the slot of a completed request
+   * @since 0.0.5
+   */
+  release() {
+    this._active--;
+    this.drain();
+  }
+}
+
+/**
+ * Limits the rate and concurrency of requests by host, making
+ * requests over a limit wait in a queue until they may be sent.
+ * @since 0.0.5
+ */
+export class RateLimiter {
+  /**
+   * Create a RateLimiter
+   * @since 0.0.5
+   * @param {Array<RateLimitRule>} [rules = []] - The rules. Each request
+   * is limited by the first rule it matches.
+   */
+  constructor(rules = []) {
+    this.rules = rules;
+    // Bucket of each rule and host, keyed by rule index and host
+    this._buckets = new Map();
+  }
+
+  /**
+   * Find the Bucket limiting a request
+   * @private
+   * @since 0.0.5
+   * @param {string} url - URL of the request
+   * @return {Bucket|undefined} The bucket, or undefined if no rule
+   * matches the request.
+   */
+  _bucket(url) {
+    const host = hostOf(url);
+    const index = this.rules.findIndex(function ({ match }) {
+      if (match === undefined) return true;
+      if (match instanceof RegExp) return match.test(url);
+      if (typeof match === "function") return Boolean(match(url));
+      return match === host;
+    });
+    if (index === -1) return undefined;
+
+    const key = `${index} ${host}`;
+    if (!this._buckets.has(key))
+      this._buckets.set(key, new Bucket(this.rules[index]));
+    return this._buckets.get(key);
+  }
+
+  /**
+   * Wait until a request may be sent
+   * @async
+   * @since 0.0.5
+   * @param {string} url - URL of the request
+   * @param {AbortSignal} [signal] - Signal which removes the request
+   * from the queue
+   * @param {Function} [onQueued] - Function called if the request has
+   * to wait, with the number of requests waiting for the same host
+   * @return {Function} Function which must be called once the request
+   * completes, freeing its concurrency slot.
+   * @throws {Error} The reason signal was aborted, if it was aborted
+   * while the request was waiting.
+   */
+  acquire(url, signal, onQueued) {
+    const bucket = this._bucket(url);
+    if (bucket === undefined) return Promise.resolve(() => {});
+
+    return new Promise(function (resolve, reject) {
+      if (signal !== undefined && signal.aborted) return reject(signal.reason);
+
+      const onAbort = function () {
+        bucket.queue.splice(bucket.queue.indexOf(waiter), 1);
+        reject(signal.reason);
+      };
+      const waiter = {
+        start() {
+          if (signal !== undefined)
+            signal.removeEventListener("abort", onAbort);
+          let released = false;
+          resolve(function () {
+            if (released) return;
+            released = true;
+            bucket.release();
+          });
+        },
+      };
+      if (signal !== undefined) signal.addEventListener("abort", onAbort);
+
+      bucket.queue.push(waiter);
+      bucket.drain();
+      if (bucket.queue.includes(waiter) && onQueued !== undefined)
+        onQueued(bucket.queue.length);
+    });
+  }
+
+  /**
+   * Count the requests waiting to be sent
+   * @since 0.0.5
+   * @param {string} [host] - Only count requests to this host
+   * @return {number} The number of waiting requests.
+   */
+  depth(host) {
+    let depth = 0;
+    for (const [key, bucket] of this._buckets)
+      if (host === undefined || key.slice(key.indexOf(" ") + 1) === host)
+        depth += bucket.queue.length;
+
+    return depth;
+  }
+}
+
+//  LocalWords:  RateLimiter RateLimitRule
@@ -3,50 +3,281 @@
  * @author Harry Henry Gebel <hhgebel@gmail.com>
  * @copyright 2020 Harry Henry Gebel
  * @license MIT
- * @version 0.0.3
+ * @version 0.0.5
  * @module easier-requests
  * @since 0.0.0
  */
 "use strict";
 
-import axios from "axios";
+import { createAuth } from "./auth.js";
+import { FormBody, discardStream, readChunks, saveTo } from "./bodies.js";
+import { ResponseCache } from "./cache.js";
+import { CookieJar } from "./cookies.js";
+import { operationType, persistedQueryNotFound, queryHash } from "./graphql.js";
+import { RequestMetrics, hostOf, toHAR } from "./metrics.js";
+import { createStrategy, pluck } from "./pagination.js";
+import { OfflineQueue, isPlainData } from "./offline.js";
+import { RateLimiter } from "./ratelimit.js";
+import { EventStreamParser, Subscription } from "./sse.js";
+import { statusAllowed, validateResponse } from "./validation.js";
+import { MockTransport, RecordingTransport, ReplayTransport } from "./mock.js";
+import { buildURL, createTransport, redirectRequest } from "./transports.js";
 import {
+  GraphQLError,
+  HTTPError,
   IDInUseError,
+  NetworkError,
+  ParseError,
+  RequestCancelledError,
+  RequestError,
   RequestNotCompleteError,
+  ResponseValidationError,
   InvalidRequestError,
+  ServerError,
+  TimeoutError,
+  UnauthorizedError,
   UnbalancedParametersError,
-} from "./errors";
+  createHTTPError,
+} from "./errors.js";
+
+/**
+ * Policy deciding whether and when failed requests are retried. Any
+ * setting missing from the retry option is taken from
+ * defaultRetryPolicy.
+ * @typedef {Object} RetryPolicy
+ * @since 0.0.5
+ * @property {number} attempts - Maximum number of attempts, including
+ * the first. 1 disables retrying.
+ * @property {Array<number>} statusCodes - HTTP status codes of
+ * responses that are retried.
+ * @property {Array<string>} errorCodes - Network error codes (such as
+ * ECONNRESET) that are retried.
+ * @property {Array<string>} methods - Lower case HTTP methods that are
+ * retried. Non-idempotent methods such as post and patch must be added
+ * to opt in to retrying them.
+ * @property {number} delay - Milliseconds to wait before the first
+ * retry.
+ * @property {number} factor - Multiplier applied to the delay after
+ * each retry.
+ * @property {number} maxDelay - Longest delay in milliseconds between
+ * two attempts.
+ * @property {boolean} jitter - If true, randomize each delay between
+ * half and all of its value so that clients do not retry in lockstep.
+ * @property {boolean} respectRetryAfter - If true, wait for the time
+ * given by a Retry-After response header instead of the computed
+ * delay, up to maxDelay.
+ */
+
+/**
+ * Retry policy used for settings not given in the retry option.
+ * @private
+ * @type {RetryPolicy}
+ */
+const defaultRetryPolicy = Object.freeze({
+  attempts: 1,
+  statusCodes: [408, 429, 500, 502, 503, 504],
+  errorCodes: [
+    "EAI_AGAIN",
+    "ECONNREFUSED",
+    "ECONNRESET",
+    "ENETUNREACH",
+    "EPIPE",
+    "ETIMEDOUT",
+  ],
+  methods: ["delete", "get", "head", "options", "put"],
+  delay: 100,
+  factor: 2,
+  maxDelay: 30000,
+  jitter: true,
+  respectRetryAfter: true,
+});
+
+// RequestOptions which are not also instance options
+const requestOnlyOptions = ["download", "onProgress"];
+
+// RequestOptions kept in other properties of a QueuedRequest, or set
+// when it is sent again
+const unqueuedOptions = [
+  "graphQLQuery",
+  "headers",
+  "offline",
+  "params",
+  "queuedRequest",
+  "throwOnFailure",
+];
+
+// instance options which cannot be set for a single request
+const instanceOnlyOptions = [
+  "cookies",
+  "history",
+  "maxResults",
+  "rateLimit",
+  "resultTTL",
+  "transport",
+];
+
+// random identity of each AuthStrategy, standing in for its
+// credentials in cache keys
+const strategyIDs = new WeakMap();
 
 /**
  * Class representing actions to perform HTTP requests and cache their
  * responses for later retrieval.
  * @since 0.0.0
  */
-class Requester {
+export class Requester {
   /**
    * Create a Requester
    * @since 0.0.0
+   * @param {Object} [options = {}] - Options of the new instance, as
+   * passed to Requester.setOptions(). Since 0.0.5.
    */
-  constructor() {
+  constructor(options = {}) {
     // holds responses awaiting retrieval
     this._cachedResponses = {};
     this._cachedErrors = {};
 
+    // when each result awaiting retrieval was stored, oldest first
+    this._storedAt = new Map();
+
     // in flight request IDs
     this._inFlightRequests = {};
 
+    // IDs of requests waiting in the offline queue
+    this._queuedIDs = new Set();
+
+    // OfflineQueue used when the offline option is true, created on
+    // first use
+    this._offlineQueue = undefined;
+
+    // promise of the running Requester.flushQueue(), if any
+    this._flushing = undefined;
+
+    // listener of the browser's online event, added while requests are
+    // queued
+    this._onlineListener = undefined;
+
+    // middleware added with Requester.use(), in the order they run
+    this._middleware = [];
+
+    // AbortControllers of in flight requests, used to cancel them
+    this._controllers = {};
+
+    // Subscriptions of open event streams, keyed by ID
+    this._subscriptions = {};
+
+    // event listeners added with Requester.on(), keyed by event name
+    this._listeners = {};
+
+    // statistics of requests, returned by Requester.stats()
+    this._metrics = new RequestMetrics();
+
+    // HistoryEntry of recent requests, if the history option is set
+    this._history = [];
+
+    // ResponseCache used when the cache option is true, created on
+    // first use
+    this._responseCache = undefined;
+
+    // GET requests shared by requests with the dedupe option, keyed by
+    // method, URL, params and headers
+    this._sharedRequests = {};
+
+    // RateLimiter created from the rateLimit option when it is an array
+    // of rules
+    this._rateLimiter = undefined;
+
+    // CookieJar used when the cookies option is true, created on first
+    // use
+    this._cookies = undefined;
+
     // Updated every time a unique ID is generated, in order to help
     // ensure generated ids are in fact unique.
     this._idSerialNumber = 0;
 
     this._defaultOptions = {
-      // should we throw an error when a response fails?
+      // headers and parameters sent with every request
       headers: {},
+      params: {},
+      // should we throw an error when a response fails?
       throwOnFailure: true,
+      // type of response data, see RequestOptions
+      responseType: "json",
+      // AuthStrategy, or username and password for HTTP basic
+      // authentication
+      auth: undefined,
+      // URL that relative request URLs are resolved against
+      baseURL: undefined,
+      // Transport performing requests, or "axios", "fetch" or "http";
+      // axios if undefined
+      transport: undefined,
+      // number of requests kept in the history, 0 to keep no history
+      history: 0,
+      // ResponseExpectations every response must meet
+      expect: undefined,
+      // milliseconds to wait before aborting a request, 0 to wait forever
+      timeout: 0,
+      // RetryPolicy settings, or the maximum number of attempts
+      retry: {},
+      // true or a ResponseCache to cache GET responses, false to bypass
+      cache: false,
+      // share identical in-flight GET requests instead of repeating them
+      dedupe: false,
+      // RateLimitRule array or RateLimiter, undefined for no limits
+      rateLimit: undefined,
+      // milliseconds unread results are kept, 0 to keep them until read
+      resultTTL: 0,
+      // number of unread results kept, the oldest being discarded first
+      maxResults: Infinity,
+      // GraphQLOptions of Requester.graphql()
+      graphql: { get: false, persisted: false },
+      // true or an OfflineQueue to save mutating requests that fail for
+      // lack of a connection, false to let them fail
+      offline: false,
+      // true or a CookieJar to keep the cookies of responses, including
+      // those of redirects, and send them with later requests, false to
+      // ignore them
+      cookies: false,
     };
 
     // copy in order to preserve original
-    this._options = { ...this._defaultOptions };
+    this._options = { ...this._defaultOptions, ...options };
+  }
+
+  /**
+   * Create a Requester with its own options, for talking to an API
+   * that needs different settings from the default instance.
+   * @since 0.0.5
+   * @param {Object} [options = {}] - Options of the new instance, as
+   * passed to Requester.setOptions(). Relative URLs passed to its
+   * request methods are resolved against options.baseURL.
+   * @return {Requester} The new instance.
+   */
+  static create(options = {}) {
+    return new this(options);
+  }
+
+  /**
+   * Create a child instance which starts with this instance's options
+   * and middleware. The child has its own IDs and stores its own
+   * responses, and later changes to either instance's options or
+   * middleware do not affect the other.
+   * @since 0.0.5
+   * @param {Object} [overrides = {}] - Options which replace this
+   * instance's options in the child. Headers and params are merged
+   * with this instance's headers and params.
+   * @return {Requester} The child instance.
+   */
+  extend(overrides = {}) {
+    const child = new this.constructor({
+      ...this._options,
+      ...overrides,
+      headers: { ...this._options.headers, ...overrides.headers },
+      params: { ...this._options.params, ...overrides.params },
+    });
+    child._middleware = [...this._middleware];
+
+    return child;
   }
 
   /**
@@ -73,43 +304,293 @@ class Requester {
    * @param {Array} params - Parameters of request. Each request
    * parameter should use two function parameters, the first the name
    * of the parameter and the second it's value. The number of
-   * arguments in params should always be even. If the first parameter is
-   * not a string, return the first parameter.
+   * arguments in params should always be even. Since 0.0.5 an object
+   * of parameters is passed in the params property of RequestOptions
+   * instead.
    * @return {Object} Parameters wrapped into a params object suitable
    * for passing to Requester._request.
    * @throws {UnbalancedParametersError}
    */
   _wrapParams(params) {
-    if (typeof params[0] === "string") {
-      // handle request parameters
-      if (params.length % 2 != 0)
-        throw new UnbalancedParametersError(
-          "Each request parameter must have a parameter name and a value."
+    if (params.length > 0 && typeof params[0] !== "string")
+      throw new UnbalancedParametersError(
+        "Request parameters must be names and values; pass an object of" +
+          " parameters in the params option."
+      );
+    if (params.length % 2 != 0)
+      throw new UnbalancedParametersError(
+        "Each request parameter must have a parameter name and a value."
+      );
+
+    const parameters = {}; // gather params into object
+    for (let i = 0; i < params.length; i += 2)
+      parameters[params[i]] = params[i + 1];
+
+    return parameters;
+  }
+
+  /**
+   * Remove per-request options from the end of variable parameters
+   * @private
+   * @since 0.0.5
+   * @param {Array} params - Parameters of request, as passed to a
+   * request method. If the last element is a plain object following
+   * complete names and values, it is removed from params. Arrays,
+   * Dates, Buffers and other objects are parameter values.
+   * @return {RequestOptions} The removed per-request options, or an
+   * empty object if there were none.
+   * @throws {UnbalancedParametersError} Thrown when the options hold a
+   * property which is not an option, as an object of request
+   * parameters does.
+   */
+  _extractOptions(params) {
+    const last = params[params.length - 1];
+    if (
+      typeof last !== "object" ||
+      last === null ||
+      ![Object.prototype, null].includes(Object.getPrototypeOf(last)) ||
+      // the last value of a name without one is a parameter value
+      params.length % 2 === 0
+    )
+      return {};
+
+    const unknown = Object.keys(last).filter(
+      (name) =>
+        !(name in this._defaultOptions) && !requestOnlyOptions.includes(name)
+    );
+    if (unknown.length > 0)
+      throw new UnbalancedParametersError(
+        `Unknown request options ${unknown.join(", ")}; pass request` +
+          " parameters in the params option."
+      );
+
+    return params.pop();
+  }
+
+  /**
+   * Check that per-request options only hold options which apply to
+   * a single request
+   * @private
+   * @since 0.0.5
+   * @param {RequestOptions} options - The per-request options
+   * @throws {InvalidRequestError} Thrown when options hold an option
+   * which can only be set for the instance, such as transport.
+   */
+  _checkRequestOptions(options) {
+    const instanceOnly = Object.keys(options).filter((name) =>
+      instanceOnlyOptions.includes(name)
+    );
+    if (instanceOnly.length > 0)
+      throw new InvalidRequestError(
+        `Options ${instanceOnly.join(", ")} cannot be set for a single` +
+          " request; set them with Requester.setOptions() or use an" +
+          " instance made with Requester.create()."
+      );
+  }
+
+  /**
+   * Description of one request performed by Requester.batch()
+   * @typedef {Object} BatchRequest
+   * @since 0.0.5
+   * @property {string} url - URL of request
+   * @property {string} [method = "get"] - HTTP method of request
+   * @property {string} [id] - Unique ID of request, used to retrieve
+   * results. Generated with Requester.createUniqueID() if not given.
+   * @property {Object} [data] - Data for POST, PUT, and PATCH requests
+   * @property {Object|Array} [params] - Parameters of request, either
+   * as an object or as an array of names and values
+   * @property {Object} [options] - Per-request options
+   */
+
+  /**
+   * Result of Requester.batch(). Every ID is listed in the same order
+   * as the requests passed to Requester.batch().
+   * @typedef {Object} BatchSummary
+   * @since 0.0.5
+   * @property {Array<string>} ids - IDs of all requests
+   * @property {Array<string>} succeeded - IDs of successful requests
+   * @property {Array<string>} failed - IDs of failed requests
+   * @property {Array<string>} cancelled - IDs of requests cancelled
+   * before completing, including those never started because of
+   * failFast
+   * @property {Array<string>} queued - IDs of requests saved in the
+   * offline queue
+   */
+
+  /**
+   * Perform many requests concurrently and cache their responses. The
+   * responses and errors of the requests are retrieved with
+   * Requester.response() and Requester.error() as usual; a failed
+   * request is never thrown, whatever the throwOnFailure option.
+   * @async
+   * @since 0.0.5
+   * @param {Array<BatchRequest>} requests - Requests to perform
+   * @param {Object} [batchOptions = {}] - Options for the batch
+   * @param {number} [batchOptions.concurrency = Infinity] - Maximum
+   * number of requests in flight at once
+   * @param {boolean} [batchOptions.failFast = false] - If true, cancel
+   * the remaining requests as soon as one fails
+   * @return {BatchSummary} Which requests succeeded and which failed.
+   * @throws {IDInUseError} Thrown before any request is started if an
+   * ID is in use or is given to more than one request.
+   */
+  async batch(requests, { concurrency = Infinity, failFast = false } = {}) {
+    const ids = requests.map((request) =>
+      request.id === undefined ? this.createUniqueID("batch") : request.id
+    );
+    for (const [index, id] of ids.entries())
+      if (
+        id in this._cachedResponses ||
+        id in this._inFlightRequests ||
+        ids.indexOf(id) !== index
+      )
+        throw new IDInUseError(`ID ${id} is already in use`);
+
+    const caller = this; // store this for use in callbacks
+    let next = 0;
+    let stopped = false;
+
+    async function worker() {
+      while (next < requests.length) {
+        const request = requests[next];
+        const id = ids[next++];
+
+        if (stopped) {
+          // never started, so record the cancellation directly
+          caller._storeResult(
+            id,
+            undefined,
+            new RequestCancelledError(`Request with ID ${id} was cancelled.`, {
+              id: id,
+            })
+          );
+          continue;
+        }
+
+        const params = Array.isArray(request.params)
+          ? caller._wrapParams(request.params)
+          : request.params;
+        await caller._request(
+          request.method === undefined ? "get" : request.method,
+          request.url,
+          id,
+          request.data,
+          params,
+          { ...request.options, throwOnFailure: false }
         );
 
-      const parameters = {}; // gather params into object
-      for (let i = 0; i < params.length; i += 2)
-        parameters[params[i]] = params[i + 1];
+        if (failFast && !stopped && caller._cachedErrors[id] !== undefined) {
+          stopped = true;
+          for (const other of ids) caller.cancel(other);
+        }
+      }
+    }
 
-      return parameters;
-    } else {
-      return params[0];
+    const workers = [];
+    for (let i = 0; i < Math.min(concurrency, requests.length); i++)
+      workers.push(worker());
+    await Promise.all(workers);
+
+    const summary = {
+      ids: ids,
+      succeeded: [],
+      failed: [],
+      cancelled: [],
+      queued: [],
+    };
+    for (const id of ids) {
+      const status = this.status(id);
+      if (status in summary) summary[status].push(id);
     }
+
+    return summary;
   }
 
+  /**
+   * Options of a single request, which are merged over the options set
+   * with Requester.setOptions(). Headers and params are merged with the
+   * instance's headers and params, other options replace the
+   * instance's value. The transport, history, rateLimit, resultTTL,
+   * maxResults and cookies options apply to the whole instance and
+   * cannot be set for a single request.
+   * @typedef {Object} RequestOptions
+   * @since 0.0.5
+   * @property {Object} [headers] - Headers of request
+   * @property {Object} [params] - Parameters of request, merged with
+   * any given as name and value arguments
+   * @property {number} [timeout] - Milliseconds to wait before
+   * aborting the request, 0 to wait forever
+   * @property {boolean} [throwOnFailure] - Throw the error of a failed
+   * request instead of only caching it
+   * @property {string} [responseType] - Type of response data, one of
+   * "arraybuffer", "blob", "document", "json", "text" or "stream"
+   * @property {AuthStrategy|Object} [auth] - Authentication strategy,
+   * such as a BearerAuth or RefreshableTokenAuth, or credentials for
+   * HTTP basic authentication with username and password properties
+   * @property {RetryPolicy|number} [retry] - Retry settings
+   * @property {boolean|ResponseCache} [cache] - Cache settings
+   * @property {boolean} [dedupe] - If true, a GET request identical to
+   * one already in flight with dedupe set waits for that request's
+   * response instead of being sent again
+   * @property {ResponseExpectations} [expect] - Expectations the
+   * response must meet, or it fails with a ResponseValidationError
+   * @property {string|Writable} [download] - File path or writable
+   * stream the response data is streamed to, see Requester.download()
+   * @property {Function} [onProgress] - Function called with a
+   * ProgressEvent as the request is uploaded and its response
+   * downloaded
+   * @property {GraphQLOptions} [graphql] - Settings of
+   * Requester.graphql(), merged with the instance's settings
+   */
+
   /**
    * Perform an HTTP DELETE request and cache response
    * @async
    * @since 0.0.3
    * @param {string} url - URL of request
    * @param {string} id - Unique ID of request, used to retrieve results
-   * @param {...string} params - Parameters of request. Each request
-   * parameter should use two function parameters, the first the name
-   * of the parameter and the second it's value. The number of
-   * arguments in params should always be even.
+   * @param {...(string|RequestOptions)} params - Parameters of
+   * request. Each request parameter should use two function
+   * parameters, the first the name of the parameter and the second
+   * it's value. The number of parameter arguments should always be
+   * even. They may be followed by a RequestOptions object.
    */
   async delete(url, id, ...params) {
-    await this._request("delete", url, id, undefined, this._wrapParams(params));
+    const options = this._extractOptions(params);
+    await this._request(
+      "delete",
+      url,
+      id,
+      undefined,
+      this._wrapParams(params),
+      options
+    );
+  }
+
+  /**
+   * Perform an HTTP GET request, streaming the response to a file or
+   * writable stream instead of keeping it in memory. Only available
+   * under Node. The cached response's data holds the destination and
+   * the number of bytes written. The body of a failed download is
+   * closed unread, so the body of its error is a closed stream.
+   * @async
+   * @since 0.0.5
+   * @param {string} url - URL of request
+   * @param {string} id - Unique ID of request, used to retrieve results
+   * @param {string|Writable} destination - Path of the file, which is
+   * created or replaced, or a writable stream, which is not ended
+   * @param {...(string|RequestOptions)} params - Parameters of
+   * request. Each request parameter should use two function
+   * parameters, the first the name of the parameter and the second
+   * it's value. The number of parameter arguments should always be
+   * even. They may be followed by a RequestOptions object.
+   */
+  async download(url, id, destination, ...params) {
+    const options = this._extractOptions(params);
+    await this._request("get", url, id, undefined, this._wrapParams(params), {
+      ...options,
+      download: destination,
+    });
   }
 
   /**
@@ -118,13 +599,121 @@ class Requester {
    * @since 0.0.1
    * @param {string} url - URL of request
    * @param {string} id - Unique ID of request, used to retrieve results
-   * @param {...string} params - Parameters of request. Each request
-   * parameter should use two function parameters, the first the name
-   * of the parameter and the second it's value. The number of
-   * arguments in params should always be even.
+   * @param {...(string|RequestOptions)} params - Parameters of
+   * request. Each request parameter should use two function
+   * parameters, the first the name of the parameter and the second
+   * it's value. The number of parameter arguments should always be
+   * even. They may be followed by a RequestOptions object.
    */
   async get(url, id, ...params) {
-    await this._request("get", url, id, undefined, this._wrapParams(params));
+    const options = this._extractOptions(params);
+    await this._request(
+      "get",
+      url,
+      id,
+      undefined,
+      this._wrapParams(params),
+      options
+    );
+  }
+
+  /**
+   * Settings of requests made with Requester.graphql()
+   * @typedef {Object} GraphQLOptions
+   * @since 0.0.5
+   * @property {boolean} [get = false] - Send queries as GET requests,
+   * with the query, variables and operation name as parameters, so
+   * that they can be cached. Mutations are always sent with POST.
+   * @property {boolean} [persisted = false] - Send the SHA-256 hash of
+   * the query instead of the query, as automatic persisted queries do,
+   * sending the query only when the server does not know the hash yet
+   */
+
+  /**
+   * Perform a GraphQL request and cache response. The data of the
+   * response is the data of the GraphQL result, and a result holding
+   * errors fails with a GraphQLError.
+   * @async
+   * @since 0.0.5
+   * @param {string} url - URL of the GraphQL endpoint
+   * @param {string} id - Unique ID of request, used to retrieve results
+   * @param {string} query - GraphQL document
+   * @param {Object} [variables = {}] - Values of the document's
+   * variables
+   * @param {RequestOptions} [options = {}] - Options of the request,
+   * which may also hold operationName, the name of the operation to
+   * perform when query holds several
+   */
+  async graphql(url, id, query, variables = {}, options = {}) {
+    const { operationName, ...requestOptions } = options;
+    const settings = { ...this._options.graphql, ...options.graphql };
+    const get = settings.get && operationType(query, operationName) === "query";
+
+    const operation = { variables: variables };
+    if (operationName !== undefined) operation.operationName = operationName;
+    if (settings.persisted)
+      operation.extensions = {
+        persistedQuery: { version: 1, sha256Hash: await queryHash(query) },
+      };
+    else operation.query = query;
+
+    await this._request(
+      get ? "get" : "post",
+      url,
+      id,
+      get ? undefined : operation,
+      get ? operation : {},
+      // graphQLQuery marks the request as a GraphQL request
+      { ...requestOptions, graphQLQuery: query }
+    );
+  }
+
+  /**
+   * Perform an HTTP HEAD request and cache response
+   * @async
+   * @since 0.0.5
+   * @param {string} url - URL of request
+   * @param {string} id - Unique ID of request, used to retrieve results
+   * @param {...(string|RequestOptions)} params - Parameters of
+   * request. Each request parameter should use two function
+   * parameters, the first the name of the parameter and the second
+   * it's value. The number of parameter arguments should always be
+   * even. They may be followed by a RequestOptions object.
+   */
+  async head(url, id, ...params) {
+    const options = this._extractOptions(params);
+    await this._request(
+      "head",
+      url,
+      id,
+      undefined,
+      this._wrapParams(params),
+      options
+    );
+  }
+
+  /**
+   * Perform an HTTP OPTIONS request and cache response
+   * @async
+   * @since 0.0.5
+   * @param {string} url - URL of request
+   * @param {string} id - Unique ID of request, used to retrieve results
+   * @param {...(string|RequestOptions)} params - Parameters of
+   * request. Each request parameter should use two function
+   * parameters, the first the name of the parameter and the second
+   * it's value. The number of parameter arguments should always be
+   * even. They may be followed by a RequestOptions object.
+   */
+  async options(url, id, ...params) {
+    const options = this._extractOptions(params);
+    await this._request(
+      "options",
+      url,
+      id,
+      undefined,
+      this._wrapParams(params),
+      options
+    );
   }
 
   /**
@@ -134,13 +723,22 @@ class Requester {
    * @param {string} url - URL of request
    * @param {string} id - Unique ID of request, used to retrieve results
    * @param {Object} data - Data for request.
-   * @param {...string} params - Parameters of request. Each request
-   * parameter should use two function parameters, the first the name
-   * of the parameter and the second it's value. The number of
-   * arguments in params should always be even.
+   * @param {...(string|RequestOptions)} params - Parameters of
+   * request. Each request parameter should use two function
+   * parameters, the first the name of the parameter and the second
+   * it's value. The number of parameter arguments should always be
+   * even. They may be followed by a RequestOptions object.
    */
   async patch(url, id, data, ...params) {
-    await this._request("patch", url, id, data, this._wrapParams(params));
+    const options = this._extractOptions(params);
+    await this._request(
+      "patch",
+      url,
+      id,
+      data,
+      this._wrapParams(params),
+      options
+    );
   }
 
   /**
@@ -150,29 +748,352 @@ class Requester {
    * @param {string} url - URL of request
    * @param {string} id - Unique ID of request, used to retrieve results
    * @param {Object} data - Data for request.
-   * @param {...string} params - Parameters of request. Each request
-   * parameter should use two function parameters, the first the name
-   * of the parameter and the second it's value. The number of
-   * arguments in params should always be even.
+   * @param {...(string|RequestOptions)} params - Parameters of
+   * request. Each request parameter should use two function
+   * parameters, the first the name of the parameter and the second
+   * it's value. The number of parameter arguments should always be
+   * even. They may be followed by a RequestOptions object.
    */
   async post(url, id, data, ...params) {
-    await this._request("post", url, id, data, this._wrapParams(params));
+    const options = this._extractOptions(params);
+    await this._request(
+      "post",
+      url,
+      id,
+      data,
+      this._wrapParams(params),
+      options
+    );
   }
 
   /**
-   * Perform an HTTP PUSH request and cache response
+   * Perform an HTTP PUT request. Deprecated alias of Requester.put().
    * @async
    * @since 0.0.3
+   * @deprecated Since 0.0.5, use Requester.put() instead. Will be
+   * removed in 1.0.0.
    * @param {string} url - URL of request
    * @param {string} id - Unique ID of request, used to retrieve results
    * @param {Object} data - Data for request.
-   * @param {...string} params - Parameters of request. Each request
-   * parameter should use two function parameters, the first the name
-   * of the parameter and the second it's value. The number of
-   * arguments in params should always be even.
+   * @param {...(string|RequestOptions)} params - Parameters of
+   * request. Each request parameter should use two function
+   * parameters, the first the name of the parameter and the second
+   * it's value. The number of parameter arguments should always be
+   * even. They may be followed by a RequestOptions object.
    */
   async push(url, id, data, ...params) {
-    await this._request("push", url, id, data, this._wrapParams(params));
+    await this.put(url, id, data, ...params);
+  }
+
+  /**
+   * Perform an HTTP PUT request and cache response
+   * @async
+   * @since 0.0.5
+   * @param {string} url - URL of request
+   * @param {string} id - Unique ID of request, used to retrieve results
+   * @param {Object} data - Data for request.
+   * @param {...(string|RequestOptions)} params - Parameters of
+   * request. Each request parameter should use two function
+   * parameters, the first the name of the parameter and the second
+   * it's value. The number of parameter arguments should always be
+   * even. They may be followed by a RequestOptions object.
+   */
+  async put(url, id, data, ...params) {
+    const options = this._extractOptions(params);
+    await this._request(
+      "put",
+      url,
+      id,
+      data,
+      this._wrapParams(params),
+      options
+    );
+  }
+
+  /**
+   * Request the pages of a paginated GET endpoint one after another.
+   * Each page is requested with the instance's options, and the
+   * iterator throws the error of a page that fails, whatever the
+   * throwOnFailure option.
+   * @async
+   * @generator
+   * @since 0.0.5
+   * @param {string} url - URL of the first page
+   * @param {Object} [options = {}] - Pagination options. Options not
+   * listed here are passed to the strategy's constructor, such as
+   * cursor and param for "cursor", or param, start, sizeParam and size
+   * for "page" and "offset".
+   * @param {string|PaginationStrategy} [options.strategy = "link"] -
+   * "link" to follow Link rel="next" headers, "cursor" to send a cursor
+   * from each page's data, "page" to count page numbers, "offset" to
+   * count items, or a custom strategy
+   * @param {Object} [options.params = {}] - Parameters of the first
+   * request
+   * @param {string|Function} [options.items] - Dotted path of the items
+   * array in each page's data, or function returning it when called
+   * with the data. If given, the iterator yields items instead of
+   * pages.
+   * @param {number} [options.maxPages = Infinity] - Maximum number of
+   * pages requested
+   * @param {RequestOptions} [options.requestOptions = {}] - Options of
+   * each page's request
+   * @yields {Object} The response of each page, or each item if
+   * options.items is given.
+   * @throws {Error} The error of a page whose request failed.
+   */
+  async *paginate(url, options = {}) {
+    const {
+      strategy = "link",
+      params = {},
+      items,
+      maxPages = Infinity,
+      requestOptions = {},
+    } = options;
+    const pagination = createStrategy(strategy, options);
+
+    let current = pagination.first(url, params);
+    for (let page = 1; current !== undefined && page <= maxPages; page++) {
+      const id = this.createUniqueID("page");
+      await this._request("get", current.url, id, undefined, current.params, {
+        ...requestOptions,
+        throwOnFailure: false,
+      });
+      const response = this.response(id);
+      if (response === undefined) throw this.error(id);
+
+      const pageItems =
+        items === undefined ? undefined : pluck(response.data, items);
+      if (items === undefined) yield response;
+      else if (Array.isArray(pageItems)) yield* pageItems;
+
+      current = pagination.next(response, pageItems, current);
+    }
+  }
+
+  /**
+   * Subscribe to a text/event-stream endpoint with a GET request made
+   * with the instance's headers, parameters, auth and middleware. Its
+   * events are passed to options.onMessage and to loops reading the
+   * returned Subscription. When the stream ends or the connection
+   * fails, the request is made again after a delay, sending the ID of
+   * the last event received as its Last-Event-ID header. The
+   * subscription ends when it is cancelled with Requester.cancel() or
+   * Requester.unsubscribe(), when the server answers with status 204,
+   * or when a request fails for any other reason than a network or
+   * server error, or when options.onMessage throws, its result then
+   * being retrieved with Requester.response() or Requester.error() as
+   * for other requests. The timeout option does not apply.
+   * @since 0.0.5
+   * @param {string} url - URL of the event stream
+   * @param {string} id - Unique ID of the subscription, used to cancel
+   * it and retrieve its result
+   * @param {Object} [options = {}] - Subscription options. Options not
+   * listed here are RequestOptions of every request of the
+   * subscription.
+   * @param {Function} [options.onMessage] - Function called with each
+   * ServerSentEvent. An error it throws ends the subscription with
+   * that error.
+   * @param {number} [options.reconnectDelay = 3000] - Milliseconds to
+   * wait before reconnecting, until the stream sets its own with a
+   * retry field
+   * @param {number} [options.maxReconnects = Infinity] - Number of
+   * reconnections made in a row without receiving an event stream
+   * before the subscription fails
+   * @param {string} [options.lastEventID = ""] - Last-Event-ID header
+   * of the first request, to resume an earlier subscription
+   * @return {Subscription} The subscription.
+   */
+  subscribe(url, id, options = {}) {
+    const {
+      onMessage,
+      reconnectDelay = 3000,
+      maxReconnects = Infinity,
+      lastEventID = "",
+      ...requestOptions
+    } = options;
+    this._checkRequestOptions(requestOptions);
+    const settings = {
+      ...this._options,
+      ...requestOptions,
+      headers: { ...this._options.headers, ...requestOptions.headers },
+      params: { ...this._options.params, ...requestOptions.params },
+    };
+    const config = {
+      method: "get",
+      params: settings.params,
+      url: this._resolveURL(url, settings.baseURL),
+      headers: settings.headers,
+      responseType: "stream",
+    };
+
+    // id cannot be in use
+    if (
+      id in this._cachedResponses ||
+      id in this._inFlightRequests ||
+      this._queuedIDs.has(id)
+    )
+      throw new IDInUseError(`ID ${id} is already in use`);
+
+    const caller = this; // store this for use in callbacks
+    const subscription = new Subscription(id, () => this.unsubscribe(id));
+    subscription.lastEventID = lastEventID;
+    this._subscriptions[id] = subscription;
+
+    const controller = new AbortController();
+    this._controllers[id] = controller;
+    const request = {
+      id: id,
+      signal: controller.signal,
+      authOption: settings.auth,
+      auth: createAuth(settings.auth),
+      host: hostOf(config.url),
+      started: new Date(),
+    };
+    this._metrics.started(request.host);
+    this._emit("request", { id: id, method: "get", url: config.url });
+
+    this._inFlightRequests[id] = this._listen(config, request, subscription, {
+      onMessage: onMessage,
+      reconnectDelay: reconnectDelay,
+      maxReconnects: maxReconnects,
+    })
+      .then(
+        function (response) {
+          caller._completed(request, config, response, undefined);
+          return [response, undefined];
+        },
+        function (error) {
+          // errors are wrapped by _listen, except those of onMessage
+          caller._completed(request, config, undefined, error);
+          return [undefined, error];
+        }
+      )
+      .then(function ([response, error]) {
+        // the result is stored before loops reading the subscription end
+        delete caller._controllers[id];
+        delete caller._inFlightRequests[id];
+        delete caller._subscriptions[id];
+        caller._storeResult(id, response, error);
+        subscription._end(error);
+      });
+
+    return subscription;
+  }
+
+  /**
+   * Read an event stream, reconnecting until the subscription ends
+   * @async
+   * @private
+   * @since 0.0.5
+   * @param {Object} config - axios configuration of the requests
+   * @param {Object} request - State of the subscription
+   * @param {Subscription} subscription - The subscription
+   * @param {Object} options - onMessage, reconnectDelay and
+   * maxReconnects options of the subscription
+   * @return {Object} The response which ended the subscription, with
+   * status 204.
+   * @throws {Error} The error which ended the subscription, wrapped by
+   * Requester._wrapError(), the error thrown by options.onMessage, as
+   * it is, or the reason its signal was aborted.
+   */
+  async _listen(config, request, subscription, options) {
+    const { signal } = request;
+    let delay = options.reconnectDelay;
+    for (let failures = 0; ; ) {
+      const headers = {
+        ...config.headers,
+        Accept: "text/event-stream",
+        "Cache-Control": "no-cache",
+      };
+      if (subscription.lastEventID !== "")
+        headers["Last-Event-ID"] = subscription.lastEventID;
+      const context = {
+        id: request.id,
+        config: { ...config, headers: headers },
+        signal: signal,
+        requester: this,
+      };
+
+      let error;
+      let messageError;
+      try {
+        const response = await this._runMiddleware(context, (config) =>
+          this._sendAuthenticated(config, request)
+        );
+        if (response.status === 204) {
+          discardStream(response.data);
+          return { ...response, data: undefined };
+        }
+
+        const contentType = (response.headers || {})["content-type"] || "";
+        if (!/^text\/event-stream\b/i.test(contentType)) {
+          discardStream(response.data);
+          throw new ParseError(
+            `Response to request with ID ${request.id} is not an event stream.`,
+            {
+              id: request.id,
+              method: context.config.method,
+              url: context.config.url,
+              status: response.status,
+              statusText: response.statusText,
+              headers: response.headers,
+            }
+          );
+        }
+        failures = 0;
+
+        const decoder = new TextDecoder();
+        const parser = new EventStreamParser(subscription.lastEventID);
+        // not every transport ends the stream when its request is aborted
+        const close = () => discardStream(response.data);
+        signal.addEventListener("abort", close);
+        try {
+          for await (const chunk of readChunks(response.data)) {
+            for (const event of parser.push(
+              decoder.decode(chunk, { stream: true })
+            )) {
+              subscription.lastEventID = event.id;
+              subscription._deliver(event);
+              if (typeof options.onMessage === "function")
+                try {
+                  options.onMessage(event);
+                } catch (error) {
+                  messageError = error;
+                  throw error;
+                }
+            }
+            // an id field without data still counts for reconnecting
+            subscription.lastEventID = parser.lastEventID;
+            if (parser.retry !== undefined) delay = parser.retry;
+          }
+        } finally {
+          signal.removeEventListener("abort", close);
+        }
+      } catch (caught) {
+        // the body of a failing response is a stream nobody reads
+        discardStream(caught.body);
+        if (signal.aborted) throw signal.reason;
+        // errors of onMessage end the subscription as they are
+        if (caught === messageError) throw caught;
+        error = this._wrapError(caught, context.config, request.id);
+        if (!(error instanceof NetworkError || error instanceof ServerError))
+          throw error;
+        if (++failures > options.maxReconnects) throw error;
+      }
+      if (signal.aborted) throw signal.reason;
+
+      this._metrics.retried(request.host);
+      this._emit("retry", {
+        id: request.id,
+        method: config.method,
+        url: config.url,
+        status: error === undefined ? undefined : error.status,
+        attempt: failures + 1,
+        delay: delay,
+        error: error,
+      });
+      await this._sleep(delay, signal);
+    }
   }
 
   /**
@@ -186,43 +1107,155 @@ class Requester {
    * @param {string} id - Unique ID of request, used to retrieve results
    * @param {Object} data - Data for POST, PUT, and PATCH
    * requests. Ignored for GET requests.
-   * @param {Object} params - Parameters of request. Each request
-   * parameter should use two function parameters, the first the name
-   * of the parameter and the second it's value. The number of
-   * arguments in params should always be even.
+   * @param {Object} params - Parameters of request, as returned by
+   * Requester._wrapParams().
+   * @param {RequestOptions} [options = {}] - Per-request options,
+   * which are merged over the options set with Requester.setOptions().
+   * @throws {InvalidRequestError} Thrown when options hold an option
+   * which can only be set for the instance.
    */
-  async _request(method, url, id, data, headers, params) {
+  async _request(method, url, id, data, params, options = {}) {
+    this._checkRequestOptions(options);
+    const settings = {
+      ...this._options,
+      ...options,
+      headers: { ...this._options.headers, ...options.headers },
+      params: { ...this._options.params, ...options.params, ...params },
+    };
     const config = {
       method: method,
-      params: params,
-      url: url,
+      params: settings.params,
+      url: this._resolveURL(url, settings.baseURL),
       data: data,
-      headers: this.options.headers,
+      headers: settings.headers,
+      responseType:
+        settings.download === undefined ? settings.responseType : "stream",
+      // only called by transports able to report progress, see also
+      // Requester._prepareBody() and Requester._saveDownload()
+      onUploadProgress: (event) =>
+        this._progress(id, settings, "upload", event.loaded, event.total),
+      onDownloadProgress: (event) =>
+        this._progress(id, settings, "download", event.loaded, event.total),
     };
+    if (settings.expect !== undefined && settings.expect.status !== undefined)
+      // let allowed statuses reach validation instead of failing
+      config.validateStatus = (status) =>
+        (status >= 200 && status < 300) ||
+        statusAllowed(settings.expect.status, status);
 
     // id cannot be in use
-    if (id in this._cachedResponses || id in this._inFlightRequests)
+    if (
+      id in this._cachedResponses ||
+      id in this._inFlightRequests ||
+      this._queuedIDs.has(id)
+    )
       throw new IDInUseError(`ID ${id} is already in use`);
 
+    const controller = new AbortController();
+    this._controllers[id] = controller;
+    let timer;
+    if (settings.timeout > 0)
+      timer = setTimeout(function () {
+        controller.abort(
+          new TimeoutError(
+            `Request with ID ${id} timed out after ${settings.timeout}ms.`
+          )
+        );
+      }, settings.timeout);
+
     const caller = this; // store this for use in callbacks
+    const request = {
+      id: id,
+      signal: controller.signal,
+      policy: this._retryPolicy(this._options.retry, options.retry),
+      cache: settings.cache,
+      dedupe: settings.dedupe,
+      graphQLQuery: settings.graphQLQuery,
+      offline: settings.offline,
+      // QueuedRequest saved if the request fails for lack of a
+      // connection
+      queued:
+        settings.queuedRequest !== undefined
+          ? settings.queuedRequest
+          : {
+              id: id,
+              method: method,
+              url: config.url,
+              data: data,
+              params: { ...options.params, ...params },
+              headers: { ...options.headers },
+              graphQLQuery: settings.graphQLQuery,
+              options: Object.fromEntries(
+                Object.entries(options).filter(
+                  ([name]) => !unqueuedOptions.includes(name)
+                )
+              ),
+            },
+      authOption: settings.auth,
+      auth: createAuth(settings.auth),
+      host: hostOf(config.url),
+      started: new Date(),
+    };
+    const context = {
+      id: id,
+      config: config,
+      signal: controller.signal,
+      requester: this,
+    };
+    this._metrics.started(request.host);
+    this._emit("request", { id: id, method: method, url: config.url });
+
+    const send = (config) =>
+      request.dedupe && config.method.toLowerCase() === "get"
+        ? this._sendShared(config, request)
+        : this._sendCached(config, request);
+
     // cache id with promise
-    this._inFlightRequests[id] = axios
-      .request(config)
+    this._inFlightRequests[id] = this._prepareBody(config, settings, id)
+      .then(() =>
+        this._runMiddleware(context, (config) =>
+          request.graphQLQuery === undefined
+            ? send(config)
+            : this._sendGraphQL(config, request.graphQLQuery, send)
+        )
+      )
+      .then((response) =>
+        settings.download === undefined
+          ? response
+          : this._saveDownload(response, settings, request)
+      )
+      .then((response) =>
+        request.graphQLQuery === undefined
+          ? response
+          : this._graphQLResult(id, response)
+      )
+      .then((response) => this._validate(id, response, settings.expect))
       // on success, set error to undefined, on failure set response to
       // undefined
       .then(function (response) {
-        caller._cachedResponses[id] = response;
-        caller._cachedErrors[id] = undefined;
+        caller._completed(request, context.config, response, undefined);
+        caller._storeResult(id, response, undefined);
+        // a response shows the connection is back
+        if (caller._queuedIDs.size > 0) caller.flushQueue().catch(() => {});
       })
-      .catch(function (error) {
-        caller._cachedResponses[id] = undefined;
-        caller._cachedErrors[id] = error;
+      .catch(async function (error) {
+        error = caller._wrapError(error, context.config, id);
+        // the body of a failed download is a stream nobody reads
+        if (settings.download !== undefined) discardStream(error.body);
+        caller._completed(request, context.config, undefined, error);
+        // its result is stored once it is sent again
+        if (await caller._saveOffline(request, error)) return;
+        caller._storeResult(id, undefined, error);
         // throw error if set in options
-        if (caller._options.throwOnFailure) {
+        if (settings.throwOnFailure) {
           // control flow will never reach end of function if thrown
           delete caller._inFlightRequests[id];
           throw error;
         }
+      })
+      .finally(function () {
+        clearTimeout(timer);
+        delete caller._controllers[id];
       });
     await this._inFlightRequests[id];
 
@@ -231,86 +1264,1687 @@ class Requester {
   }
 
   /**
-   * Check if an ID is invalid or in-flight and throw any appropriate
-   * errors.
+   * Progress of the upload or download of a request, passed to the
+   * onProgress option and "progress" event listeners
+   * @typedef {Object} ProgressEvent
+   * @since 0.0.5
+   * @property {string} id - ID of the request
+   * @property {string} direction - "upload" or "download"
+   * @property {number} loaded - Bytes transferred so far
+   * @property {number} [total] - Bytes to transfer, if known
+   */
+
+  /**
+   * Report the progress of a request to its onProgress option and the
+   * "progress" event listeners
    * @private
-   * @since 0.0.1
-   * @param {string} id - Id to check for errors
-   * @throws {RequestNotCompleteError} Thrown when a response is requested
-   * from an in-flight request.
-   * @throws {InvalidRequestError} Thrown when an ID does not exist. Caused
-   * by a request never having been made or already having been
-   * retrieved. Retrieved requests are deleted from the cache
-   * to prevent a memory leak on long running apps.
+   * @since 0.0.5
+   * @param {string} id - ID of the request
+   * @param {Object} settings - Options of the request
+   * @param {string} direction - "upload" or "download"
+   * @param {number} loaded - Bytes transferred so far
+   * @param {number} [total] - Bytes to transfer, if known
    */
-  _responseErrorChecker(id) {
-    if (id in this._inFlightRequests)
-      throw new RequestNotCompleteError(
-        `Request with ID ${id} has not completed.`
-      );
-    if (!(id in this._cachedResponses) && !(id in this._inFlightRequests))
-      throw new InvalidRequestError(
-        `Request with ID ${id}` +
-          " has already been retrieved or was never created."
-      );
+  _progress(id, settings, direction, loaded, total) {
+    const event = {
+      id: id,
+      direction: direction,
+      loaded: loaded,
+      total: total,
+    };
+    if (typeof settings.onProgress === "function") settings.onProgress(event);
+    this._emit("progress", event);
   }
 
   /**
-   * Retrieve an error based on it's ID
-   * @since 0.0.1
-   * @param {string} id - The ID passed into the HTTP request when it
-   * was created
-   * @return {Object} The error returned. Will be set to undefined
-   * if the request succeeded.
-   * @throws {RequestNotCompleteError} Thrown when a response is requested
-   * from an in-flight request.
-   * @throws {InvalidRequestError} Thrown when an ID does not exist. Caused
-   * by a request never having been made or already having been
-   * retrieved. Retrieved requests are deleted from the cache
-   * to prevent a memory leak on long running apps.
+   * Turn a FormBody passed as request data into data the transport can
+   * send, setting its Content-Type and Content-Length headers
+   * @async
+   * @private
+   * @since 0.0.5
+   * @param {Object} config - axios configuration of the request, which
+   * is changed
+   * @param {Object} settings - Options of the request
+   * @param {string} id - ID of the request
    */
-  error(id) {
-    // check for errors
-    this._responseErrorChecker(id);
+  async _prepareBody(config, settings, id) {
+    const body = config.data;
+    if (!(body instanceof FormBody)) return;
 
-    if (this._cachedErrors[id] === undefined)
-      // do not delete until the response is retrieved
-      return undefined;
-
-    const errorReturned = this._cachedErrors[id];
-    delete this._cachedErrors[id];
-    delete this._cachedResponses[id];
-    return errorReturned;
+    const length = body.length;
+    config.data = await body.toData((loaded) =>
+      this._progress(id, settings, "upload", loaded, length)
+    );
+    config.headers = { "Content-Type": body.contentType, ...config.headers };
+    // browsers set the Content-Length of a Blob themselves
+    if (
+      length !== undefined &&
+      !(typeof Blob !== "undefined" && config.data instanceof Blob)
+    )
+      config.headers["Content-Length"] = String(length);
   }
 
   /**
-   * Retrieve a response based on it's ID
-   * @since 0.0.0
-   * @param {string} id - The ID passed into the HTTP request when it
-   * was created
-   * @return {Object} The response returned. Will be set to undefined
-   * if the request failed.
-   * @throws {RequestNotCompleteError} Thrown when a response is requested
-   * from an in-flight request.
-   * @throws {InvalidRequestError} Thrown when an ID does not exist. Caused
-   * by a request never having been made or already having been
-   * retrieved. Retrieved requests are deleted from the cache
-   * to prevent a memory leak on long running apps.
+   * Stream the data of a response to the download option's destination
+   * @async
+   * @private
+   * @since 0.0.5
+   * @param {Object} response - Response of the request, with a stream
+   * as its data
+   * @param {Object} settings - Options of the request
+   * @param {Object} request - State of the request
+   * @return {Object} response, with data holding the destination and
+   * the number of bytes written.
    */
-  response(id) {
-    // check for errors
-    this._responseErrorChecker(id);
+  async _saveDownload(response, settings, request) {
+    const header = (response.headers || {})["content-length"];
+    const total = header === undefined ? undefined : Number(header);
+    let bytes;
+    try {
+      bytes = await saveTo(response.data, settings.download, {
+        signal: request.signal,
+        onProgress: (loaded) =>
+          this._progress(request.id, settings, "download", loaded, total),
+      });
+    } catch (error) {
+      // release the connection of a download that stopped part way
+      discardStream(response.data);
+      throw error;
+    }
 
-    if (this._cachedResponses[id] === undefined)
-      // do not delete until the error is retrieved
-      return undefined;
+    return {
+      ...response,
+      data: { destination: settings.download, bytes: bytes },
+    };
+  }
 
-    const response = this._cachedResponses[id];
-    delete this._cachedErrors[id];
-    delete this._cachedResponses[id];
+  /**
+   * Send a GraphQL request, sending the query again with a persisted
+   * query's hash if the server does not know the hash
+   * @async
+   * @private
+   * @since 0.0.5
+   * @param {Object} config - axios configuration of the request
+   * @param {string} query - GraphQL document of the request
+   * @param {Function} send - Function sending a configuration and
+   * returning a promise of its response
+   * @return {Object} The response.
+   */
+  async _sendGraphQL(config, query, send) {
+    const get = config.method.toLowerCase() === "get";
+    const operation = get ? config.params : config.data;
+    if (operation.query !== undefined) return send(config);
+
+    let response;
+    try {
+      response = await send(config);
+    } catch (error) {
+      if (!persistedQueryNotFound(error.body)) throw error;
+    }
+    if (response !== undefined && !persistedQueryNotFound(response.data))
+      return response;
+
+    // the server does not know the hash yet, so register the query
+    const registered = { ...operation, query: query };
+    return send(
+      get ? { ...config, params: registered } : { ...config, data: registered }
+    );
+  }
+
+  /**
+   * Unwrap the data of a GraphQL result
+   * @private
+   * @since 0.0.5
+   * @param {string} id - ID of the request
+   * @param {Object} response - Response of the request
+   * @return {Object} response, with the data of the result as its data.
+   * @throws {GraphQLError} Thrown when the result holds errors.
+   * @throws {ParseError} Thrown when the response is not a GraphQL
+   * result.
+   */
+  _graphQLResult(id, response) {
+    const result = response.data;
+    const details = {
+      id: id,
+      method: response.config.method,
+      url: response.config.url,
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+      body: result,
+    };
+    if (result === null || typeof result !== "object")
+      throw new ParseError(
+        `Response to request with ID ${id} is not a GraphQL result.`,
+        details
+      );
+    if (Array.isArray(result.errors) && result.errors.length > 0)
+      throw new GraphQLError(
+        `Request with ID ${id} failed with GraphQL errors: ` +
+          result.errors.map((error) => error.message).join("; "),
+        result.errors,
+        details
+      );
+
+    return { ...response, data: result.data };
+  }
+
+  /**
+   * Check a response against the expect option
+   * @private
+   * @since 0.0.5
+   * @param {string} id - ID of the request
+   * @param {Object} response - Response of the request
+   * @param {ResponseExpectations} [expect] - Value of the expect option
+   * @return {Object} response, if it meets the expectations.
+   * @throws {ResponseValidationError} Thrown when the response does not
+   * meet the expectations, listing every failure.
+   */
+  _validate(id, response, expect) {
+    if (expect === undefined) return response;
+
+    const failures = validateResponse(response, expect);
+    if (failures.length > 0)
+      throw new ResponseValidationError(
+        `Response to request with ID ${id} failed validation: ` +
+          failures
+            .map((failure) => `${failure.path} ${failure.message}`)
+            .join("; "),
+        failures,
+        {
+          id: id,
+          method: response.config.method,
+          url: response.config.url,
+          status: response.status,
+          statusText: response.statusText,
+          headers: response.headers,
+          body: response.data,
+        }
+      );
+
+    return response;
+  }
+
+  /**
+   * Record the outcome of a request in the statistics and history, and
+   * emit its response or error event
+   * @private
+   * @since 0.0.5
+   * @param {Object} request - State of the request
+   * @param {Object} config - Final axios configuration of the request
+   * @param {Object} [response] - Response, if the request succeeded
+   * @param {Error} [error] - Error, if the request failed
+   */
+  _completed(request, config, response, error) {
+    const duration = Date.now() - request.started.getTime();
+    if (response === undefined && error.status !== undefined)
+      response = {
+        status: error.status,
+        statusText: error.statusText,
+        headers: error.headers,
+        data: error.body,
+      };
+    const details = {
+      id: request.id,
+      method: config.method,
+      url: config.url,
+      status: response === undefined ? undefined : response.status,
+      duration: duration,
+    };
+
+    if (error === undefined) {
+      this._metrics.completed(request.host, "succeeded", duration);
+      this._emit("response", { ...details, cached: response.cached === true });
+    } else {
+      this._metrics.completed(
+        request.host,
+        // timeouts are failures, as in Requester.status()
+        error instanceof RequestCancelledError ? "cancelled" : "failed",
+        duration
+      );
+      this._emit("error", { ...details, error: error });
+    }
+
+    if (this._options.history > 0) {
+      this._history.push({
+        id: request.id,
+        started: request.started,
+        duration: duration,
+        request: {
+          method: config.method,
+          url: config.url,
+          params: config.params,
+          headers: config.headers,
+          data: config.data,
+        },
+        response:
+          response === undefined
+            ? undefined
+            : {
+                status: response.status,
+                statusText: response.statusText,
+                headers: response.headers,
+                data: response.data,
+              },
+        error: error,
+      });
+      if (this._history.length > this._options.history)
+        this._history.splice(0, this._history.length - this._options.history);
+    }
+  }
+
+  /**
+   * Perform a request through the transport option that can be
+   * aborted
+   * @async
+   * @private
+   * @since 0.0.5
+   * @param {Object} config - axios request configuration
+   * @param {Object} request - State of the request, holding its id and
+   * the AbortSignal which aborts it
+   * @return {TransportResponse} The response.
+   * @throws {RequestError} An HTTPError if validateStatus rejects the
+   * status of the response, the error of the transport wrapped in a
+   * RequestError, or the reason the signal was aborted if it was
+   * aborted before the request completed.
+   */
+  async _send(config, request) {
+    const transport = createTransport(this._options.transport);
+    const jar = this.cookieJar();
+
+    const limiter = this._limiter();
+    const release =
+      limiter === undefined
+        ? undefined
+        : await limiter.acquire(config.url, request.signal, (depth) =>
+            this._emit("queued", {
+              id: request.id,
+              method: config.method,
+              url: config.url,
+              depth: depth,
+            })
+          );
+
+    let response;
+    try {
+      response = await (jar === undefined
+        ? transport.request({ ...config, signal: request.signal })
+        : this._sendWithCookies(transport, jar, config, request.signal));
+    } catch (error) {
+      throw this._wrapError(
+        request.signal.aborted ? request.signal.reason : error,
+        config,
+        request.id
+      );
+    } finally {
+      if (release !== undefined) release();
+    }
+
+    const validateStatus =
+      config.validateStatus === undefined
+        ? (status) => status >= 200 && status < 300
+        : config.validateStatus;
+    if (!validateStatus(response.status))
+      throw this._httpError(response, config, request.id);
+
+    return this._parseJSON(response, config, request.id);
+  }
+
+  /**
+   * Perform a request through a transport, following its redirects
+   * here rather than in the transport, so that the cookies set by every
+   * response are stored and each request sends the cookies of its own
+   * URL. Redirects are followed as by redirectRequest(), so the
+   * credentials of the request are not sent to another origin.
+   * @async
+   * @private
+   * @since 0.0.5
+   * @param {Transport} transport - The transport
+   * @param {CookieJar} jar - Jar of the cookies option
+   * @param {Object} config - axios request configuration, whose
+   * maxRedirects (default 5) limits the redirects followed
+   * @param {AbortSignal} signal - Signal which aborts the request
+   * @return {TransportResponse} The response of the last request.
+   * @throws {Error} Error with code ERR_STREAM_CONSUMED when a redirect
+   * would send a stream body again.
+   */
+  async _sendWithCookies(transport, jar, config, signal) {
+    const maxRedirects =
+      config.maxRedirects === undefined ? 5 : config.maxRedirects;
+
+    let current = config;
+    for (let redirects = 0; ; redirects++) {
+      const url = buildURL(current.url, current.params);
+      const cookie = jar.header(url);
+      const headers = { ...current.headers };
+      if (cookie !== "") {
+        const name =
+          Object.keys(headers).find((key) => key.toLowerCase() === "cookie") ||
+          "Cookie";
+        headers[name] =
+          headers[name] === undefined ? cookie : `${headers[name]}; ${cookie}`;
+      }
+
+      const response = await transport.request({
+        ...current,
+        headers: headers,
+        maxRedirects: 0,
+        signal: signal,
+      });
+      const responseHeaders = response.headers || {};
+      // whatever the status, as a failed login may still set cookies
+      jar.store(responseHeaders["set-cookie"], url);
+
+      const next =
+        redirects >= maxRedirects
+          ? undefined
+          : redirectRequest({ ...current, url: url }, response);
+      if (next === undefined) return response;
+
+      discardStream(response.data);
+      // the location carries its own parameters
+      current = { ...current, ...next, params: {} };
+    }
+  }
+
+  /**
+   * Find the CookieJar of the cookies option, in order to read, save or
+   * clear its cookies
+   * @since 0.0.5
+   * @return {CookieJar|undefined} The jar, or undefined if the cookies
+   * option is not set.
+   */
+  cookieJar() {
+    const cookies = this._options.cookies;
+    if (!cookies) return undefined;
+    if (cookies instanceof CookieJar) return cookies;
+
+    if (this._cookies === undefined) this._cookies = new CookieJar();
+    return this._cookies;
+  }
+
+  /**
+   * Find the RateLimiter of the rateLimit option
+   * @private
+   * @since 0.0.5
+   * @return {RateLimiter|undefined} The limiter, or undefined if the
+   * rateLimit option is not set.
+   */
+  _limiter() {
+    const rateLimit = this._options.rateLimit;
+    if (rateLimit === undefined || rateLimit === null) return undefined;
+    if (rateLimit instanceof RateLimiter) return rateLimit;
+
+    // keep the limiter, and the state of its buckets, until the rules
+    // are replaced
+    if (
+      this._rateLimiter === undefined ||
+      this._rateLimiter.rules !== rateLimit
+    )
+      this._rateLimiter = new RateLimiter(rateLimit);
+    return this._rateLimiter;
+  }
+
+  /**
+   * Count the requests waiting because of the rateLimit option
+   * @since 0.0.5
+   * @param {string} [host] - Only count requests to this host
+   * @return {number} The number of requests waiting to be sent.
+   */
+  queueDepth(host) {
+    const limiter = this._limiter();
+    return limiter === undefined ? 0 : limiter.depth(host);
+  }
+
+  /**
+   * Find the OfflineQueue set by an offline option
+   * @private
+   * @since 0.0.5
+   * @param {boolean|OfflineQueue} [offline = this._options.offline] -
+   * Value of the offline option
+   * @return {OfflineQueue|undefined} The queue, or undefined if
+   * requests are not queued.
+   */
+  _queue(offline = this._options.offline) {
+    if (!offline) return undefined;
+    if (offline instanceof OfflineQueue) return offline;
+
+    if (this._offlineQueue === undefined)
+      this._offlineQueue = new OfflineQueue();
+    return this._offlineQueue;
+  }
+
+  /**
+   * Save a failed request in the offline queue, if it is a DELETE,
+   * PATCH, POST or PUT request that failed for lack of a connection and
+   * its data and per-request options can be saved
+   * @async
+   * @private
+   * @since 0.0.5
+   * @param {Object} request - State of the request
+   * @param {RequestError} error - Error of the request
+   * @return {boolean} True if the request was saved.
+   */
+  async _saveOffline(request, error) {
+    const queue = this._queue(request.offline);
+    const queued = request.queued;
+    if (
+      queue === undefined ||
+      !(error instanceof NetworkError) ||
+      // the server may have received a request which timed out
+      error instanceof TimeoutError ||
+      !["delete", "patch", "post", "put"].includes(
+        queued.method.toLowerCase()
+      ) ||
+      !isPlainData(queued.data) ||
+      // such as an AuthStrategy, which could not be sent again
+      !isPlainData(queued.options)
+    )
+      return false;
+
+    try {
+      await queue.add(queued);
+    } catch (storageError) {
+      // the request fails as usual if it cannot be saved
+      return false;
+    }
+    this._queuedIDs.add(request.id);
+    this._emit("offline", {
+      id: request.id,
+      method: queued.method,
+      url: queued.url,
+    });
+
+    // flush when a browser reports the connection is back
+    if (
+      this._onlineListener === undefined &&
+      typeof globalThis.addEventListener === "function"
+    ) {
+      this._onlineListener = () => this.flushQueue().catch(() => {});
+      globalThis.addEventListener("online", this._onlineListener);
+    }
+
+    return true;
+  }
+
+  /**
+   * Send the requests saved in the offline queue again, oldest first,
+   * storing the result of each under its original ID. Sending stops at
+   * the first request that fails for lack of a connection, which stays
+   * queued with those after it. Called automatically when a browser
+   * reports the connection is back or another request receives a
+   * response; call it when a program starts to send requests queued
+   * before it last stopped.
+   * @async
+   * @since 0.0.5
+   * @return {BatchSummary} Which requests succeeded, failed or remain
+   * queued.
+   */
+  flushQueue() {
+    // one flush at a time, so no request is sent twice
+    if (this._flushing === undefined)
+      this._flushing = this._flush().finally(() => {
+        this._flushing = undefined;
+      });
+
+    return this._flushing;
+  }
+
+  /**
+   * Send the requests of the offline queue, see Requester.flushQueue()
+   * @async
+   * @private
+   * @since 0.0.5
+   * @return {BatchSummary} Which requests succeeded, failed or remain
+   * queued.
+   */
+  async _flush() {
+    const summary = {
+      ids: [],
+      succeeded: [],
+      failed: [],
+      cancelled: [],
+      queued: [],
+    };
+    const queue = this._queue();
+    if (queue === undefined) return summary;
+
+    let offline = false;
+    for (const queued of await queue.requests()) {
+      summary.ids.push(queued.id);
+      // requests queued before the program started are only known now
+      this._queuedIDs.add(queued.id);
+      const status = offline ? "queued" : await this._replay(queue, queued);
+      if (status in summary) summary[status].push(queued.id);
+      if (status === "queued") offline = true;
+    }
+
+    if (!offline && this._onlineListener !== undefined) {
+      globalThis.removeEventListener("online", this._onlineListener);
+      this._onlineListener = undefined;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Send a queued request again, resolving conflicts with the queue's
+   * onConflict function
+   * @async
+   * @private
+   * @since 0.0.5
+   * @param {OfflineQueue} queue - The queue
+   * @param {QueuedRequest} queued - The request
+   * @return {string} Status of the request afterwards, as returned by
+   * Requester.status().
+   */
+  async _replay(queue, queued) {
+    const id = queued.id;
+    for (;;) {
+      this._queuedIDs.delete(id);
+      await this._request(
+        queued.method,
+        queued.url,
+        id,
+        queued.data,
+        {},
+        {
+          ...queued.options,
+          params: queued.params,
+          headers: queued.headers,
+          throwOnFailure: false,
+          offline: queue,
+          graphQLQuery: queued.graphQLQuery,
+          queuedRequest: queued,
+        }
+      );
+      // saved again if the connection is still down
+      if (this._queuedIDs.has(id)) return "queued";
+
+      const error = this._cachedErrors[id];
+      if (
+        error instanceof HTTPError &&
+        queue.isConflict(error) &&
+        typeof queue.onConflict === "function"
+      ) {
+        const resolution = await queue.onConflict(queued, error);
+        if (resolution !== undefined && resolution !== null) {
+          this._deleteResult(id);
+          queued = {
+            ...queued,
+            ...resolution,
+            conflicts: queued.conflicts + 1,
+          };
+          continue;
+        }
+      }
+
+      await queue.remove(id);
+      return this.status(id);
+    }
+  }
+
+  /**
+   * Parse a JSON response body the transport left as text
+   * @private
+   * @since 0.0.5
+   * @param {Object} response - Response of the transport
+   * @param {Object} config - axios configuration of the request
+   * @param {string} id - ID of the request
+   * @return {Object} response, with its data parsed if needed.
+   * @throws {ParseError} Thrown when the response declares a JSON
+   * Content-Type but its body is not valid JSON.
+   */
+  _parseJSON(response, config, id) {
+    const contentType = (response.headers || {})["content-type"] || "";
+    if (
+      config.responseType !== "json" ||
+      typeof response.data !== "string" ||
+      response.data.trim() === "" ||
+      !/[/+]json\b/i.test(contentType)
+    )
+      return response;
+
+    try {
+      return { ...response, data: JSON.parse(response.data) };
+    } catch (error) {
+      throw new ParseError(
+        `Response to request with ID ${id} is not valid JSON: ${error.message}`,
+        {
+          id: id,
+          method: config.method,
+          url: config.url,
+          status: response.status,
+          statusText: response.statusText,
+          headers: response.headers,
+          body: response.data,
+          cause: error,
+        }
+      );
+    }
+  }
+
+  /**
+   * Create the HTTPError of a response with a failing status
+   * @private
+   * @since 0.0.5
+   * @param {TransportResponse} response - The response
+   * @param {Object} config - axios configuration of the request
+   * @param {string} id - ID of the request
+   * @param {Error} [cause] - Transport error holding the response, if
+   * any
+   * @return {HTTPError} The error, of the subclass for the status.
+   */
+  _httpError(response, config, id, cause = undefined) {
+    return createHTTPError(
+      `Request with ID ${id} failed with status ${response.status}.`,
+      {
+        id: id,
+        method: config.method,
+        url: config.url,
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+        body: response.data,
+        cause: cause,
+      }
+    );
+  }
+
+  /**
+   * Wrap the error of a request in a RequestError. Transport errors
+   * with a response become an HTTPError, those without one a
+   * NetworkError, or a TimeoutError if the transport timed out.
+   * @private
+   * @since 0.0.5
+   * @param {Error} error - Error of the request
+   * @param {Object} config - axios configuration of the request
+   * @param {string} id - ID of the request
+   * @return {Error} The wrapped error. A RequestError is returned with
+   * its missing id, method and url filled in, and an error which did
+   * not come from a transport, such as one thrown by middleware, is
+   * returned unchanged.
+   */
+  _wrapError(error, config, id) {
+    const details = {
+      id: id,
+      method: config.method,
+      url: config.url,
+      code: error.code,
+      cause: error,
+    };
+
+    if (error instanceof RequestError) {
+      for (const name of ["id", "method", "url"])
+        if (error[name] === undefined) error[name] = details[name];
+      return error;
+    }
+
+    // errors of transports which fail on statuses themselves
+    if (error.response !== undefined && error.response !== null)
+      return this._httpError(error.response, config, id, error);
+
+    if (error.code === "ECONNABORTED")
+      return new TimeoutError(
+        `Request with ID ${id} timed out: ${error.message}`,
+        details
+      );
+    if (error.code !== undefined || error.request !== undefined)
+      return new NetworkError(
+        `Request with ID ${id} failed: ${error.message}`,
+        details
+      );
+
+    return error;
+  }
+
+  /**
+   * Perform a request with the credentials of its auth option. If the
+   * request is refused with a 401 response and the strategy can
+   * refresh its credentials, the request is made once more.
+   * @async
+   * @private
+   * @since 0.0.5
+   * @param {Object} config - axios request configuration
+   * @param {Object} request - State of the request, holding its
+   * AbortSignal and AuthStrategy
+   * @return {Object} The axios response.
+   */
+  async _sendAuthenticated(config, request) {
+    const auth = request.auth;
+    if (auth === undefined) return this._send(config, request);
+
+    const authenticated = await auth.apply(config);
+    try {
+      return await this._send(authenticated, request);
+    } catch (error) {
+      if (
+        !(error instanceof UnauthorizedError) ||
+        typeof auth.refresh !== "function" ||
+        !(await auth.refresh(authenticated))
+      )
+        throw error;
+    }
+
+    return this._send(await auth.apply(config), request);
+  }
+
+  /**
+   * Resolve a request URL against the baseURL option
+   * @private
+   * @since 0.0.5
+   * @param {string} url - URL passed to a request method
+   * @param {string} [baseURL] - Value of the baseURL option
+   * @return {string} url unchanged if it is absolute or there is no
+   * baseURL, otherwise url appended to baseURL.
+   */
+  _resolveURL(url, baseURL) {
+    const absolute = /^[a-z][a-z\d+\-.]*:/i.test(url);
+    if (baseURL === undefined || absolute) return url;
+    if (url === "") return baseURL;
+
+    return `${baseURL.replace(/\/+$/, "")}/${url.replace(/^\/+/, "")}`;
+  }
+
+  /**
+   * Run a request through every middleware
+   * @async
+   * @private
+   * @since 0.0.5
+   * @param {MiddlewareContext} context - Context passed to each
+   * middleware
+   * @param {Function} send - Function performing the request after the
+   * last middleware. Called with the request configuration, it returns
+   * a promise of the response.
+   * @return {Object} The response returned by the first middleware,
+   * with empty headers and context.config as its config if a middleware
+   * answering the request itself left them out.
+   */
+  async _runMiddleware(context, send) {
+    // copy so that middleware added or removed during the request does
+    // not affect it
+    const middleware = [...this._middleware];
+
+    const dispatch = async function (index) {
+      if (index === middleware.length) return send(context.config);
+      return middleware[index](context, () => dispatch(index + 1));
+    };
+
+    const response = await dispatch(0);
+    return {
+      ...response,
+      headers: response.headers === undefined ? {} : response.headers,
+      config: response.config === undefined ? context.config : response.config,
+    };
+  }
+
+  /**
+   * Perform a GET request, sharing it with identical requests. The first
+   * request sends it; later ones made while it is in flight subscribe
+   * to its result. Aborting a subscriber only aborts the shared request
+   * once every subscriber has been aborted.
+   * @async
+   * @private
+   * @since 0.0.5
+   * @param {Object} config - axios request configuration
+   * @param {Object} request - State of the request
+   * @return {Object} A copy of the shared response.
+   * @throws {RequestError} The error of the shared request, with the ID
+   * of this request, or the reason this request's signal was aborted.
+   */
+  _sendShared(config, request) {
+    const caller = this; // store this for use in callbacks
+    const key = JSON.stringify([
+      config.method.toLowerCase(),
+      config.url,
+      config.params,
+      config.headers,
+    ]);
+    let shared = this._sharedRequests[key];
+    // requests with different credentials cannot share
+    if (shared !== undefined && shared.auth !== request.authOption)
+      return this._sendCached(config, request);
+
+    if (shared === undefined) {
+      const controller = new AbortController();
+      shared = {
+        auth: request.authOption,
+        controller: controller,
+        subscribers: 0,
+      };
+      shared.promise = this._sendCached(config, {
+        ...request,
+        signal: controller.signal,
+      }).finally(function () {
+        if (caller._sharedRequests[key] === shared)
+          delete caller._sharedRequests[key];
+      });
+      this._sharedRequests[key] = shared;
+    }
+    shared.subscribers++;
+
+    const signal = request.signal;
+    return new Promise(function (resolve, reject) {
+      const onAbort = function () {
+        shared.subscribers--;
+        if (shared.subscribers === 0) {
+          if (caller._sharedRequests[key] === shared)
+            delete caller._sharedRequests[key];
+          shared.controller.abort(signal.reason);
+        }
+        reject(signal.reason);
+      };
+      if (signal.aborted) return onAbort();
+
+      signal.addEventListener("abort", onAbort);
+      shared.promise
+        .then(
+          (response) => resolve({ ...response }),
+          (error) => reject(caller._subscriberError(error, request.id))
+        )
+        .finally(() => signal.removeEventListener("abort", onAbort));
+    });
+  }
+
+  /**
+   * Give a subscriber of a shared request its own copy of the shared
+   * request's error
+   * @private
+   * @since 0.0.5
+   * @param {Error} error - Error of the shared request
+   * @param {string} id - ID of the subscriber
+   * @return {Error} error itself if it has the subscriber's ID or is not
+   * a RequestError, otherwise an error of the same class with the
+   * subscriber's ID and error as its cause.
+   */
+  _subscriberError(error, id) {
+    if (!(error instanceof RequestError) || error.id === id) return error;
+
+    const copy = new error.constructor(
+      `Request with ID ${id} shared a request which failed: ${error.message}`,
+      { ...error, id: id, cause: error }
+    );
+    if (error.attempts !== undefined) copy.attempts = error.attempts;
+    return copy;
+  }
+
+  /**
+   * Perform an axios request, answering GET requests from a
+   * ResponseCache where possible
+   * @async
+   * @private
+   * @since 0.0.5
+   * @param {Object} config - axios request configuration
+   * @param {Object} request - State of the request, holding its id,
+   * AbortSignal, RetryPolicy and the value of its cache option
+   * @return {Object} The axios response, which has cached set to true
+   * if it came from the cache.
+   */
+  async _sendCached(config, request) {
+    let cache = request.cache;
+    if (cache === true) {
+      if (this._responseCache === undefined)
+        this._responseCache = new ResponseCache();
+      cache = this._responseCache;
+    }
+    // binary data and streams do not survive storage as JSON
+    const responseType =
+      config.responseType === undefined ? "json" : config.responseType;
+    if (
+      !cache ||
+      config.method.toLowerCase() !== "get" ||
+      !["json", "text"].includes(responseType)
+    )
+      return this._sendWithRetries(config, request);
+
+    const key = cache.key(config, this._credentials(config, request));
+    const entry = await cache.lookup(key, config.headers);
+    if (entry !== undefined && cache.isFresh(entry))
+      return cache.toResponse(entry, config);
+
+    if (entry !== undefined) {
+      const validateStatus =
+        config.validateStatus === undefined
+          ? (status) => status >= 200 && status < 300
+          : config.validateStatus;
+      config = {
+        ...config,
+        headers: { ...config.headers, ...cache.validators(entry) },
+        validateStatus: (status) => validateStatus(status) || status === 304,
+      };
+    }
+    const response = await this._sendWithRetries(config, request);
+
+    if (response.status === 304)
+      return cache.toResponse(
+        await cache.revalidate(key, entry, response),
+        config
+      );
+    await cache.store(key, response, config.headers);
     return response;
   }
 
+  /**
+   * Describe the credentials a request is sent with, so that a
+   * ResponseCache never answers it with a response to other
+   * credentials
+   * @private
+   * @since 0.0.5
+   * @param {Object} config - axios request configuration
+   * @param {Object} request - State of the request, holding its auth
+   * option
+   * @return {string} Its Authorization, Proxy-Authorization and Cookie
+   * headers, auth option and the cookies of the cookies option, or an
+   * empty string if it has none.
+   */
+  _credentials(config, request) {
+    const credentials = [];
+    for (const [name, value] of Object.entries(config.headers || {}))
+      if (
+        ["authorization", "cookie", "proxy-authorization"].includes(
+          name.toLowerCase()
+        )
+      )
+        credentials.push(`${name.toLowerCase()}: ${value}`);
+
+    const auth = request.authOption;
+    if (typeof auth === "object" && auth !== null) {
+      // strategies may change their credentials, so only the same
+      // strategy shares entries
+      if (typeof auth.apply === "function" && !strategyIDs.has(auth))
+        strategyIDs.set(auth, Math.random().toString(36).slice(2));
+      credentials.push(
+        `auth: ${
+          strategyIDs.has(auth) ? strategyIDs.get(auth) : JSON.stringify(auth)
+        }`
+      );
+    }
+
+    const jar = this.cookieJar();
+    const cookie = jar === undefined ? "" : jar.header(config.url);
+    if (cookie !== "") credentials.push(`jar: ${cookie}`);
+
+    return credentials.sort().join("\n");
+  }
+
+  /**
+   * Perform an axios request, retrying it according to a retry policy
+   * @async
+   * @private
+   * @since 0.0.5
+   * @param {Object} config - axios request configuration
+   * @param {Object} request - State of the request, holding its id,
+   * the AbortSignal which aborts it, including any wait between
+   * attempts, and the RetryPolicy deciding which failures are retried
+   * @return {Object} The axios response.
+   * @throws {Error} The error of the final attempt, with an attempts
+   * property holding the history of every attempt.
+   */
+  async _sendWithRetries(config, request) {
+    const { signal, policy } = request;
+    const attempts = [];
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this._sendAuthenticated(config, request);
+      } catch (error) {
+        const record = {
+          attempt: attempt,
+          status: error.status,
+          code: error.code,
+          message: error.message,
+        };
+        attempts.push(record);
+
+        if (
+          signal.aborted ||
+          attempt >= policy.attempts ||
+          !this._isRetryable(config.method, error, policy)
+        ) {
+          error.attempts = attempts;
+          throw error;
+        }
+
+        record.delay = this._retryDelay(attempt, error, policy);
+        this._metrics.retried(request.host);
+        this._emit("retry", {
+          id: request.id,
+          method: config.method,
+          url: config.url,
+          status: record.status,
+          attempt: attempt + 1,
+          delay: record.delay,
+          error: error,
+        });
+        await this._sleep(record.delay, signal);
+      }
+    }
+  }
+
+  /**
+   * Combine retry options into a complete retry policy
+   * @private
+   * @since 0.0.5
+   * @param {...(RetryPolicy|number|undefined)} retryOptions - Retry
+   * options in increasing order of priority. A number is shorthand for
+   * a policy that only sets attempts.
+   * @return {RetryPolicy} The combined policy, with any missing
+   * settings taken from defaultRetryPolicy.
+   */
+  _retryPolicy(...retryOptions) {
+    const policy = { ...defaultRetryPolicy };
+    for (const retry of retryOptions)
+      if (typeof retry === "number") policy.attempts = retry;
+      else Object.assign(policy, retry);
+
+    return policy;
+  }
+
+  /**
+   * Decide if a failed attempt should be retried
+   * @private
+   * @since 0.0.5
+   * @param {string} method - HTTP method of the request
+   * @param {Error} error - Error of the failed attempt
+   * @param {RetryPolicy} policy - Policy deciding which failures are
+   * retried
+   * @return {boolean} True if the request may be attempted again.
+   */
+  _isRetryable(method, error, policy) {
+    if (!policy.methods.includes(method.toLowerCase())) return false;
+    if (error instanceof HTTPError)
+      return policy.statusCodes.includes(error.status);
+    return (
+      error instanceof NetworkError && policy.errorCodes.includes(error.code)
+    );
+  }
+
+  /**
+   * Compute how long to wait before the next attempt
+   * @private
+   * @since 0.0.5
+   * @param {number} attempt - Number of the attempt that failed,
+   * starting at 1
+   * @param {Error} error - Error of the failed attempt
+   * @param {RetryPolicy} policy - Policy deciding the delay
+   * @return {number} Milliseconds to wait.
+   */
+  _retryDelay(attempt, error, policy) {
+    const retryAfter =
+      error instanceof HTTPError && error.headers !== undefined
+        ? error.headers["retry-after"]
+        : undefined;
+    if (policy.respectRetryAfter && retryAfter !== undefined) {
+      // Retry-After is either a number of seconds or an HTTP date
+      const seconds = Number(retryAfter);
+      const delay = Number.isNaN(seconds)
+        ? Date.parse(retryAfter) - Date.now()
+        : seconds * 1000;
+      if (!Number.isNaN(delay))
+        return Math.min(Math.max(delay, 0), policy.maxDelay);
+    }
+
+    const delay = Math.min(
+      policy.delay * policy.factor ** (attempt - 1),
+      policy.maxDelay
+    );
+    return policy.jitter
+      ? Math.round(delay / 2 + (Math.random() * delay) / 2)
+      : delay;
+  }
+
+  /**
+   * Wait before retrying a request
+   * @async
+   * @private
+   * @since 0.0.5
+   * @param {number} milliseconds - Time to wait
+   * @param {AbortSignal} signal - Signal which ends the wait early
+   * @throws {RequestCancelledError|TimeoutError} The reason the signal
+   * was aborted, if it was aborted during the wait.
+   */
+  _sleep(milliseconds, signal) {
+    return new Promise(function (resolve, reject) {
+      if (signal.aborted) return reject(signal.reason);
+
+      const onAbort = function () {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(function () {
+        signal.removeEventListener("abort", onAbort);
+        resolve();
+      }, milliseconds);
+      signal.addEventListener("abort", onAbort);
+    });
+  }
+
+  /**
+   * Cancel an in-flight request or a subscription. The request fails
+   * with a RequestCancelledError, which is retrieved with
+   * Requester.error() or thrown, depending on the throwOnFailure
+   * option.
+   * @since 0.0.5
+   * @param {string} id - The ID passed into the HTTP request when it
+   * was created
+   * @return {boolean} True if the request was in flight and has been
+   * cancelled, false if there was no in-flight request with that ID.
+   */
+  cancel(id) {
+    const controller = this._controllers[id];
+    if (controller === undefined) return false;
+
+    controller.abort(
+      new RequestCancelledError(`Request with ID ${id} was cancelled.`)
+    );
+    this._emit("cancel", { id: id });
+    return true;
+  }
+
+  /**
+   * Close a subscription made with Requester.subscribe(), as
+   * Requester.cancel() does. Loops reading the subscription end, and
+   * its result is a RequestCancelledError.
+   * @since 0.0.5
+   * @param {string} id - ID of the subscription
+   * @return {boolean} True if the subscription was open and has been
+   * closed, false if there was no open subscription with that ID.
+   */
+  unsubscribe(id) {
+    if (!(id in this._subscriptions) || this._controllers[id].signal.aborted)
+      return false;
+
+    return this.cancel(id);
+  }
+
+  /**
+   * Cancel every in-flight request, as if Requester.cancel() had been
+   * called with each of their IDs.
+   * @since 0.0.5
+   * @return {number} The number of requests cancelled.
+   */
+  cancelAll() {
+    const ids = Object.keys(this._controllers);
+    for (const id of ids) this.cancel(id);
+    return ids.length;
+  }
+
+  /**
+   * Details of a request passed to event listeners. Every event has
+   * the id of the request; which other properties are set depends on
+   * the event.
+   * @typedef {Object} RequestEvent
+   * @since 0.0.5
+   * @property {string} id - ID of the request
+   * @property {string} [method] - HTTP method of the request
+   * @property {string} [url] - URL of the request
+   * @property {number} [status] - HTTP status of the response
+   * @property {number} [duration] - Milliseconds taken by the request
+   * @property {boolean} [cached] - True if a response event's response
+   * came from the cache
+   * @property {number} [attempt] - Number of the attempt a retry event
+   * is about to make
+   * @property {number} [delay] - Milliseconds a retry event waits
+   * before its attempt
+   * @property {number} [depth] - Number of requests to the same host
+   * waiting, including this one, for a queued event
+   * @property {Error} [error] - Error of an error event, of the
+   * attempt that failed for a retry event, or thrown by the listener
+   * for a listenerError event
+   * @property {string} [event] - Name of the event whose listener
+   * threw, for a listenerError event
+   */
+
+  /**
+   * Add a listener for an event. The events are "request" when a
+   * request starts, "response" when it succeeds, "error" when it fails,
+   * "retry" before each retry or reconnection of a subscription,
+   * "queued" when the rateLimit option makes it wait, "progress" as it
+   * is uploaded and downloaded (with a ProgressEvent instead of a
+   * RequestEvent), "offline" when it is saved in the offline queue,
+   * "cancel" when Requester.cancel() cancels it, and "listenerError"
+   * when a listener of another event throws.
+   * @since 0.0.5
+   * @param {string} event - Name of the event
+   * @param {Function} listener - Function called with a RequestEvent
+   * @return {Function} Function which removes the listener when called.
+   */
+  on(event, listener) {
+    if (!(event in this._listeners)) this._listeners[event] = [];
+    this._listeners[event].push(listener);
+
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Remove a listener added with Requester.on()
+   * @since 0.0.5
+   * @param {string} event - Name of the event
+   * @param {Function} listener - Listener to remove
+   * @return {boolean} True if the listener was removed, false if it had
+   * not been added.
+   */
+  off(event, listener) {
+    const listeners = this._listeners[event] || [];
+    const index = listeners.indexOf(listener);
+    if (index === -1) return false;
+
+    listeners.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Call the listeners of an event. An error thrown by a listener does
+   * not affect the request or the other listeners; it is passed to the
+   * listeners of the listenerError event, whose own errors are
+   * ignored.
+   * @private
+   * @since 0.0.5
+   * @param {string} event - Name of the event
+   * @param {RequestEvent} details - Details passed to the listeners
+   */
+  _emit(event, details) {
+    for (const listener of [...(this._listeners[event] || [])])
+      try {
+        listener(details);
+      } catch (error) {
+        if (event !== "listenerError")
+          this._emit("listenerError", {
+            id: details.id,
+            event: event,
+            error: error,
+          });
+      }
+  }
+
+  /**
+   * Take a snapshot of request statistics
+   * @since 0.0.5
+   * @return {Object} HostStats of every host together in its total
+   * property, and HostStats keyed by host in its hosts property.
+   */
+  stats() {
+    return this._metrics.stats();
+  }
+
+  /**
+   * Forget all request statistics
+   * @since 0.0.5
+   */
+  resetStats() {
+    this._metrics.reset();
+  }
+
+  /**
+   * Retrieve the most recent requests, as kept when the history option
+   * is set
+   * @since 0.0.5
+   * @return {Array<HistoryEntry>} Copy of the history, oldest first.
+   */
+  history() {
+    return [...this._history];
+  }
+
+  /**
+   * Forget the history of requests
+   * @since 0.0.5
+   */
+  clearHistory() {
+    this._history = [];
+  }
+
+  /**
+   * Export the history of requests as an HTTP Archive (HAR), with the
+   * values of sensitive headers such as Authorization and Cookie
+   * redacted
+   * @since 0.0.5
+   * @param {Array<string>} [redact] - Lower case names of the headers
+   * to redact, by default those in sensitiveHeaders
+   * @return {Object} The HAR log, ready for JSON.stringify().
+   */
+  exportHAR(redact) {
+    return toHAR(this._history, redact);
+  }
+
+  /**
+   * Answer this instance's requests with a MockTransport instead of
+   * the network. Restore the previous transport with
+   * requester.setOptions({ transport: undefined }).
+   * @since 0.0.5
+   * @param {Object} [options = {}] - Options passed to the
+   * MockTransport constructor
+   * @return {MockTransport} The transport, for registering routes.
+   */
+  mock(options = {}) {
+    const transport = new MockTransport(options);
+    this._options.transport = transport;
+    return transport;
+  }
+
+  /**
+   * Perform this instance's requests through its current transport,
+   * writing every exchange to a JSON fixture file which
+   * Requester.replay() can serve later. Node only.
+   * @since 0.0.5
+   * @param {string} path - Path of the fixture file, which is replaced
+   * @return {RecordingTransport} The transport.
+   */
+  record(path) {
+    const transport = new RecordingTransport(
+      path,
+      createTransport(this._options.transport)
+    );
+    this._options.transport = transport;
+    return transport;
+  }
+
+  /**
+   * Answer this instance's requests from a JSON fixture file written
+   * by Requester.record() instead of the network. Node only.
+   * @since 0.0.5
+   * @param {string} path - Path of the fixture file
+   * @param {Object} [options = {}] - Options passed to the
+   * ReplayTransport constructor
+   * @return {ReplayTransport} The transport.
+   */
+  replay(path, options = {}) {
+    const transport = new ReplayTransport(path, options);
+    this._options.transport = transport;
+    return transport;
+  }
+
+  /**
+   * Check if an ID is invalid or in-flight and throw any appropriate
+   * errors.
+   * @private
+   * @since 0.0.1
+   * @param {string} id - Id to check for errors
+   * @throws {RequestNotCompleteError} Thrown when a response is requested
+   * from an in-flight or queued request.
+   * @throws {InvalidRequestError} Thrown when an ID does not exist. Caused
+   * by a request never having been made or already having been
+   * retrieved. Retrieved requests are deleted from the cache
+   * to prevent a memory leak on long running apps.
+   */
+  _responseErrorChecker(id) {
+    this._evictResults();
+    if (id in this._inFlightRequests || this._queuedIDs.has(id))
+      throw new RequestNotCompleteError(
+        `Request with ID ${id} has not completed.`
+      );
+    if (!(id in this._cachedResponses) && !(id in this._inFlightRequests))
+      throw new InvalidRequestError(
+        `Request with ID ${id}` +
+          " has already been retrieved or was never created."
+      );
+  }
+
+  /**
+   * Context of a request, passed to each middleware
+   * @typedef {Object} MiddlewareContext
+   * @since 0.0.5
+   * @property {string} id - ID of the request
+   * @property {Object} config - axios request configuration. A
+   * middleware may change it, or replace it with a new object, before
+   * calling next().
+   * @property {AbortSignal} signal - Signal which is aborted when the
+   * request is cancelled or times out
+   * @property {Requester} requester - Requester performing the request
+   */
+
+  /**
+   * Function which runs around every request
+   * @callback Middleware
+   * @since 0.0.5
+   * @param {MiddlewareContext} context - Context of the request
+   * @param {Function} next - Call to run the remaining middleware and
+   * perform the request. Returns a promise of the response, which
+   * rejects if the request fails.
+   * @return {Object|Promise<Object>} The response of the request,
+   * usually the one returned by next(). A middleware may return a
+   * response without calling next() to answer the request itself, or
+   * catch the error of next() and return a response in its place.
+   * Throwing makes the request fail with the thrown error.
+   */
+
+  /**
+   * Add a middleware which runs around every request. Middleware runs
+   * in the order it was added, so the first added is the first to see
+   * the request and the last to see the response.
+   * @since 0.0.5
+   * @param {Middleware} middleware - Middleware to add
+   * @return {Function} Function which removes the middleware when
+   * called.
+   */
+  use(middleware) {
+    this._middleware.push(middleware);
+    return () => this.eject(middleware);
+  }
+
+  /**
+   * Remove a middleware added with Requester.use()
+   * @since 0.0.5
+   * @param {Middleware} middleware - Middleware to remove
+   * @return {boolean} True if the middleware was removed, false if it
+   * had not been added.
+   */
+  eject(middleware) {
+    const index = this._middleware.indexOf(middleware);
+    if (index === -1) return false;
+
+    this._middleware.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Retrieve an error based on it's ID
+   * @since 0.0.1
+   * @param {string} id - The ID passed into the HTTP request when it
+   * was created
+   * @return {Object} The error returned. Will be set to undefined
+   * if the request succeeded. Since 0.0.5 the errors of failed
+   * requests are RequestError subclasses such as NotFoundError or
+   * NetworkError.
+   * @throws {RequestNotCompleteError} Thrown when a response is requested
+   * from an in-flight or queued request.
+   * @throws {InvalidRequestError} Thrown when an ID does not exist. Caused
+   * by a request never having been made or already having been
+   * retrieved. Retrieved requests are deleted from the cache
+   * to prevent a memory leak on long running apps.
+   */
+  error(id) {
+    // check for errors
+    this._responseErrorChecker(id);
+
+    if (this._cachedErrors[id] === undefined)
+      // do not delete until the response is retrieved
+      return undefined;
+
+    const errorReturned = this._cachedErrors[id];
+    this._deleteResult(id);
+    return errorReturned;
+  }
+
+  /**
+   * Retrieve a response based on it's ID
+   * @since 0.0.0
+   * @param {string} id - The ID passed into the HTTP request when it
+   * was created
+   * @return {Object} The response returned. Will be set to undefined
+   * if the request failed.
+   * @throws {RequestNotCompleteError} Thrown when a response is requested
+   * from an in-flight or queued request.
+   * @throws {InvalidRequestError} Thrown when an ID does not exist. Caused
+   * by a request never having been made or already having been
+   * retrieved. Retrieved requests are deleted from the cache
+   * to prevent a memory leak on long running apps.
+   */
+  response(id) {
+    // check for errors
+    this._responseErrorChecker(id);
+
+    if (this._cachedResponses[id] === undefined)
+      // do not delete until the error is retrieved
+      return undefined;
+
+    const response = this._cachedResponses[id];
+    this._deleteResult(id);
+    return response;
+  }
+
+  /**
+   * Store the result of a completed request until it is retrieved,
+   * discarding old unread results as set by the resultTTL and
+   * maxResults options
+   * @private
+   * @since 0.0.5
+   * @param {string} id - ID of the request
+   * @param {Object} [response] - Response, if the request succeeded
+   * @param {Error} [error] - Error, if the request failed
+   */
+  _storeResult(id, response, error) {
+    this._cachedResponses[id] = response;
+    this._cachedErrors[id] = error;
+    this._storedAt.delete(id);
+    this._storedAt.set(id, Date.now());
+    this._evictResults();
+  }
+
+  /**
+   * Forget the result of a request
+   * @private
+   * @since 0.0.5
+   * @param {string} id - ID of the request
+   */
+  _deleteResult(id) {
+    delete this._cachedResponses[id];
+    delete this._cachedErrors[id];
+    this._storedAt.delete(id);
+  }
+
+  /**
+   * Discard unread results older than the resultTTL option, then the
+   * oldest results beyond the maxResults option
+   * @private
+   * @since 0.0.5
+   */
+  _evictResults() {
+    const { resultTTL, maxResults } = this._options;
+    const now = Date.now();
+    // oldest first, so stop at the first result which is kept
+    for (const [id, storedAt] of this._storedAt)
+      if (
+        this._storedAt.size > maxResults ||
+        (resultTTL > 0 && now - storedAt >= resultTTL)
+      )
+        this._deleteResult(id);
+      else break;
+  }
+
+  /**
+   * Find the state of a request without retrieving its result
+   * @since 0.0.5
+   * @param {string} id - The ID passed into the HTTP request when it
+   * was created
+   * @return {string} "pending" while the request is in flight,
+   * "queued" while it waits in the offline queue, "succeeded", "failed"
+   * or "cancelled" once its result is stored, and "unknown" if the
+   * request was never made or its result has been retrieved or
+   * discarded.
+   */
+  status(id) {
+    this._evictResults();
+    if (id in this._inFlightRequests) return "pending";
+    if (this._queuedIDs.has(id)) return "queued";
+    if (!(id in this._cachedResponses)) return "unknown";
+    if (this._cachedErrors[id] === undefined) return "succeeded";
+    if (this._cachedErrors[id] instanceof RequestCancelledError)
+      return "cancelled";
+    return "failed";
+  }
+
+  /**
+   * State and result of a request, as returned by Requester.peek()
+   * @typedef {Object} RequestState
+   * @since 0.0.5
+   * @property {string} id - ID of the request
+   * @property {string} status - State of the request, see
+   * Requester.status()
+   * @property {Object} [response] - Response, if the request succeeded
+   * @property {Error} [error] - Error, if the request failed
+   */
+
+  /**
+   * Read the result of a request without retrieving it, so that it can
+   * still be retrieved with Requester.response() and Requester.error()
+   * @since 0.0.5
+   * @param {string} id - The ID passed into the HTTP request when it
+   * was created
+   * @return {RequestState} The state of the request, with its response
+   * or error if it has completed.
+   */
+  peek(id) {
+    return {
+      id: id,
+      status: this.status(id),
+      response: this._cachedResponses[id],
+      error: this._cachedErrors[id],
+    };
+  }
+
+  /**
+   * Wait for a request to complete, without retrieving its result. The
+   * request's failure is never thrown, whatever the throwOnFailure
+   * option. A request in the offline queue is not waited for, its
+   * status being "queued".
+   * @async
+   * @since 0.0.5
+   * @param {string} id - The ID passed into the HTTP request when it
+   * was created
+   * @return {RequestState} The state of the request once it has
+   * completed.
+   * @throws {InvalidRequestError} Thrown when an ID does not exist.
+   * Caused by a request never having been made or already having been
+   * retrieved or discarded.
+   */
+  async waitFor(id) {
+    if (id in this._inFlightRequests)
+      // the failure is stored with the result
+      await this._inFlightRequests[id].catch(() => {});
+
+    const state = this.peek(id);
+    if (state.status === "unknown")
+      throw new InvalidRequestError(
+        `Request with ID ${id}` +
+          " has already been retrieved or was never created."
+      );
+    return state;
+  }
+
+  /**
+   * Wait for many requests to complete, as Requester.waitFor() does
+   * @async
+   * @since 0.0.5
+   * @param {Array<string>} [ids = this.pendingIDs()] - IDs of the
+   * requests, every in-flight request if not given
+   * @return {Array<RequestState>} The state of each request, in the
+   * order of ids.
+   * @throws {InvalidRequestError} Thrown when an ID does not exist.
+   */
+  waitForAll(ids = this.pendingIDs()) {
+    return Promise.all(ids.map((id) => this.waitFor(id)));
+  }
+
+  /**
+   * List the requests in flight
+   * @since 0.0.5
+   * @return {Array<string>} IDs of the requests which have not
+   * completed.
+   */
+  pendingIDs() {
+    return Object.keys(this._inFlightRequests);
+  }
+
   /** Set new options, or restore to defaults.
    * @since 0.0.3
    * @param {Object} options - Options passed in to function. Options
@@ -320,10 +2954,12 @@ class Requester {
    * @return {Object} Copy of options after any changes.
    */
   setOptions(options) {
-    // test for empty object
-    if (Object.keys(options).length === 0) this._options = this._defaultOptions;
-    else if (options !== null)
-      this._options = Object.assign(this._options, options);
+    if (options !== null) {
+      // test for empty object
+      if (Object.keys(options).length === 0)
+        this._options = { ...this._defaultOptions };
+      else this._options = Object.assign(this._options, options);
+    }
 
     return { ...this._options };
   }
@@ -331,10 +2967,12 @@ class Requester {
 
 /**
  * Preconstructed Requester() instance. Requester is designed to be
- * used primarily from this exported instance.
+ * used primarily from this exported instance; use Requester.create()
+ * or requester.extend() for instances with their own options.
  */
 const requester = new Requester();
 export default requester;
 
 //  LocalWords:  RequestNotCompleteError InvalidRequestError IDInUseError
-//  LocalWords:  idSerialNumber params
+//  LocalWords:  idSerialNumber params RequestCancelledError
+//  LocalWords:  TimeoutError AbortControllers ResponseCache baseURL
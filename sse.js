@@ -0,0 +1,220 @@
+/**
+ * @file Provide Server-Sent Events support for easier-requests
+ * @author Harry Henry Gebel <hhgebel@gmail.com>
+ * @copyright 2020 Harry Henry Gebel
+ * @license MIT
+ * @version 0.0.5
+ * @module sse
+ * @since 0.0.5
+ */
+"use strict";
+
+import { RequestCancelledError } from "./errors.js";
+
+/**
+ * An event received from a text/event-stream response
+ * @typedef {Object} ServerSentEvent
+ * @since 0.0.5
+ * @property {string} event - Type of the event, "message" if the
+ * stream did not name it
+ * @property {string} data - Data of the event, its data lines joined
+ * by newlines
+ * @property {string} id - Last event ID set by the stream, an empty
+ * string if none has been
+ * @property {number} [retry] - Reconnection time in milliseconds, if
+ * the event set one
+ */
+
+/**
+ * Parses the text of an event stream as it arrives, following the
+ * Server-Sent Events standard
+ * @since 0.0.5
+ */
+export class EventStreamParser {
+  /**
+   * Create an EventStreamParser
+   * @since 0.0.5
+   * @param {string} [lastEventID = ""] - Last event ID received before
+   * this stream, when resuming
+   */
+  constructor(lastEventID = "") {
+    // last event ID and reconnection time set by the stream
+    this.lastEventID = lastEventID;
+    this.retry = undefined;
+
+    // text of the line being received
+    this._line = "";
+    this._started = false;
+    this._reset();
+  }
+
+  /**
+   * Forget the fields of the event being received
+   * @private
+   * @since 0.0.5
+   */
+  _reset() {
+    this._event = "";
+    this._data = [];
+    this._retry = undefined;
+  }
+
+  /**
+   * Parse the next text of the stream
+   * @since 0.0.5
+   * @param {string} text - The text, which may end partway through a
+   * line
+   * @return {Array<ServerSentEvent>} The events completed by text.
+   */
+  push(text) {
+    if (!this._started && text !== "") {
+      text = text.replace(/^\uFEFF/, "");
+      this._started = true;
+    }
+
+    text = this._line + text;
+    // a final carriage return may be the first half of \r\n
+    const end = text.endsWith("\r") ? text.length - 1 : text.length;
+    const lines = text.slice(0, end).split(/\r\n|\r|\n/);
+    this._line = lines.pop() + text.slice(end);
+
+    const events = [];
+    for (const line of lines) {
+      if (line === "") {
+        // events without data are not dispatched
+        if (this._data.length > 0)
+          events.push({
+            event: this._event === "" ? "message" : this._event,
+            data: this._data.join("\n"),
+            id: this.lastEventID,
+            retry: this._retry,
+          });
+        this._reset();
+        continue;
+      }
+      if (line.startsWith(":")) continue; // comment
+
+      const colon = line.indexOf(":");
+      const field = colon === -1 ? line : line.slice(0, colon);
+      let value = colon === -1 ? "" : line.slice(colon + 1);
+      if (value.startsWith(" ")) value = value.slice(1);
+
+      if (field === "event") this._event = value;
+      else if (field === "data") this._data.push(value);
+      else if (field === "id" && !value.includes("\0"))
+        this.lastEventID = value;
+      else if (field === "retry" && /^\d+$/.test(value)) {
+        this.retry = Number(value);
+        this._retry = this.retry;
+      }
+    }
+
+    return events;
+  }
+}
+
+/**
+ * A subscription to an event stream, returned by Requester.subscribe().
+ * Its events can be read with for await, which ends when the
+ * subscription is closed and throws the error of a subscription that
+ * fails. Only events received while a loop is reading are delivered
+ * to it. Leaving a loop early closes the subscription.
+ * @since 0.0.5
+ */
+export class Subscription {
+  /**
+   * Create a Subscription
+   * @since 0.0.5
+   * @param {string} id - ID of the subscription
+   * @param {Function} close - Function closing the subscription
+   */
+  constructor(id, close) {
+    this.id = id;
+    // last event ID received, sent as Last-Event-ID when reconnecting
+    this.lastEventID = "";
+
+    this._close = close;
+    // events waiting to be read and the pending read, of each loop
+    this._readers = new Set();
+    this._ended = false;
+    this._error = undefined;
+  }
+
+  /**
+   * Close the subscription, as Requester.unsubscribe() does
+   * @since 0.0.5
+   * @return {boolean} True if the subscription was open.
+   */
+  close() {
+    return this._close();
+  }
+
+  /**
+   * Pass an event to every loop reading the subscription
+   * @private
+   * @since 0.0.5
+   * @param {ServerSentEvent} event - The event
+   */
+  _deliver(event) {
+    for (const reader of this._readers)
+      if (reader.waiting !== undefined) {
+        reader.waiting.resolve({ value: event, done: false });
+        reader.waiting = undefined;
+      } else reader.events.push(event);
+  }
+
+  /**
+   * End every loop reading the subscription once it has read the
+   * events waiting for it
+   * @private
+   * @since 0.0.5
+   * @param {Error} [error] - Error of the subscription, if it failed
+   */
+  _end(error) {
+    this._ended = true;
+    if (!(error instanceof RequestCancelledError)) this._error = error;
+    for (const reader of this._readers)
+      if (reader.waiting !== undefined) {
+        if (this._error === undefined)
+          reader.waiting.resolve({ value: undefined, done: true });
+        else reader.waiting.reject(this._error);
+        reader.waiting = undefined;
+      }
+  }
+
+  /**
+   * Start a loop reading the subscription's events
+   * @since 0.0.5
+   * @return {AsyncIterator<ServerSentEvent>} Iterator of the events
+   * received from now on.
+   */
+  [Symbol.asyncIterator]() {
+    const reader = { events: [], waiting: undefined };
+    this._readers.add(reader);
+    const subscription = this;
+
+    return {
+      next() {
+        if (reader.events.length > 0)
+          return Promise.resolve({ value: reader.events.shift(), done: false });
+        if (subscription._ended) {
+          subscription._readers.delete(reader);
+          return subscription._error === undefined
+            ? Promise.resolve({ value: undefined, done: true })
+            : Promise.reject(subscription._error);
+        }
+
+        return new Promise(function (resolve, reject) {
+          reader.waiting = { resolve: resolve, reject: reject };
+        });
+      },
+      return() {
+        subscription._readers.delete(reader);
+        subscription.close();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+    };
+  }
+}
+
+//  LocalWords:  EventStreamParser ServerSentEvent
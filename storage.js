@@ -0,0 +1,319 @@
+/**
+ * @file Provide storage adapters for data kept by easier-requests
+ * @author Harry Henry Gebel <hhgebel@gmail.com>
+ * @copyright 2020 Harry Henry Gebel
+ * @license MIT
+ * @version 0.0.5
+ * @module storage
+ * @since 0.0.5
+ */
+"use strict";
+
+/**
+ * Interface of a storage adapter. Values are plain objects which are
+ * stored as JSON, so a value read back is always a copy of the value
+ * stored. Any method may return a promise instead of its result.
+ * @interface StorageAdapter
+ * @since 0.0.5
+ */
+/**
+ * Read a value
+ * @function
+ * @name StorageAdapter#get
+ * @param {string} key - Key of the value
+ * @return {Object|undefined} The value, or undefined if there is no
+ * value with that key.
+ */
+/**
+ * Write a value, replacing any value with the same key
+ * @function
+ * @name StorageAdapter#set
+ * @param {string} key - Key of the value
+ * @param {Object} value - Value to write
+ */
+/**
+ * Remove a value
+ * @function
+ * @name StorageAdapter#delete
+ * @param {string} key - Key of the value
+ */
+/**
+ * List the keys of all stored values
+ * @function
+ * @name StorageAdapter#keys
+ * @return {Array<string>} The keys.
+ */
+/**
+ * Remove every value
+ * @function
+ * @name StorageAdapter#clear
+ */
+
+/**
+ * Storage adapter keeping values in memory for the life of the
+ * program.
+ * @implements {StorageAdapter}
+ * @since 0.0.5
+ */
+export class MemoryStorage {
+  /**
+   * Create a MemoryStorage
+   * @since 0.0.5
+   */
+  constructor() {
+    // values as JSON, keyed by key
+    this._values = new Map();
+  }
+
+  /**
+   * Read a value
+   * @since 0.0.5
+   * @param {string} key - Key of the value
+   * @return {Object|undefined} The value, or undefined if there is no
+   * value with that key.
+   */
+  get(key) {
+    const json = this._values.get(key);
+    return json === undefined ? undefined : JSON.parse(json);
+  }
+
+  /**
+   * Write a value, replacing any value with the same key
+   * @since 0.0.5
+   * @param {string} key - Key of the value
+   * @param {Object} value - Value to write
+   */
+  set(key, value) {
+    this._values.set(key, JSON.stringify(value));
+  }
+
+  /**
+   * Remove a value
+   * @since 0.0.5
+   * @param {string} key - Key of the value
+   */
+  delete(key) {
+    this._values.delete(key);
+  }
+
+  /**
+   * List the keys of all stored values
+   * @since 0.0.5
+   * @return {Array<string>} The keys.
+   */
+  keys() {
+    return [...this._values.keys()];
+  }
+
+  /**
+   * Remove every value
+   * @since 0.0.5
+   */
+  clear() {
+    this._values.clear();
+  }
+}
+
+/**
+ * Storage adapter keeping values in a Web Storage object such as
+ * window.localStorage or window.sessionStorage.
+ * @implements {StorageAdapter}
+ * @since 0.0.5
+ */
+export class WebStorage {
+  /**
+   * Create a WebStorage
+   * @since 0.0.5
+   * @param {Storage} [store = localStorage] - Web Storage object to
+   * keep values in
+   * @param {string} [prefix = "easier-requests:"] - Prefix of the keys
+   * in store, separating these values from any others kept there.
+   */
+  constructor(store = globalThis.localStorage, prefix = "easier-requests:") {
+    this._store = store;
+    this._prefix = prefix;
+  }
+
+  /**
+   * Read a value
+   * @since 0.0.5
+   * @param {string} key - Key of the value
+   * @return {Object|undefined} The value, or undefined if there is no
+   * value with that key.
+   */
+  get(key) {
+    const json = this._store.getItem(this._prefix + key);
+    return json === null ? undefined : JSON.parse(json);
+  }
+
+  /**
+   * Write a value, replacing any value with the same key
+   * @since 0.0.5
+   * @param {string} key - Key of the value
+   * @param {Object} value - Value to write
+   */
+  set(key, value) {
+    this._store.setItem(this._prefix + key, JSON.stringify(value));
+  }
+
+  /**
+   * Remove a value
+   * @since 0.0.5
+   * @param {string} key - Key of the value
+   */
+  delete(key) {
+    this._store.removeItem(this._prefix + key);
+  }
+
+  /**
+   * List the keys of all stored values
+   * @since 0.0.5
+   * @return {Array<string>} The keys.
+   */
+  keys() {
+    const keys = [];
+    for (let i = 0; i < this._store.length; i++) {
+      const key = this._store.key(i);
+      if (key.startsWith(this._prefix))
+        keys.push(key.slice(this._prefix.length));
+    }
+
+    return keys;
+  }
+
+  /**
+   * Remove every value
+   * @since 0.0.5
+   */
+  clear() {
+    for (const key of this.keys()) this.delete(key);
+  }
+}
+
+/**
+ * Storage adapter keeping values in a JSON file, for use under
+ * Node. The file is read when first needed and rewritten after every
+ * change.
+ * @implements {StorageAdapter}
+ * @since 0.0.5
+ */
+export class FileStorage {
+  /**
+   * Create a FileStorage
+   * @since 0.0.5
+   * @param {string} path - Path of the JSON file. It is created when
+   * the first value is written.
+   */
+  constructor(path) {
+    this._path = path;
+
+    // promise of the file's contents, read on first use
+    this._values = undefined;
+
+    // promise of the last write, so that writes happen in order
+    this._written = Promise.resolve();
+  }
+
+  /**
+   * Read the file if it has not been read yet
+   * @async
+   * @private
+   * @since 0.0.5
+   * @return {Object} The stored values, keyed by key.
+   */
+  _load() {
+    if (this._values === undefined)
+      this._values = import("fs").then(async ({ promises }) => {
+        try {
+          return JSON.parse(await promises.readFile(this._path, "utf8"));
+        } catch (error) {
+          if (error.code === "ENOENT") return {};
+          throw error;
+        }
+      });
+
+    return this._values;
+  }
+
+  /**
+   * Write the stored values to the file
+   * @async
+   * @private
+   * @since 0.0.5
+   * @param {Object} values - The stored values, keyed by key
+   */
+  _save(values) {
+    const json = JSON.stringify(values, null, 2);
+    // a failed write only fails the call which made it
+    this._written = this._written
+      .catch(() => {})
+      .then(async () => {
+        const { promises } = await import("fs");
+        await promises.writeFile(this._path, json);
+      });
+
+    return this._written;
+  }
+
+  /**
+   * Read a value
+   * @async
+   * @since 0.0.5
+   * @param {string} key - Key of the value
+   * @return {Object|undefined} The value, or undefined if there is no
+   * value with that key.
+   */
+  async get(key) {
+    const values = await this._load();
+    return key in values ? JSON.parse(JSON.stringify(values[key])) : undefined;
+  }
+
+  /**
+   * Write a value, replacing any value with the same key
+   * @async
+   * @since 0.0.5
+   * @param {string} key - Key of the value
+   * @param {Object} value - Value to write
+   */
+  async set(key, value) {
+    const values = await this._load();
+    values[key] = JSON.parse(JSON.stringify(value));
+    await this._save(values);
+  }
+
+  /**
+   * Remove a value
+   * @async
+   * @since 0.0.5
+   * @param {string} key - Key of the value
+   */
+  async delete(key) {
+    const values = await this._load();
+    delete values[key];
+    await this._save(values);
+  }
+
+  /**
+   * List the keys of all stored values
+   * @async
+   * @since 0.0.5
+   * @return {Array<string>} The keys.
+   */
+  async keys() {
+    return Object.keys(await this._load());
+  }
+
+  /**
+   * Remove every value
+   * @async
+   * @since 0.0.5
+   */
+  async clear() {
+    const values = await this._load();
+    for (const key of Object.keys(values)) delete values[key];
+    await this._save(values);
+  }
+}
+
+//  LocalWords:  MemoryStorage WebStorage FileStorage localStorage
+//  LocalWords:  sessionStorage
@@ -0,0 +1,626 @@
+/**
+ * @file Provide the transports performing requests for easier-requests
+ * @author Harry Henry Gebel <hhgebel@gmail.com>
+ * @copyright 2020 Harry Henry Gebel
+ * @license MIT
+ * @version 0.0.5
+ * @module transports
+ * @since 0.0.5
+ */
+"use strict";
+
+import axios from "axios";
+
+import { discardStream } from "./bodies.js";
+
+/**
+ * Interface of a transport, which performs the requests of a
+ * Requester. Set with the transport option. Every transport resolves
+ * with the response of a request whatever its status; the Requester
+ * decides which statuses are failures.
+ * @interface Transport
+ * @since 0.0.5
+ */
+/**
+ * Perform a request
+ * @function
+ * @async
+ * @name Transport#request
+ * @param {TransportRequest} config - The request
+ * @return {TransportResponse} The response.
+ * @throws {Error} Error of a request that received no response, with
+ * a network error code such as ECONNREFUSED in its code property.
+ */
+
+/**
+ * Request passed to a transport
+ * @typedef {Object} TransportRequest
+ * @since 0.0.5
+ * @property {string} method - Lower case HTTP method
+ * @property {string} url - Absolute URL, or relative URL in browsers
+ * @property {Object} [params] - Query parameters to add to url, see
+ * buildURL()
+ * @property {*} [data] - Body of the request. Plain objects and arrays
+ * are sent as JSON.
+ * @property {Object} [headers] - Headers of the request
+ * @property {string} [responseType = "json"] - One of "arraybuffer",
+ * "blob", "json", "text" or "stream"
+ * @property {AbortSignal} [signal] - Signal which aborts the request
+ * @property {number} [maxRedirects] - Number of redirects followed. If
+ * 0, redirect responses are returned instead; fetch tells no other
+ * values apart.
+ * @property {Function} [onUploadProgress] - Function called with an
+ * object holding loaded and total bytes as the request is sent, by
+ * transports able to report it
+ * @property {Function} [onDownloadProgress] - Function called with an
+ * object holding loaded and total bytes as the response is received, by
+ * transports able to report it
+ */
+
+/**
+ * Response returned by a transport, and stored for Requester.response()
+ * @typedef {Object} TransportResponse
+ * @since 0.0.5
+ * @property {number} status - HTTP status
+ * @property {string} statusText - HTTP status text
+ * @property {Object} headers - Headers keyed by lower case name. Under
+ * Node, set-cookie is an array of every Set-Cookie header.
+ * @property {*} data - Body of the response as set by responseType.
+ * With "json", the parsed body, or its text if it is not valid JSON.
+ * @property {TransportRequest} config - The request, without its
+ * signal
+ */
+
+/**
+ * Add query parameters to a URL. Array values are added as repeated
+ * parameters, dates as ISO strings and other objects as JSON; null and
+ * undefined values are left out.
+ * @since 0.0.5
+ * @param {string} url - The URL, which may already have a query
+ * @param {Object} [params = {}] - The parameters
+ * @return {string} The URL with the parameters.
+ */
+export function buildURL(url, params = {}) {
+  const search = new URLSearchParams();
+  for (const [name, value] of Object.entries(params))
+    for (const single of Array.isArray(value) ? value : [value])
+      if (single === undefined || single === null) continue;
+      else if (single instanceof Date)
+        search.append(name, single.toISOString());
+      else if (typeof single === "object")
+        search.append(name, JSON.stringify(single));
+      else search.append(name, String(single));
+
+  const query = search.toString();
+  if (query === "") return url;
+  const hash = url.indexOf("#");
+  const base = hash === -1 ? url : url.slice(0, hash);
+  return `${base}${base.includes("?") ? "&" : "?"}${query}`;
+}
+
+/**
+ * Find a header regardless of the case of its name
+ * @private
+ * @since 0.0.5
+ * @param {Object} headers - Headers keyed by name
+ * @param {string} name - Lower case name of the header
+ * @return {boolean} True if the header is set.
+ */
+function hasHeader(headers, name) {
+  return Object.keys(headers).some((key) => key.toLowerCase() === name);
+}
+
+// headers holding credentials, which are not sent to another origin
+const credentialHeaders = ["authorization", "cookie", "proxy-authorization"];
+
+// headers describing the body of a request, dropped with the body
+const bodyHeaders = [
+  "content-encoding",
+  "content-length",
+  "content-type",
+  "transfer-encoding",
+];
+
+/**
+ * Compute the request following a redirect. The body is dropped and
+ * the method becomes GET after a 303, or after a 301 or 302 answering
+ * a POST, and the headers describing the body are dropped with it.
+ * Headers holding credentials are dropped when the redirect leaves the
+ * origin of the request.
+ * @since 0.0.5
+ * @param {Object} request - Method, absolute url including its
+ * parameters, headers and data of the redirected request
+ * @param {Object} response - Status, headers and data of its response,
+ * with header names in lower case. Its data is discarded if an error
+ * is thrown.
+ * @return {Object|undefined} Method, url, headers and data of the next
+ * request, or undefined if the response is not a redirect with a
+ * Location header.
+ * @throws {Error} Error with code ERR_STREAM_CONSUMED when a 307 or
+ * 308 redirect would send a stream body again.
+ */
+export function redirectRequest(request, response) {
+  const location = (response.headers || {})["location"];
+  if (
+    ![301, 302, 303, 307, 308].includes(response.status) ||
+    location === undefined
+  )
+    return undefined;
+
+  const url = new URL(location, request.url).href;
+  const bodyDropped =
+    response.status === 303 ||
+    ([301, 302].includes(response.status) &&
+      request.method.toLowerCase() === "post");
+  const data = request.data;
+  if (
+    !bodyDropped &&
+    data !== undefined &&
+    data !== null &&
+    (typeof data.pipe === "function" || typeof data.getReader === "function")
+  ) {
+    discardStream(response.data);
+    throw networkError(
+      `Cannot follow the redirect to ${url}: the stream body of the` +
+        " request has already been sent.",
+      "ERR_STREAM_CONSUMED"
+    );
+  }
+
+  const dropped = [
+    ...(new URL(request.url).origin === new URL(url).origin
+      ? []
+      : credentialHeaders),
+    ...(bodyDropped ? bodyHeaders : []),
+  ];
+  const headers = {};
+  for (const [name, value] of Object.entries(request.headers || {}))
+    if (!dropped.includes(name.toLowerCase())) headers[name] = value;
+
+  return {
+    method: bodyDropped ? "get" : request.method,
+    url: url,
+    headers: headers,
+    data: bodyDropped ? undefined : data,
+  };
+}
+
+/**
+ * Encode the data of a request for a transport other than axios
+ * @private
+ * @since 0.0.5
+ * @param {*} data - Data of the request
+ * @param {Object} headers - Headers of the request
+ * @return {Object} body to send, and headers with a Content-Type added
+ * for JSON, URLSearchParams and string data.
+ */
+function encodeBody(data, headers = {}) {
+  if (data === undefined || data === null)
+    return { body: undefined, headers: headers };
+  if (data instanceof URLSearchParams)
+    return {
+      body: data.toString(),
+      headers: hasHeader(headers, "content-type")
+        ? headers
+        : {
+            ...headers,
+            "Content-Type": "application/x-www-form-urlencoded;charset=utf-8",
+          },
+    };
+  if (typeof data === "string")
+    return {
+      body: data,
+      headers: hasHeader(headers, "content-type")
+        ? headers
+        : { ...headers, "Content-Type": "text/plain;charset=utf-8" },
+    };
+  if (
+    data instanceof ArrayBuffer ||
+    ArrayBuffer.isView(data) ||
+    (typeof Blob !== "undefined" && data instanceof Blob) ||
+    typeof data.pipe === "function"
+  )
+    return { body: data, headers: headers };
+
+  return {
+    body: JSON.stringify(data),
+    headers: hasHeader(headers, "content-type")
+      ? headers
+      : { ...headers, "Content-Type": "application/json;charset=utf-8" },
+  };
+}
+
+/**
+ * Parse the text of a response as JSON, as axios does
+ * @private
+ * @since 0.0.5
+ * @param {string} text - Text of the response
+ * @return {*} The parsed value, or text if it is not valid JSON.
+ */
+function parseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Create the error of a request that received no response
+ * @private
+ * @since 0.0.5
+ * @param {string} message - Error message
+ * @param {string} code - Network error code
+ * @param {Error} [cause] - Error that caused it
+ * @return {Error} The error.
+ */
+function networkError(message, code, cause) {
+  const error = new Error(message);
+  error.code = code;
+  error.cause = cause;
+  return error;
+}
+
+/**
+ * Find the error holding the network error code of a failed fetch.
+ * undici rejects with a TypeError whose cause holds the code, or whose
+ * cause wraps the error holding it, as a cause of its own or as the
+ * first error of an AggregateError.
+ * @private
+ * @since 0.0.5
+ * @param {Error} error - Error thrown by fetch
+ * @return {Error|undefined} The error with a code, or undefined if
+ * there is none.
+ */
+function fetchCause(error) {
+  const cause = error.cause;
+  if (cause === undefined || cause === null) return undefined;
+
+  const candidates = [cause, cause.cause];
+  if (Array.isArray(cause.errors)) candidates.push(cause.errors[0]);
+  return candidates.find(
+    (candidate) =>
+      candidate !== undefined &&
+      candidate !== null &&
+      candidate.code !== undefined
+  );
+}
+
+/**
+ * Transport performing requests with axios. Used when the transport
+ * option is not set. Redirects are followed here rather than by axios,
+ * which sends every header to the new URL, so that redirects to
+ * another origin do not send the Authorization, Proxy-Authorization
+ * and Cookie headers.
+ * @type {Transport}
+ * @since 0.0.5
+ */
+export const axiosTransport = {
+  /**
+   * Perform a request with axios
+   * @async
+   * @since 0.0.5
+   * @param {TransportRequest} config - The request
+   * @return {TransportResponse} The response, whatever its status.
+   * @throws {Error} The axios error of a request that received no
+   * response, or an error with code ERR_STREAM_CONSUMED when a redirect
+   * would send a stream body again.
+   */
+  async request({ signal, params, validateStatus, ...config }) {
+    const source = axios.CancelToken.source();
+    const onAbort = () => source.cancel("Request aborted.");
+    if (signal !== undefined) signal.addEventListener("abort", onAbort);
+    const maxRedirects =
+      config.maxRedirects === undefined ? 5 : config.maxRedirects;
+
+    try {
+      let current = { ...config, url: buildURL(config.url, params) };
+      for (let redirects = 0; ; redirects++) {
+        const response = await axios.request({
+          ...current,
+          maxRedirects: 0,
+          validateStatus: () => true,
+          cancelToken: source.token,
+          // axios parses JSON even when text is asked for
+          transformResponse:
+            config.responseType === "text" ? [(data) => data] : undefined,
+        });
+        const next =
+          redirects >= maxRedirects
+            ? undefined
+            : redirectRequest(current, response);
+        if (next === undefined)
+          return {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers,
+            data: response.data,
+            config: {
+              ...config,
+              params: params,
+              validateStatus: validateStatus,
+            },
+          };
+
+        discardStream(response.data);
+        current = { ...current, ...next };
+      }
+    } finally {
+      if (signal !== undefined) signal.removeEventListener("abort", onAbort);
+    }
+  },
+};
+
+/**
+ * Transport performing requests with the global fetch function of
+ * browsers and Node 18 and later. Upload progress is not reported.
+ * With responseType "stream" the data is a web ReadableStream.
+ * @type {Transport}
+ * @since 0.0.5
+ */
+export const fetchTransport = {
+  /**
+   * Perform a request with fetch
+   * @async
+   * @since 0.0.5
+   * @param {TransportRequest} config - The request
+   * @return {TransportResponse} The response, whatever its status.
+   * @throws {Error} Error of a request that received no response, with
+   * the network error code found in the causes of the fetch error, or
+   * ERR_NETWORK if there is none.
+   */
+  async request({ signal, ...config }) {
+    const { body, headers } = encodeBody(config.data, config.headers);
+    const init = {
+      method: config.method.toUpperCase(),
+      headers: headers,
+      body: body,
+      signal: signal,
+    };
+    if (config.maxRedirects === 0) init.redirect = "manual";
+    // fetch only sends streams given the half duplex option
+    if (body !== undefined && typeof body.pipe === "function")
+      init.duplex = "half";
+
+    let response;
+    try {
+      response = await fetch(buildURL(config.url, config.params), init);
+    } catch (error) {
+      if (signal !== undefined && signal.aborted) throw error;
+      const cause = fetchCause(error);
+      if (cause === undefined)
+        throw networkError(error.message, "ERR_NETWORK", error);
+      throw networkError(cause.message || error.message, cause.code, error);
+    }
+
+    const responseHeaders = {};
+    for (const [name, value] of response.headers) responseHeaders[name] = value;
+    // joining Set-Cookie headers would break dates in their attributes
+    if (typeof response.headers.getSetCookie === "function") {
+      const cookies = response.headers.getSetCookie();
+      if (cookies.length > 0) responseHeaders["set-cookie"] = cookies;
+    }
+    const total = Number(response.headers.get("content-length")) || undefined;
+
+    let data;
+    const responseType =
+      config.responseType === undefined ? "json" : config.responseType;
+    if (responseType === "stream") data = response.body;
+    else if (responseType === "blob") data = await response.blob();
+    else {
+      let bytes;
+      if (config.onDownloadProgress === undefined || response.body === null)
+        bytes = new Uint8Array(await response.arrayBuffer());
+      else {
+        const chunks = [];
+        let loaded = 0;
+        const reader = response.body.getReader();
+        for (let read = await reader.read(); !read.done; ) {
+          chunks.push(read.value);
+          loaded += read.value.byteLength;
+          config.onDownloadProgress({ loaded: loaded, total: total });
+          read = await reader.read();
+        }
+        bytes = new Uint8Array(loaded);
+        let offset = 0;
+        for (const chunk of chunks) {
+          bytes.set(chunk, offset);
+          offset += chunk.byteLength;
+        }
+      }
+
+      if (responseType === "arraybuffer") data = bytes.buffer;
+      else {
+        const text = new TextDecoder().decode(bytes);
+        data = responseType === "json" ? parseJSON(text) : text;
+      }
+    }
+
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      headers: responseHeaders,
+      data: data,
+      config: config,
+    };
+  },
+};
+
+/**
+ * Transport performing requests with the http and https modules of
+ * Node, following up to config.maxRedirects (default 5) redirects and
+ * decompressing gzip, deflate and br responses. Redirects to another
+ * origin do not send the Authorization, Proxy-Authorization and Cookie
+ * headers. Upload progress is not
+ * reported. With responseType "stream" the data is a Node readable
+ * stream, and with "arraybuffer" or "blob" a Buffer.
+ * @type {Transport}
+ * @since 0.0.5
+ */
+export const httpTransport = {
+  /**
+   * Perform a request with the http or https module
+   * @async
+   * @since 0.0.5
+   * @param {TransportRequest} config - The request
+   * @return {TransportResponse} The response, whatever its status.
+   * @throws {Error} Error of a request that received no response, with
+   * the network error code of the socket, or with code
+   * ERR_STREAM_CONSUMED when a redirect would send a stream body again.
+   */
+  async request({ signal, ...config }) {
+    const encoded = encodeBody(config.data, config.headers);
+    const maxRedirects =
+      config.maxRedirects === undefined ? 5 : config.maxRedirects;
+
+    let current = {
+      method: config.method.toUpperCase(),
+      url: buildURL(config.url, config.params),
+      headers: encoded.headers,
+      data: encoded.body,
+    };
+    let message;
+    for (let redirects = 0; ; redirects++) {
+      message = await httpRequest(
+        current.url,
+        current.method,
+        current.headers,
+        current.data,
+        signal
+      );
+      if (redirects >= maxRedirects) break;
+      const next = redirectRequest(current, {
+        status: message.statusCode,
+        headers: message.headers,
+        data: message,
+      });
+      if (next === undefined) break;
+
+      message.resume();
+      current = next;
+    }
+
+    const zlib = await import("zlib");
+    let stream = message;
+    const encoding = (message.headers["content-encoding"] || "").toLowerCase();
+    if (encoding === "gzip") stream = message.pipe(zlib.createGunzip());
+    else if (encoding === "deflate")
+      stream = message.pipe(zlib.createInflate());
+    else if (encoding === "br")
+      stream = message.pipe(zlib.createBrotliDecompress());
+
+    const response = {
+      status: message.statusCode,
+      statusText: message.statusMessage,
+      headers: { ...message.headers },
+      data: undefined,
+      config: config,
+    };
+    const responseType =
+      config.responseType === undefined ? "json" : config.responseType;
+    if (responseType === "stream") {
+      response.data = stream;
+      return response;
+    }
+
+    const total = Number(message.headers["content-length"]) || undefined;
+    const chunks = [];
+    let loaded = 0;
+    try {
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+        loaded += chunk.length;
+        if (config.onDownloadProgress !== undefined)
+          config.onDownloadProgress({ loaded: loaded, total: total });
+      }
+    } catch (error) {
+      if (signal !== undefined && signal.aborted) throw error;
+      throw networkError(error.message, error.code || "ERR_NETWORK", error);
+    }
+
+    const buffer = Buffer.concat(chunks);
+    if (responseType === "arraybuffer" || responseType === "blob")
+      response.data = buffer;
+    else if (responseType === "json")
+      response.data = parseJSON(buffer.toString("utf8"));
+    else response.data = buffer.toString("utf8");
+    return response;
+  },
+};
+
+/**
+ * Send one request with the http or https module and wait for the
+ * head of its response
+ * @async
+ * @private
+ * @since 0.0.5
+ * @param {string} url - Absolute URL of the request
+ * @param {string} method - HTTP method
+ * @param {Object} headers - Headers of the request
+ * @param {*} body - Encoded body of the request
+ * @param {AbortSignal} [signal] - Signal which aborts the request
+ * @return {IncomingMessage} The response, whose body is not yet read.
+ */
+async function httpRequest(url, method, headers, body, signal) {
+  const { request } = await import(
+    new URL(url).protocol === "https:" ? "https" : "http"
+  );
+
+  return new Promise(function (resolve, reject) {
+    const outgoing = request(
+      url,
+      { method: method, headers: headers, signal: signal },
+      resolve
+    );
+    outgoing.on("error", function (error) {
+      if (signal !== undefined && signal.aborted) reject(error);
+      else reject(networkError(error.message, error.code, error));
+    });
+
+    if (body === undefined) outgoing.end();
+    else if (typeof body.pipe === "function") body.pipe(outgoing);
+    else if (typeof Blob !== "undefined" && body instanceof Blob)
+      body
+        .arrayBuffer()
+        .then((buffer) => outgoing.end(Buffer.from(buffer)), reject);
+    else
+      outgoing.end(
+        body instanceof ArrayBuffer || ArrayBuffer.isView(body)
+          ? Buffer.from(body)
+          : body
+      );
+  });
+}
+
+/**
+ * Transports chosen by name with the transport option
+ * @private
+ * @since 0.0.5
+ * @type {Object}
+ */
+const namedTransports = {
+  axios: axiosTransport,
+  fetch: fetchTransport,
+  http: httpTransport,
+};
+
+/**
+ * Turn the value of the transport option into a transport
+ * @since 0.0.5
+ * @param {Transport|string} [transport] - A transport, which is
+ * returned unchanged, or one of "axios", "fetch" or "http"
+ * @return {Transport} The transport, axiosTransport if transport is
+ * undefined.
+ * @throws {TypeError} Thrown when transport is an unknown name.
+ */
+export function createTransport(transport) {
+  if (transport === undefined || transport === null) return axiosTransport;
+  if (typeof transport !== "string") return transport;
+  if (!(transport in namedTransports))
+    throw new TypeError(`Unknown transport ${transport}`);
+
+  return namedTransports[transport];
+}
+
+//  LocalWords:  axios ECONNREFUSED TransportRequest TransportResponse
+//  LocalWords:  arraybuffer buildURL gzip br redirectRequest
@@ -0,0 +1,231 @@
+/**
+ * @file Provide response validation for easier-requests
+ * @author Harry Henry Gebel <hhgebel@gmail.com>
+ * @copyright 2020 Harry Henry Gebel
+ * @license MIT
+ * @version 0.0.5
+ * @module validation
+ * @since 0.0.5
+ */
+"use strict";
+
+/**
+ * Failure found when validating a response
+ * @typedef {Object} ValidationFailure
+ * @since 0.0.5
+ * @property {string} path - Where the failure is. "status" and
+ * "content-type" for the status and Content-Type header, otherwise a
+ * path into the response data starting with $, such as $.items[2].id
+ * @property {string} message - What is wrong
+ */
+
+/**
+ * Find the JSON schema type of a value
+ * @private
+ * @since 0.0.5
+ * @param {*} value - The value
+ * @return {string} One of "null", "array", "integer", "number",
+ * "string", "boolean", "object" or "undefined".
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Compare two JSON values
+ * @private
+ * @since 0.0.5
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @return {boolean} True if the values are equal.
+ */
+function equal(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Check a value against a subset of JSON schema. The keywords
+ * understood are type, enum, const, properties, required,
+ * additionalProperties, items, minItems, maxItems, minimum, maximum,
+ * minLength, maxLength and pattern; others are ignored.
+ * @since 0.0.5
+ * @param {*} value - Value to check
+ * @param {Object} schema - The schema
+ * @param {string} [path = "$"] - Path of value, used in failures
+ * @return {Array<ValidationFailure>} Every failure found, empty if the
+ * value matches the schema.
+ */
+export function validateSchema(value, schema, path = "$") {
+  const failures = [];
+  const fail = (message) => failures.push({ path: path, message: message });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const type = typeOf(value);
+    if (
+      !types.includes(type) &&
+      !(type === "integer" && types.includes("number"))
+    ) {
+      fail(`expected ${types.join(" or ")} but got ${type}`);
+      // the remaining keywords do not apply to the wrong type
+      return failures;
+    }
+  }
+
+  if (
+    schema.enum !== undefined &&
+    !schema.enum.some((allowed) => equal(allowed, value))
+  )
+    fail(`expected one of ${JSON.stringify(schema.enum)}`);
+  if (schema.const !== undefined && !equal(schema.const, value))
+    fail(`expected ${JSON.stringify(schema.const)}`);
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    for (const name of schema.required || [])
+      if (value[name] === undefined)
+        failures.push({
+          path: `${path}.${name}`,
+          message: "required property is missing",
+        });
+    for (const [name, property] of Object.entries(value)) {
+      if (name in properties)
+        failures.push(
+          ...validateSchema(property, properties[name], `${path}.${name}`)
+        );
+      else if (schema.additionalProperties === false)
+        failures.push({
+          path: `${path}.${name}`,
+          message: "property is not allowed",
+        });
+      else if (typeof schema.additionalProperties === "object")
+        failures.push(
+          ...validateSchema(
+            property,
+            schema.additionalProperties,
+            `${path}.${name}`
+          )
+        );
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems)
+      fail(`expected at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems)
+      fail(`expected at most ${schema.maxItems} items`);
+    if (schema.items !== undefined)
+      value.forEach((item, index) =>
+        failures.push(
+          ...validateSchema(item, schema.items, `${path}[${index}]`)
+        )
+      );
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum)
+      fail(`expected at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum)
+      fail(`expected at most ${schema.maximum}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength)
+      fail(`expected at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength)
+      fail(`expected at most ${schema.maxLength} characters`);
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value))
+      fail(`expected to match ${schema.pattern}`);
+  }
+
+  return failures;
+}
+
+/**
+ * Expectations of a response, set with the expect option
+ * @typedef {Object} ResponseExpectations
+ * @since 0.0.5
+ * @property {number|Array<number>|Function} [status] - Allowed
+ * statuses, or a function returning true for allowed statuses. Allowed
+ * statuses outside 200-299 count as success; other statuses outside
+ * 200-299 still fail as usual.
+ * @property {string|RegExp} [contentType] - Required media type of the
+ * Content-Type header, such as "application/json", or an expression
+ * it must match
+ * @property {Object} [schema] - JSON schema of the response data, see
+ * validateSchema()
+ * @property {Function} [validate] - Function called with the response
+ * data and the response. It returns true or undefined if the data is
+ * valid; false, a message or an array of ValidationFailure if it is
+ * not.
+ */
+
+/**
+ * Check if a status is allowed by the status expectation
+ * @since 0.0.5
+ * @param {number|Array<number>|Function} allowed - The status
+ * expectation
+ * @param {number} status - HTTP status of a response
+ * @return {boolean} True if status is allowed.
+ */
+export function statusAllowed(allowed, status) {
+  if (typeof allowed === "function") return Boolean(allowed(status));
+  return (Array.isArray(allowed) ? allowed : [allowed]).includes(status);
+}
+
+/**
+ * Check a response against expectations
+ * @since 0.0.5
+ * @param {Object} response - axios response
+ * @param {ResponseExpectations} expect - The expectations
+ * @return {Array<ValidationFailure>} Every failure found, empty if the
+ * response meets the expectations.
+ */
+export function validateResponse(response, expect) {
+  const failures = [];
+
+  if (
+    expect.status !== undefined &&
+    !statusAllowed(expect.status, response.status)
+  )
+    failures.push({
+      path: "status",
+      message: `status ${response.status} is not allowed`,
+    });
+
+  if (expect.contentType !== undefined) {
+    const header = response.headers["content-type"] || "";
+    const mediaType = header.split(";")[0].trim().toLowerCase();
+    if (
+      expect.contentType instanceof RegExp
+        ? !expect.contentType.test(header)
+        : mediaType !== expect.contentType.toLowerCase()
+    )
+      failures.push({
+        path: "content-type",
+        message: `expected ${expect.contentType} but got ${
+          header === "" ? "no Content-Type" : header
+        }`,
+      });
+  }
+
+  if (expect.schema !== undefined)
+    failures.push(...validateSchema(response.data, expect.schema));
+
+  if (expect.validate !== undefined) {
+    const result = expect.validate(response.data, response);
+    if (result === false)
+      failures.push({ path: "$", message: "rejected by validate function" });
+    else if (typeof result === "string")
+      failures.push({ path: "$", message: result });
+    else if (Array.isArray(result)) failures.push(...result);
+  }
+
+  return failures;
+}
+
+//  LocalWords:  ValidationFailure ResponseExpectations additionalProperties
+//  LocalWords:  minItems maxItems minLength maxLength